@@ -0,0 +1,153 @@
+/**
+ * Middleware de autenticación con Firebase Auth o API key
+ * Verifica el ID token enviado en el header Authorization: Bearer <idToken>,
+ * o la API key del header X-API-Key, y deja el usuario autenticado en req.user
+ */
+const admin = require('../../config/firebase');
+const AlquileresApiKeyService = require('../../services/AlquileresApiKeyService');
+
+const apiKeyService = new AlquileresApiKeyService();
+
+// Rutas de health check accesibles sin autenticación (método + path exacto)
+const PUBLIC_ROUTES = [
+  { method: 'GET', path: '/' },
+  { method: 'GET', path: '/check-firestore' },
+  { method: 'GET', path: '/api/recurring/health' }
+];
+
+// Verificar también si el token fue revocado (requiere una lectura extra a Firebase Auth)
+const CHECK_REVOKED = process.env.AUTH_CHECK_REVOKED === 'true';
+
+/**
+ * Indica si la request corresponde a una ruta pública
+ * @param {Object} req - Request de Express
+ * @returns {boolean}
+ */
+const isPublicRoute = (req) => {
+  const path = req.path.length > 1 ? req.path.replace(/\/+$/, '') : req.path;
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+
+  return PUBLIC_ROUTES.some(route => route.method === method && route.path === path);
+};
+
+/**
+ * Extrae el token del header Authorization
+ * @private
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Mensaje de error según el código de Firebase Auth
+ * @private
+ */
+const getAuthErrorMessage = (error) => {
+  switch (error.code) {
+    case 'auth/id-token-expired':
+      return 'El token expiró, inicia sesión nuevamente';
+    case 'auth/id-token-revoked':
+      return 'El token fue revocado, inicia sesión nuevamente';
+    case 'auth/user-disabled':
+      return 'El usuario está deshabilitado';
+    default:
+      return 'Token inválido';
+  }
+};
+
+/**
+ * Autentica la request con una API key
+ * Deja en req.user el registro de la key y en req.access sus scopes
+ * @private
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const result = await apiKeyService.verifyKey(key);
+
+    if (!result.valid) {
+      console.warn(`API key rechazada (${req.method} ${req.originalUrl}):`, result.reason);
+      return res.status(401).json({
+        error: 'No autenticado',
+        details: result.reason
+      });
+    }
+
+    req.user = {
+      uid: `apiKey:${result.apiKey.id}`,
+      apiKeyId: result.apiKey.id,
+      email: null,
+      emailVerified: false,
+      name: result.apiKey.name,
+      claims: {}
+    };
+    req.access = {
+      role: null,
+      apiKey: true,
+      scopes: result.apiKey.scopes,
+      scoped: false,
+      propertyIds: [],
+      unitIds: []
+    };
+
+    return next();
+  } catch (error) {
+    console.error('Error al verificar API key:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Middleware que exige un ID token de Firebase o una API key válida (salvo en las rutas públicas)
+ * Deja en req.user: { uid, email, emailVerified, name, claims } (y apiKeyId si se usó una key)
+ */
+const authenticate = async (req, res, next) => {
+  if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+    return next();
+  }
+
+  const apiKey = req.headers['x-api-key'];
+
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return res.status(401).json({
+      error: 'No autenticado',
+      details: 'Se requiere el header Authorization: Bearer <idToken> o X-API-Key'
+    });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(idToken, CHECK_REVOKED);
+
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      emailVerified: decodedToken.email_verified === true,
+      name: decodedToken.name || null,
+      claims: decodedToken
+    };
+
+    return next();
+  } catch (error) {
+    console.warn(`Token rechazado (${req.method} ${req.originalUrl}):`, error.code || error.message);
+    return res.status(401).json({
+      error: 'No autenticado',
+      details: getAuthErrorMessage(error)
+    });
+  }
+};
+
+module.exports = {
+  authenticate,
+  isPublicRoute,
+  PUBLIC_ROUTES
+};
@@ -0,0 +1,120 @@
+/**
+ * Middleware de autorización por rol y alcance (propiedades / unidades)
+ * Debe usarse después de authenticate (requiere req.user)
+ */
+const { ROLES, hasPermission, resolveAccess } = require('../../utils/roles');
+
+/**
+ * Obtiene (y guarda en req.access) el acceso del usuario autenticado
+ * @param {Object} req - Request de Express
+ * @returns {Object} { role, scoped, propertyIds, unitIds } (con API key: { apiKey, scopes })
+ */
+const getAccess = (req) => {
+  if (!req.access) {
+    req.access = req.user
+      ? resolveAccess(req.user.uid, req.user.claims)
+      : { role: null, scoped: false, propertyIds: [], unitIds: [] };
+  }
+  return req.access;
+};
+
+/**
+ * Indica si el acceso incluye una propiedad
+ */
+const canAccessProperty = (access, propertyId) => {
+  return !access.scoped || access.propertyIds.includes(propertyId);
+};
+
+/**
+ * Indica si el acceso incluye una unidad (solo los tenants están limitados por unidad)
+ */
+const canAccessUnit = (access, propertyId, unitId) => {
+  if (!canAccessProperty(access, propertyId)) return false;
+  return access.role !== ROLES.TENANT || access.unitIds.includes(unitId);
+};
+
+/**
+ * Limita una lista de propertyIds a las propiedades accesibles
+ * @param {Object} access - Acceso del usuario
+ * @param {Array<string>} requested - propertyIds pedidos (vacío = todos)
+ * @returns {Object} { propertyIds } (vacío = sin límite) o { error } si pide propiedades ajenas
+ */
+const restrictPropertyIds = (access, requested = []) => {
+  if (!access.scoped) {
+    return { propertyIds: requested };
+  }
+
+  if (requested.length === 0) {
+    return { propertyIds: access.propertyIds };
+  }
+
+  const denied = requested.filter(propertyId => !access.propertyIds.includes(propertyId));
+  if (denied.length > 0) {
+    return { error: `Sin acceso a las propiedades: ${denied.join(', ')}` };
+  }
+
+  return { propertyIds: requested };
+};
+
+const deny = (res, details) => res.status(403).json({ error: 'Acceso denegado', details });
+
+/**
+ * Crea un middleware que exige un permiso y, para roles limitados, valida el alcance
+ * @param {string} permission - Permiso requerido ('recurso:acción', ver utils/roles)
+ * @param {Object} scope - Cómo obtener el alcance de la request
+ * @param {Function} scope.property - req => propertyId afectado
+ * @param {Function} scope.unit - req => unitId afectado (requerido para tenants)
+ * @param {boolean} scope.list - El handler filtra los resultados con req.access (listados)
+ * @returns {Function} Middleware de Express
+ */
+const authorize = (permission, scope = {}) => (req, res, next) => {
+  const access = getAccess(req);
+
+  // Las API keys solo tienen los permisos de sus scopes
+  if (access.apiKey) {
+    if (!access.scopes.includes(permission)) {
+      return deny(res, `La API key no tiene el scope ${permission}`);
+    }
+    return next();
+  }
+
+  if (!access.role) {
+    return deny(res, 'El usuario no tiene un rol asignado');
+  }
+
+  if (!hasPermission(access.role, permission)) {
+    return deny(res, `El rol ${access.role} no tiene el permiso ${permission}`);
+  }
+
+  if (!access.scoped || scope.list) {
+    return next();
+  }
+
+  if (!scope.property) {
+    return deny(res, `El rol ${access.role} solo puede acceder a datos de sus propiedades`);
+  }
+
+  const propertyId = scope.property(req);
+
+  if (!propertyId || !canAccessProperty(access, propertyId)) {
+    return deny(res, `Sin acceso a la propiedad ${propertyId || '(no indicada)'}`);
+  }
+
+  if (access.role === ROLES.TENANT) {
+    const unitId = scope.unit ? scope.unit(req) : null;
+
+    if (!unitId || !canAccessUnit(access, propertyId, unitId)) {
+      return deny(res, `Sin acceso a la unidad ${unitId || '(no indicada)'}`);
+    }
+  }
+
+  return next();
+};
+
+module.exports = {
+  authorize,
+  getAccess,
+  canAccessProperty,
+  canAccessUnit,
+  restrictPropertyIds
+};
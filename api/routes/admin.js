@@ -0,0 +1,382 @@
+const express = require('express');
+const router = express.Router();
+const AlquileresRoleService = require('../../services/AlquileresRoleService');
+const AlquileresApiKeyService = require('../../services/AlquileresApiKeyService');
+const AlquileresAuditService = require('../../services/AlquileresAuditService');
+const { authorize } = require('../middleware/authorize');
+const { ROLES, API_KEY_SCOPES } = require('../../utils/roles');
+
+// Instancias de los servicios
+const roleService = new AlquileresRoleService();
+const apiKeyService = new AlquileresApiKeyService();
+const auditService = new AlquileresAuditService();
+
+/**
+ * Responde con el resultado de una operación de los servicios de administración
+ * El before de las modificaciones solo se usa para la auditoría y no se devuelve
+ */
+const sendResult = (res, { before, ...result }, successStatus = 200) => {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+
+  if (result.notFound) {
+    return res.status(404).json(result);
+  }
+
+  return res.status(result.invalid ? 400 : 500).json(result);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserRole:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [owner, accountant, manager, tenant]
+ *         propertyIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Propiedades del manager o del tenant (requerido para esos roles)
+ *         unitIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Unidades del tenant (requerido para tenant)
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Listar usuarios con rol asignado
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [owner, accountant, manager, tenant]
+ *         description: Filtrar por rol
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios con su rol
+ *       403:
+ *         description: Solo disponible para owners
+ */
+router.get('/roles', authorize('roles:manage'), async (req, res) => {
+  try {
+    const result = await roleService.listRoles({ role: req.query.role });
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al listar roles:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{uid}:
+ *   get:
+ *     summary: Obtener el rol de un usuario
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: UID de Firebase Auth
+ *     responses:
+ *       200:
+ *         description: Usuario y rol
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/roles/:uid', authorize('roles:manage'), async (req, res) => {
+  try {
+    const result = await roleService.getRole(req.params.uid);
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al obtener rol:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{uid}:
+ *   put:
+ *     summary: Asignar el rol de un usuario
+ *     description: Reemplaza el rol anterior. El cambio se aplica cuando el usuario renueva su ID token (máximo 1 hora).
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: UID de Firebase Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserRole'
+ *           example:
+ *             role: manager
+ *             propertyIds: ["abc123"]
+ *     responses:
+ *       200:
+ *         description: Rol asignado
+ *       400:
+ *         description: Rol inválido
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.put('/roles/:uid', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const data = req.body || {};
+
+    // Evitar que un owner se quite su propio acceso por error
+    if (uid === req.user.uid && data.role !== ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        error: 'No puedes quitarte el rol owner a ti mismo'
+      });
+    }
+
+    const result = await roleService.setRole(uid, data);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'update',
+        path: `roles/${uid}`,
+        before: result.before,
+        after: result.user
+      });
+    }
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al asignar rol:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{uid}:
+ *   delete:
+ *     summary: Quitar el rol de un usuario
+ *     description: El usuario queda sin acceso a la API (salvo los owners de AUTH_OWNER_UIDS)
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: UID de Firebase Auth
+ *     responses:
+ *       200:
+ *         description: Rol quitado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.delete('/roles/:uid', authorize('roles:manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    if (uid === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        error: 'No puedes quitarte el rol owner a ti mismo'
+      });
+    }
+
+    const result = await roleService.removeRole(uid);
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'delete',
+        path: `roles/${uid}`,
+        before: result.before,
+        after: null
+      });
+    }
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al quitar rol:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: Listar API keys
+ *     description: Devuelve los datos de cada key (nombre, scopes, prefijo, lastUsedAt, expiresAt), nunca su valor
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir keys revocadas
+ *     responses:
+ *       200:
+ *         description: Lista de API keys
+ */
+router.get('/api-keys', authorize('apiKeys:manage'), async (req, res) => {
+  try {
+    const result = await apiKeyService.listKeys({ includeRevoked: req.query.includeRevoked === 'true' });
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al listar API keys:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Crear una API key
+ *     description: La respuesta incluye el valor completo de la key (campo key) por única vez; se guarda solo su hash. Se envía en el header X-API-Key.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permisos otorgados (ej. backup:read, recurring:generate, recurring:validate)
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresInDays:
+ *                 type: integer
+ *           example:
+ *             name: GitHub Actions - backup
+ *             scopes: ["backup:read"]
+ *             expiresInDays: 365
+ *     responses:
+ *       201:
+ *         description: API key creada
+ *       400:
+ *         description: Datos inválidos
+ */
+router.post('/api-keys', authorize('apiKeys:manage'), async (req, res) => {
+  try {
+    const result = await apiKeyService.createKey(req.body || {}, req.user.uid);
+
+    // Se audita la versión pública: nunca el valor de la key ni su hash
+    if (result.success) {
+      await auditService.record(req, {
+        action: 'create',
+        path: `apiKeys/${result.apiKey.id}`,
+        before: null,
+        after: result.apiKey
+      });
+    }
+
+    return sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Error al crear API key:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/scopes:
+ *   get:
+ *     summary: Scopes disponibles para las API keys
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Lista de scopes
+ */
+router.get('/api-keys/scopes', authorize('apiKeys:manage'), (req, res) => {
+  return res.status(200).json({ scopes: API_KEY_SCOPES });
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revocar una API key
+ *     description: La key deja de aceptarse de inmediato; el registro se conserva con revokedAt
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revocada
+ *       404:
+ *         description: API key no encontrada
+ */
+router.delete('/api-keys/:keyId', authorize('apiKeys:manage'), async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeKey(req.params.keyId, req.user.uid);
+
+    // Revocar una key ya revocada no cambia nada
+    if (result.success && !result.before.revokedAt) {
+      await auditService.record(req, {
+        action: 'update',
+        path: `apiKeys/${result.apiKey.id}`,
+        before: result.before,
+        after: result.apiKey
+      });
+    }
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Error al revocar API key:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
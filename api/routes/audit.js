@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const AlquileresAuditService = require('../../services/AlquileresAuditService');
+const { authorize } = require('../middleware/authorize');
+
+// Instancia del servicio
+const auditService = new AlquileresAuditService();
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Consultar el log de auditoría
+ *     description: Devuelve las mutaciones registradas (más recientes primero) con actor, ruta, documento afectado, before/after y campos modificados. Los filtros por path, actor y action se aplican sobre un máximo de 5000 entradas; si se alcanza el límite, truncated es true y conviene acotar con from/to.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: pathPrefix
+ *         schema:
+ *           type: string
+ *           example: properties/abc123
+ *         description: Documento o prefijo de ruta (incluye sus subcolecciones)
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: UID del usuario o apiKey:<keyId>
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, generate]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2025-06-01
+ *         description: Fecha ISO inicial (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2025-06-30
+ *         description: Fecha ISO final (inclusive; una fecha sin hora incluye todo el día)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Entradas del log
+ *       400:
+ *         description: Filtros inválidos
+ *       403:
+ *         description: Requiere el permiso audit:read
+ */
+router.get('/', authorize('audit:read'), async (req, res) => {
+  try {
+    const { pathPrefix, actor, action, from, to, limit } = req.query;
+
+    const result = await auditService.query({ pathPrefix, actor, action, from, to, limit });
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json(result);
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error al consultar auditoría:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,31 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const admin = require('../../config/firebase');
+const AlquileresBackupService = require('../../services/AlquileresBackupService');
+const AlquileresRestoreService = require('../../services/AlquileresRestoreService');
+const AlquileresBackupStorageService = require('../../services/AlquileresBackupStorageService');
+const AlquileresAuditService = require('../../services/AlquileresAuditService');
+const { listCheckpoints } = require('../../utils/backupCheckpoints');
+const { authorize } = require('../middleware/authorize');
+const {
+  CURRENT_BACKUP_VERSION,
+  BACKUP_VERSIONS,
+  BACKUP_SCHEMA,
+  PROPERTY_BACKUP_SCHEMA
+} = require('../../utils/backupFormat');
+const {
+  isEncryptionConfigured,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup
+} = require('../../utils/backupEncryption');
+
+// Instancias de los servicios
+const backupService = new AlquileresBackupService();
+const restoreService = new AlquileresRestoreService();
+const storageService = new AlquileresBackupStorageService();
+const auditService = new AlquileresAuditService();
 
 /**
  * @swagger
@@ -15,6 +40,15 @@ const admin = require('../../config/firebase');
  *         units:
  *           type: array
  *           description: Collection independiente de unidades
+ *         leases:
+ *           type: array
+ *           description: Contratos de alquiler
+ *         tenants:
+ *           type: array
+ *           description: Inquilinos (sin datos personales salvo includePersonalData=true)
+ *         personalData:
+ *           type: boolean
+ *           description: Indica si tenants incluye los datos personales
  *         propertiesData:
  *           type: object
  *           description: Datos completos por propiedad (expenses + units con incomes)
@@ -24,135 +58,131 @@ const admin = require('../../config/firebase');
  *           description: Fecha y hora del backup
  *         version:
  *           type: string
- *           description: Versión del formato del backup
+ *           description: Versión del formato del backup (actual 2.0, ver GET /api/backup/schema)
+ *         type:
+ *           type: string
+ *           enum: [full, incremental]
+ *           description: Tipo de backup (en 1.0 solo presente en backups incrementales)
+ *         baseExportDate:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del backup base (solo incrementales)
+ *         deleted:
+ *           type: object
+ *           description: IDs eliminados desde el backup base, por tipo (solo incrementales)
+ *         checkpointId:
+ *           type: string
+ *           description: Checkpoint guardado para encadenar el siguiente incremental
+ *         manifest:
+ *           type: object
+ *           description: Hashes SHA-256 y cantidad de documentos por colección, propiedad y período (ver POST /api/backup/verify)
  */
 
 /**
- * Convierte Timestamps de Firestore a formato ISO string para JSON
+ * Configura headers para descargar el backup como archivo
  */
-const processFirestoreData = (data) => {
-  if (!data) return data;
-  
-  if (data instanceof admin.firestore.Timestamp) {
-    return data.toDate().toISOString();
-  }
-  
-  if (Array.isArray(data)) {
-    return data.map(item => processFirestoreData(item));
-  }
-  
-  if (typeof data === 'object' && data !== null) {
-    const processed = {};
-    for (const key in data) {
-      processed[key] = processFirestoreData(data[key]);
-    }
-    return processed;
-  }
-  
-  return data;
+const setDownloadHeaders = (res, filename) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
 };
 
 /**
- * Obtiene todos los documentos de una colección
+ * Nombre del archivo de descarga, con sufijo .enc.json si va encriptado
  */
-const getAllDocuments = async (collectionRef) => {
-  try {
-    const snapshot = await collectionRef.get();
-    const documents = [];
-    
-    snapshot.forEach(doc => {
-      documents.push({
-        id: doc.id,
-        ...processFirestoreData(doc.data())
-      });
-    });
-    
-    return documents;
-  } catch (error) {
-    console.error('Error al obtener documentos:', error);
-    return [];
-  }
+const buildFilename = (prefix, encrypt) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${prefix}-${timestamp}${encrypt ? '.enc' : ''}.json`;
 };
 
 /**
- * Obtiene todos los expenses de una propiedad en todos los períodos
+ * Envía el backup como JSON, encriptado si se pidió encrypt=true
  */
-const getAllExpenses = async (propertyId) => {
-  try {
-    const { listExpensePeriods, getExpenses } = require('../../utils/hierarchicalPath');
-    
-    const periods = await listExpensePeriods(admin.firestore(), propertyId);
-    const expensesByPeriod = {};
-    
-    for (const period of periods) {
-      const expenses = await getExpenses(admin.firestore(), propertyId, period.year, period.month);
-      if (expenses.length > 0) {
-        expensesByPeriod[period.periodKey] = expenses;
-      }
-    }
-    
-    return expensesByPeriod;
-  } catch (error) {
-    console.error(`Error al obtener expenses de propiedad ${propertyId}:`, error);
-    return {};
+const sendBackupJson = (res, data, encrypt) => {
+  return res.status(200).json(encrypt ? encryptBackup(data) : data);
+};
+
+/**
+ * Desencripta el backup recibido en el body (o cada backup de { chain }) si viene encriptado
+ */
+const readBackupBody = (body) => {
+  const decrypt = item => (isEncryptedBackup(item) ? decryptBackup(item) : item);
+  
+  if (body && Array.isArray(body.chain)) {
+    return { ...body, chain: body.chain.map(decrypt) };
   }
+  
+  return decrypt(body);
 };
 
 /**
- * Obtiene todos los incomes de una unidad en todos los períodos
+ * Escribe un registro NDJSON respetando el backpressure de la respuesta
  */
-const getAllIncomes = async (propertyId, unitId) => {
-  try {
-    const { listIncomePeriods, getIncomes } = require('../../utils/hierarchicalPath');
-    
-    const periods = await listIncomePeriods(admin.firestore(), propertyId, unitId);
-    const incomesByPeriod = {};
-    
-    for (const period of periods) {
-      const income = await getIncomes(admin.firestore(), propertyId, unitId, period.year, period.month);
-      if (income) {
-        incomesByPeriod[period.periodKey] = income;
-      }
-    }
-    
-    return incomesByPeriod;
-  } catch (error) {
-    console.error(`Error al obtener incomes de unidad ${unitId}:`, error);
-    return {};
+const writeNdjsonLine = (res, record) => {
+  if (res.write(JSON.stringify(record) + '\n')) {
+    return Promise.resolve();
   }
+  
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
 };
 
 /**
- * Obtiene datos completos de una propiedad
+ * Envía el backup completo como NDJSON: una línea de cabecera, un registro por documento
+ * (property, expense, propertyUnit, income, unit, lease, tenant) y al final las líneas de estadísticas y manifest
  */
-const getCompletePropertyData = async (propertyId, propertyData) => {
+const streamNdjsonBackup = async (req, res, includeDetails, includePersonalData) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `alquileres-backup-real-${timestamp}.ndjson`;
+  
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  res.status(200);
+  
+  const isCancelled = () => res.destroyed || res.writableEnded;
+  
+  await writeNdjsonLine(res, {
+    recordType: 'header',
+    version: CURRENT_BACKUP_VERSION,
+    exportDate: new Date().toISOString(),
+    structure: 'real',
+    format: 'ndjson',
+    includeDetails,
+    personalData: includePersonalData
+  });
+  
   try {
-    const { getPropertyUnits } = require('../../utils/hierarchicalPath');
-    
-    // Obtener expenses de la propiedad
-    const expenses = await getAllExpenses(propertyId);
-    
-    // Obtener unidades de la propiedad
-    const propertyUnits = await getPropertyUnits(admin.firestore(), propertyId);
+    const result = await backupService.streamFullBackup(
+      record => writeNdjsonLine(res, record),
+      { includeDetails, includePersonalData, isCancelled }
+    );
     
-    // Para cada unidad, obtener sus incomes
-    const unitsWithIncomes = [];
-    for (const unit of propertyUnits) {
-      const incomes = await getAllIncomes(propertyId, unit.id);
-      unitsWithIncomes.push({
-        ...unit,
-        incomes
-      });
+    if (!result) {
+      console.warn('Backup NDJSON cancelado: el cliente cerró la conexión');
+      return;
     }
     
-    return {
-      ...propertyData,
-      expenses,
-      units: unitsWithIncomes
-    };
+    await writeNdjsonLine(res, { recordType: 'stats', stats: result.stats });
+    await writeNdjsonLine(res, { recordType: 'manifest', manifest: result.manifest });
+    console.log('Backup NDJSON de alquileres completado. Estadísticas:', result.stats);
   } catch (error) {
-    console.error(`Error al obtener datos completos de propiedad ${propertyId}:`, error);
-    return propertyData;
+    // Los headers ya se enviaron: se informa el error como último registro
+    console.error('Error durante el backup NDJSON:', error);
+    if (!isCancelled()) {
+      await writeNdjsonLine(res, { recordType: 'error', error: error.message });
+    }
+  }
+  
+  if (!isCancelled()) {
+    res.end();
   }
 };
 
@@ -160,23 +190,59 @@ const getCompletePropertyData = async (propertyId, propertyData) => {
  * @swagger
  * /api/backup:
  *   get:
- *     summary: Exportar backup completo (Alquileres - Estructura Real)
- *     description: Exporta todos los datos de Firestore según la estructura real de alquileres
+ *     summary: Exportar backup completo o incremental (Alquileres - Estructura Real)
+ *     description: Exporta todos los datos de Firestore según la estructura real de alquileres. En modo incremental exporta solo lo creado o actualizado desde un backup anterior, más los IDs eliminados.
  *     tags: [Backup]
  *     parameters:
  *       - in: query
  *         name: format
  *         schema:
  *           type: string
- *           enum: [json, csv]
+ *           enum: [json, ndjson]
  *           default: json
- *         description: Formato del backup (solo JSON por ahora)
+ *         description: json devuelve un único objeto; ndjson transmite una línea por registro (header, property, expense, propertyUnit, income, unit, lease, tenant y al final stats y manifest) con memoria constante
  *       - in: query
  *         name: includeDetails
  *         schema:
  *           type: boolean
  *           default: true
  *         description: Incluir detalles completos (expenses e incomes por período)
+ *       - in: query
+ *         name: includePersonalData
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir los datos personales de los inquilinos (documentNumber, phone, email, emergencyContact, notes); sin este parámetro solo se exporta el nombre
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [full, incremental]
+ *           default: full
+ *         description: Tipo de backup
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: exportDate del backup anterior (modo incremental)
+ *       - in: query
+ *         name: checkpointId
+ *         schema:
+ *           type: string
+ *         description: Checkpoint base del incremental ('latest' para el más reciente)
+ *       - in: query
+ *         name: saveCheckpoint
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Guardar un checkpoint (fecha + inventario de documentos) para el siguiente incremental
+ *       - in: query
+ *         name: encrypt
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Encriptar la respuesta con AES-256-GCM (requiere BACKUP_ENCRYPTION_KEYS)
  *     responses:
  *       200:
  *         description: Backup generado exitosamente
@@ -184,124 +250,136 @@ const getCompletePropertyData = async (propertyId, propertyData) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AlquileresBackupData'
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Checkpoint no encontrado
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/', async (req, res) => {
+router.get('/', authorize('backup:read'), async (req, res) => {
   try {
-    const { format = 'json', includeDetails = 'true' } = req.query;
-    
-    console.log(`Iniciando backup de alquileres (estructura real)...`);
-    
-    // Inicializar objeto de backup
-    const backupData = {
-      version: '1.0',
-      exportDate: new Date().toISOString(),
-      structure: 'real', // Estructura real de la BD
-    };
+    const {
+      format = 'json',
+      includeDetails = 'true',
+      includePersonalData = 'false',
+      mode = 'full',
+      since,
+      checkpointId,
+      saveCheckpoint = 'false',
+      encrypt = 'false'
+    } = req.query;
     
-    console.log('Obteniendo propiedades principales...');
+    if (!['full', 'incremental'].includes(mode)) {
+      return res.status(400).json({ error: 'mode debe ser full o incremental' });
+    }
     
-    // 1. Obtener todas las propiedades
-    const propertiesRef = admin.firestore().collection('properties');
-    const propertiesSnapshot = await propertiesRef.get();
-    const properties = [];
+    if (!['json', 'ndjson'].includes(format)) {
+      return res.status(400).json({ error: 'format debe ser json o ndjson' });
+    }
     
-    propertiesSnapshot.forEach(doc => {
-      properties.push({
-        id: doc.id,
-        ...processFirestoreData(doc.data())
-      });
-    });
+    if (encrypt === 'true' && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Encriptación no configurada: definir BACKUP_ENCRYPTION_KEYS' });
+    }
     
-    backupData.properties = properties;
-    console.log(`Properties: ${properties.length} documentos`);
+    if (format === 'ndjson') {
+      if (mode !== 'full' || saveCheckpoint === 'true') {
+        return res.status(400).json({ error: 'format=ndjson solo está disponible para backups completos sin checkpoint' });
+      }
+      
+      if (encrypt === 'true') {
+        return res.status(400).json({ error: 'format=ndjson no admite encrypt=true, usar format=json' });
+      }
+      
+      console.log(`Iniciando backup NDJSON de alquileres (estructura real)...`);
+      return streamNdjsonBackup(req, res, includeDetails === 'true', includePersonalData === 'true');
+    }
     
-    // 2. Obtener collection independiente de units
-    console.log('Obteniendo collection independiente de units...');
-    const unitsRef = admin.firestore().collection('units');
-    const units = await getAllDocuments(unitsRef);
-    backupData.units = units;
-    console.log(`Units (independiente): ${units.length} documentos`);
+    let backupData;
     
-    // 3. Si se incluyen detalles, obtener datos completos por propiedad
-    if (includeDetails === 'true') {
-      console.log('Obteniendo datos completos por propiedad...');
+    if (mode === 'incremental') {
+      if (!since && !checkpointId) {
+        return res.status(400).json({ error: 'El modo incremental requiere since o checkpointId' });
+      }
       
-      const propertiesData = {};
-      let totalExpenses = 0;
-      let totalIncomes = 0;
-      let totalExpensePeriods = 0;
-      let totalIncomePeriods = 0;
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since debe ser una fecha ISO válida' });
+      }
       
-      for (const property of properties) {
-        console.log(`Procesando propiedad: ${property.name || property.id}`);
-        
-        const completeData = await getCompletePropertyData(property.id, property);
-        
-        // Contar estadísticas
-        const expensePeriods = Object.keys(completeData.expenses || {}).length;
-        const expenseItems = Object.values(completeData.expenses || {}).reduce((sum, items) => 
-          sum + (Array.isArray(items) ? items.length : 0), 0);
-        
-        let unitIncomes = 0;
-        let unitIncomePeriods = 0;
-        
-        (completeData.units || []).forEach(unit => {
-          const incomePeriods = Object.keys(unit.incomes || {}).length;
-          unitIncomePeriods += incomePeriods;
-          unitIncomes += incomePeriods; // Cada período es un income
-        });
-        
-        totalExpenses += expenseItems;
-        totalIncomes += unitIncomes;
-        totalExpensePeriods += expensePeriods;
-        totalIncomePeriods += unitIncomePeriods;
-        
-        propertiesData[property.id] = completeData;
-        
-        console.log(`  • ${property.name || property.id}: ${expenseItems} expenses en ${expensePeriods} períodos, ${unitIncomes} incomes en ${unitIncomePeriods} períodos`);
+      console.log(`Iniciando backup incremental de alquileres (estructura real)...`);
+      
+      const base = await backupService.resolveIncrementalBase({ since, checkpointId });
+      if (!base) {
+        return res.status(404).json({ error: 'Checkpoint no encontrado' });
       }
       
-      backupData.propertiesData = propertiesData;
+      backupData = await backupService.buildIncrementalBackup(base, {
+        includePersonalData: includePersonalData === 'true',
+        saveCheckpoint: saveCheckpoint === 'true'
+      });
+    } else {
+      console.log(`Iniciando backup de alquileres (estructura real)...`);
       
-      // Estadísticas detalladas
-      backupData.detailedStats = {
-        totalExpenses,
-        totalIncomes,
-        totalExpensePeriods,
-        totalIncomePeriods,
-        propertiesWithData: Object.keys(propertiesData).length
-      };
-    }
-    
-    // Generar estadísticas básicas
-    const stats = {
-      properties: properties.length,
-      unitsIndependent: units.length
-    };
-    
-    if (backupData.detailedStats) {
-      Object.assign(stats, backupData.detailedStats);
+      backupData = await backupService.buildFullBackup({
+        includeDetails: includeDetails === 'true',
+        includePersonalData: includePersonalData === 'true',
+        saveCheckpoint: saveCheckpoint === 'true'
+      });
+      
+      console.log('Backup de alquileres completado. Estadísticas:', backupData.stats);
     }
     
-    backupData.stats = stats;
-    
-    console.log('Backup de alquileres completado. Estadísticas:', backupData.stats);
-    
     // Configurar headers para descarga
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `alquileres-backup-real-${timestamp}.json`;
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    const prefix = mode === 'incremental' ? 'alquileres-backup-incremental' : 'alquileres-backup-real';
+    setDownloadHeaders(res, buildFilename(prefix, encrypt === 'true'));
     
     // Enviar el backup
-    return res.status(200).json(backupData);
+    return sendBackupJson(res, backupData, encrypt === 'true');
     
   } catch (error) {
     console.error('Error al generar backup de alquileres:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/checkpoints:
+ *   get:
+ *     summary: Listar checkpoints de backup
+ *     description: Lista los checkpoints guardados con saveCheckpoint=true, base de los backups incrementales
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Cantidad máxima de checkpoints
+ *     responses:
+ *       200:
+ *         description: Lista obtenida exitosamente
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/checkpoints', authorize('backup:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const checkpoints = await listCheckpoints(admin.firestore(), limit);
+    
+    return res.status(200).json({
+      checkpoints,
+      total: checkpoints.length
+    });
+    
+  } catch (error) {
+    console.error('Error al listar checkpoints:', error);
     return res.status(500).json({ 
       error: 'Error interno del servidor',
       details: error.message 
@@ -316,14 +394,27 @@ router.get('/', async (req, res) => {
  *     summary: Listar colecciones disponibles (Estructura Real)
  *     description: Lista todas las colecciones según la estructura real de alquileres
  *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: encrypt
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Encriptar la respuesta con AES-256-GCM (requiere BACKUP_ENCRYPTION_KEYS)
  *     responses:
  *       200:
  *         description: Lista de colecciones obtenida exitosamente
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/collections', async (req, res) => {
+router.get('/collections', authorize('backup:read'), async (req, res) => {
   try {
+    const encrypt = req.query.encrypt === 'true';
+    
+    if (encrypt && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Encriptación no configurada: definir BACKUP_ENCRYPTION_KEYS' });
+    }
+    
     const collections = [];
     
     // 1. Properties (principal)
@@ -346,7 +437,24 @@ router.get('/collections', async (req, res) => {
       path: 'units'
     });
     
-    // 3. Analizar estructura jerárquica por propiedad
+    // 3. Contratos e inquilinos (independientes)
+    const leasesSnapshot = await admin.firestore().collection('leases').get();
+    collections.push({
+      name: 'leases',
+      documentCount: leasesSnapshot.size,
+      type: 'independent',
+      path: 'leases'
+    });
+    
+    const tenantsSnapshot = await admin.firestore().collection('tenants').get();
+    collections.push({
+      name: 'tenants',
+      documentCount: tenantsSnapshot.size,
+      type: 'independent',
+      path: 'tenants'
+    });
+    
+    // 4. Analizar estructura jerárquica por propiedad
     let totalExpenses = 0;
     let totalIncomes = 0;
     let totalExpensePeriods = 0;
@@ -400,19 +508,21 @@ router.get('/collections', async (req, res) => {
       periods: totalIncomePeriods
     });
     
-    return res.status(200).json({
+    return sendBackupJson(res, {
       collections,
       totalCollections: collections.length,
       structure: 'real', // Estructura real
       summary: {
         properties: propertiesSnapshot.size,
         units: unitsSnapshot.size,
+        leases: leasesSnapshot.size,
+        tenants: tenantsSnapshot.size,
         expenses: totalExpenses,
         incomes: totalIncomes,
         expensePeriods: totalExpensePeriods,
         incomePeriods: totalIncomePeriods
       }
-    });
+    }, encrypt);
     
   } catch (error) {
     console.error('Error al listar colecciones:', error);
@@ -423,6 +533,7 @@ router.get('/collections', async (req, res) => {
   }
 });
 
+
 /**
  * @swagger
  * /api/backup/property/{propertyId}:
@@ -437,6 +548,12 @@ router.get('/collections', async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID de la propiedad
+ *       - in: query
+ *         name: encrypt
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Encriptar la respuesta con AES-256-GCM (requiere BACKUP_ENCRYPTION_KEYS)
  *     responses:
  *       200:
  *         description: Backup de propiedad generado exitosamente
@@ -445,47 +562,645 @@ router.get('/collections', async (req, res) => {
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/property/:propertyId', async (req, res) => {
+router.get('/property/:propertyId', authorize('backup:read', { property: req => req.params.propertyId }), async (req, res) => {
   try {
     const { propertyId } = req.params;
+    const encrypt = req.query.encrypt === 'true';
     
-    // Verificar que la propiedad existe
-    const propertyDoc = await admin.firestore()
-      .collection('properties')
-      .doc(propertyId)
-      .get();
+    if (encrypt && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Encriptación no configurada: definir BACKUP_ENCRYPTION_KEYS' });
+    }
+    
+    const backupData = await backupService.buildPropertyBackup(propertyId);
     
-    if (!propertyDoc.exists) {
+    if (!backupData) {
       return res.status(404).json({ error: 'Propiedad no encontrada' });
     }
     
-    const propertyData = {
-      id: propertyDoc.id,
-      ...processFirestoreData(propertyDoc.data())
-    };
+    // Configurar headers para descarga
+    setDownloadHeaders(res, buildFilename(`alquileres-property-${propertyId}`, encrypt));
+    
+    return sendBackupJson(res, backupData, encrypt);
+    
+  } catch (error) {
+    console.error('Error al generar backup de propiedad:', error);
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/stored:
+ *   post:
+ *     summary: Generar un backup y guardarlo en el almacenamiento del servidor
+ *     description: Usa el export completo o por propiedad y lo guarda con el adaptador configurado (BACKUP_STORAGE_TYPE). Después aplica la política de retención.
+ *     tags: [Backup]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [full, property]
+ *                 description: Tipo de backup (default full)
+ *               propertyId:
+ *                 type: string
+ *                 description: ID de la propiedad (requerido para scope property)
+ *               includeDetails:
+ *                 type: boolean
+ *                 description: Incluir expenses e incomes (default true)
+ *               includePersonalData:
+ *                 type: boolean
+ *                 description: Incluir los datos personales de los inquilinos (default false)
+ *               applyRetention:
+ *                 type: boolean
+ *                 description: Aplicar la política de retención después de guardar (default true)
+ *               retention:
+ *                 type: object
+ *                 description: Política a aplicar, ej. { monthly 12, weekly 8 } (default BACKUP_RETENTION)
+ *               encrypt:
+ *                 type: boolean
+ *                 description: Guardar el backup encriptado con AES-256-GCM (default false)
+ *     responses:
+ *       201:
+ *         description: Backup guardado exitosamente
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Propiedad no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ *   get:
+ *     summary: Listar backups guardados en el servidor
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [full, property]
+ *         description: Filtrar por tipo de backup
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por propiedad
+ *     responses:
+ *       200:
+ *         description: Lista obtenida exitosamente
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/stored', authorize('backup:create'), async (req, res) => {
+  try {
+    const options = req.body || {};
+    
+    if (options.scope && !['full', 'property'].includes(options.scope)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'scope debe ser full o property' 
+      });
+    }
+    
+    if (options.scope === 'property' && !options.propertyId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Se requiere propertyId para scope property' 
+      });
+    }
+    
+    if (options.encrypt === true && !isEncryptionConfigured()) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Encriptación no configurada: definir BACKUP_ENCRYPTION_KEYS' 
+      });
+    }
     
-    // Obtener datos completos
-    const completeData = await getCompletePropertyData(propertyId, propertyData);
+    const result = await storageService.createBackup(options);
+    
+    if (result.success) {
+      return res.status(201).json(result);
+    }
+    
+    return res.status(result.notFound ? 404 : 500).json(result);
+    
+  } catch (error) {
+    console.error('Error al guardar backup:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/stored', authorize('backup:read'), async (req, res) => {
+  try {
+    const { scope, propertyId } = req.query;
+    const backups = await storageService.listBackups({ scope, propertyId });
     
-    const backupData = {
-      propertyId,
-      exportDate: new Date().toISOString(),
-      data: completeData
+    return res.status(200).json({
+      backups,
+      total: backups.length
+    });
+    
+  } catch (error) {
+    console.error('Error al listar backups guardados:', error);
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/stored/retention:
+ *   post:
+ *     summary: Aplicar la política de retención a los backups guardados
+ *     description: Conserva el backup más reciente de cada uno de los últimos N días/semanas/meses/años. Los backups completos y los de cada propiedad se rotan por separado.
+ *     tags: [Backup]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policy:
+ *                 type: object
+ *                 description: Reglas keepLast, daily, weekly, monthly, yearly (default BACKUP_RETENTION)
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Solo simular, no eliminar (default false)
+ *             example:
+ *               policy:
+ *                 monthly: 12
+ *                 weekly: 8
+ *               dryRun: true
+ *     responses:
+ *       200:
+ *         description: Retención aplicada
+ *       400:
+ *         description: Política inválida
+ */
+router.post('/stored/retention', authorize('backup:delete'), async (req, res) => {
+  try {
+    const { policy, dryRun = false } = req.body || {};
+    
+    const result = await storageService.applyRetention(policy, { dryRun: dryRun === true });
+    
+    return res.status(result.success ? 200 : 400).json(result);
+    
+  } catch (error) {
+    console.error('Error al aplicar retención de backups:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/stored/{backupId}:
+ *   get:
+ *     summary: Descargar un backup guardado
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: path
+ *         name: backupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del backup guardado
+ *       - in: query
+ *         name: decrypt
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Desencriptar en el servidor si el backup se guardó encriptado
+ *     responses:
+ *       200:
+ *         description: Archivo del backup
+ *       400:
+ *         description: No se pudo desencriptar el backup
+ *       404:
+ *         description: Backup no encontrado
+ *   delete:
+ *     summary: Eliminar un backup guardado
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: path
+ *         name: backupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del backup guardado
+ *     responses:
+ *       200:
+ *         description: Backup eliminado
+ *       404:
+ *         description: Backup no encontrado
+ */
+router.get('/stored/:backupId', authorize('backup:read'), async (req, res) => {
+  try {
+    const { backupId } = req.params;
+    
+    if (!storageService.isValidBackupId(backupId)) {
+      return res.status(400).json({ error: 'ID de backup inválido' });
+    }
+    
+    const metadata = await storageService.getBackup(backupId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Backup no encontrado' });
+    }
+    
+    if (metadata.encrypted && req.query.decrypt === 'true') {
+      let backupData;
+      try {
+        backupData = await storageService.readDecryptedBackup(backupId);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      setDownloadHeaders(res, `${backupId}.json`);
+      return res.status(200).json(backupData);
+    }
+    
+    setDownloadHeaders(res, metadata.filename || `${backupId}.json`);
+    
+    const stream = storageService.openBackupStream(backupId);
+    stream.on('error', (error) => {
+      console.error('Error al leer backup guardado:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Error al leer el backup' });
+      }
+      res.destroy(error);
+    });
+    
+    return stream.pipe(res);
+    
+  } catch (error) {
+    console.error('Error al descargar backup guardado:', error);
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/stored/:backupId', authorize('backup:delete'), async (req, res) => {
+  try {
+    const { backupId } = req.params;
+    
+    if (!storageService.isValidBackupId(backupId)) {
+      return res.status(400).json({ error: 'ID de backup inválido' });
+    }
+    
+    const deleted = await storageService.deleteBackup(backupId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Backup no encontrado' });
+    }
+    
+    await auditService.record(req, {
+      action: 'delete',
+      path: `backups/${backupId}`,
+      before: null,
+      after: null
+    });
+    
+    return res.status(200).json({ message: 'Backup eliminado con éxito', id: backupId });
+    
+  } catch (error) {
+    console.error('Error al eliminar backup guardado:', error);
+    return res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/schema:
+ *   get:
+ *     summary: Esquema (JSON Schema) del formato de backup actual
+ *     description: Devuelve la versión actual, las versiones soportadas y los esquemas del backup completo/incremental y del backup por propiedad. Los Timestamps de Firestore se codifican como { "$timestamp" "ISO 8601" }.
+ *     tags: [Backup]
+ *     responses:
+ *       200:
+ *         description: Esquemas del formato de backup
+ */
+router.get('/schema', authorize('backup:read'), (req, res) => {
+  return res.status(200).json({
+    currentVersion: CURRENT_BACKUP_VERSION,
+    supportedVersions: BACKUP_VERSIONS,
+    schemas: {
+      backup: BACKUP_SCHEMA,
+      propertyBackup: PROPERTY_BACKUP_SCHEMA
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/backup/validate:
+ *   post:
+ *     summary: Validar un backup contra el esquema del formato actual
+ *     description: Acepta backups completos, incrementales o por propiedad de cualquier versión soportada (y encriptados). Los de versiones anteriores se convierten a la versión actual antes de validar.
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: convert
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir en la respuesta el backup convertido a la versión actual (sin manifest)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlquileresBackupData'
+ *     responses:
+ *       200:
+ *         description: Validación completada (valid y errors indican el resultado)
+ *       400:
+ *         description: No se pudo desencriptar el backup
+ */
+router.post('/validate', authorize('backup:read'), (req, res) => {
+  try {
+    let backupData;
+    try {
+      backupData = readBackupBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    const { backup, ...result } = backupService.validateBackupFormat(backupData);
+    
+    if (req.query.convert === 'true' && result.valid) {
+      result.backup = backup;
+    }
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error al validar backup:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/verify:
+ *   post:
+ *     summary: Verificar la integridad de un backup contra su manifest
+ *     description: Recalcula los hashes SHA-256 del archivo (completo, incremental o por propiedad) y los compara con su manifest. Con live=true también lo compara con los datos actuales de Firestore. Acepta backups encriptados.
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: live
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Comparar también con los datos actuales de Firestore
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlquileresBackupData'
+ *     responses:
+ *       200:
+ *         description: Verificación completada (valid indica si el archivo coincide con su manifest)
+ *       400:
+ *         description: Formato de backup no reconocido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/verify', authorize('backup:read'), async (req, res) => {
+  try {
+    const live = req.query.live === 'true';
+    
+    let backupData;
+    try {
+      backupData = readBackupBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    const result = await backupService.verifyBackup(backupData, { live });
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    console.log(`Verificación de backup: ${result.valid ? 'válido' : 'con diferencias'} (${result.mismatches.length} diferencias)`);
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error al verificar backup:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/diff:
+ *   post:
+ *     summary: Comparar dos backups o un backup con los datos actuales
+ *     description: Devuelve properties, units, leases, tenants, units de propiedad, expenses (por período) e incomes (por período) agregados, eliminados y modificados, con el valor anterior y posterior de cada campo. Enviar { before, after } para comparar dos backups, o { backup } para compararlo con Firestore. Si uno es por propiedad, la comparación se limita a esa propiedad. Acepta backups encriptados.
+ *     tags: [Backup]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               before:
+ *                 $ref: '#/components/schemas/AlquileresBackupData'
+ *               after:
+ *                 $ref: '#/components/schemas/AlquileresBackupData'
+ *               backup:
+ *                 $ref: '#/components/schemas/AlquileresBackupData'
+ *     responses:
+ *       200:
+ *         description: Comparación completada (changes agrupados por tipo en added, removed y modified)
+ *       400:
+ *         description: Body o formato de backup inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/diff', authorize('backup:read'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const compareWithLive = body.backup !== undefined;
+    
+    if (!compareWithLive && (body.before === undefined || body.after === undefined)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Enviar { before, after } para comparar dos backups o { backup } para compararlo con los datos actuales' 
+      });
+    }
+    
+    let before;
+    let after;
+    try {
+      before = readBackupBody(compareWithLive ? body.backup : body.before);
+      after = compareWithLive ? null : readBackupBody(body.after);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    const result = compareWithLive
+      ? await backupService.diffWithLiveData(before)
+      : await backupService.diffBackups(before, after);
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    console.log(`Diff de backups (${result.after.source}): ${result.summary.totalChanges} cambios`);
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error al comparar backups:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/backup/restore:
+ *   post:
+ *     summary: Restaurar un backup completo o una cadena de incrementales en Firestore (Estructura Real)
+ *     description: Recibe el JSON exacto generado por GET /api/backup (encriptado o no) y reconstruye properties, units, expenses por período y units con incomes. Para aplicar un backup completo más sus incrementales enviar { chain: [completo, incremental1, incremental2, ...] }
+ *     tags: [Backup]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Solo simular, no escribir en Firestore
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [merge, overwrite]
+ *           default: merge
+ *         description: merge combina campos con los documentos existentes, overwrite reemplaza cada documento
+ *       - in: query
+ *         name: propertyIds
+ *         schema:
+ *           type: string
+ *         description: Lista de propertyId separados por coma para restaurar solo esas propiedades
+ *       - in: query
+ *         name: restoreTimestamps
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Convertir los valores { "$timestamp" } (y en backups 1.0 los createdAt/updatedAt de properties y units) a Timestamp de Firestore
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/AlquileresBackupData'
+ *               - type: object
+ *                 properties:
+ *                   chain:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/AlquileresBackupData'
+ *     responses:
+ *       200:
+ *         description: Restauración completada (incluye reporte de escritos y omitidos)
+ *       400:
+ *         description: Backup o parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/restore', authorize('backup:restore'), async (req, res) => {
+  try {
+    const {
+      dryRun = 'false',
+      mode = 'merge',
+      propertyIds,
+      restoreTimestamps = 'true'
+    } = req.query;
+    
+    const options = {
+      dryRun: dryRun === 'true',
+      mode,
+      propertyIds: propertyIds ? propertyIds.split(',').map(id => id.trim()).filter(Boolean) : [],
+      restoreTimestamps: restoreTimestamps !== 'false'
     };
     
-    // Configurar headers para descarga
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `alquileres-property-${propertyId}-${timestamp}.json`;
+    console.log('Iniciando restauración de backup de alquileres...', options);
     
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    let body;
+    try {
+      body = readBackupBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     
-    return res.status(200).json(backupData);
+    const result = Array.isArray(body && body.chain)
+      ? await restoreService.restoreChain(body.chain, options)
+      : await restoreService.restoreBackup(body, options);
+    
+    if (result.success) {
+      console.log('Restauración completada:', result.summary);
+      
+      // Auditoría: una sola entrada por ejecución con los totales (no una por documento)
+      if (!result.summary.dryRun) {
+        await auditService.record(req, {
+          action: 'update',
+          path: 'properties',
+          runId: crypto.randomUUID(),
+          after: result.summary,
+          details: { propertyIds: options.propertyIds }
+        });
+      }
+      
+      return res.status(200).json(result);
+    }
+    
+    if (result.validationErrors) {
+      return res.status(400).json(result);
+    }
+    
+    console.error('Error en restauración:', result.error);
+    return res.status(500).json(result);
     
   } catch (error) {
-    console.error('Error al generar backup de propiedad:', error);
+    console.error('Error al restaurar backup de alquileres:', error);
     return res.status(500).json({ 
+      success: false,
       error: 'Error interno del servidor',
       details: error.message 
     });
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const AlquileresExportService = require('../../services/AlquileresExportService');
+const { authorize, getAccess, restrictPropertyIds } = require('../middleware/authorize');
+
+// Instancia del servicio
+const exportService = new AlquileresExportService();
+
+/**
+ * Convierte un parámetro "a,b,c" en array
+ */
+const parseList = (value) => {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * @swagger
+ * /api/export/ledger:
+ *   get:
+ *     summary: Exportar expenses e incomes como libro contable (CSV o XLSX)
+ *     description: Aplana los expenses por período y los incomes de cada unidad en una fila por registro, con las columnas type, propertyId, propertyName, unitId, unit, period, id, description, amount, isRecurring, dueDate, paid y paymentDate.
+ *     tags: [Export]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: Formato del archivo
+ *       - in: query
+ *         name: layout
+ *         schema:
+ *           type: string
+ *           enum: [combined, byProperty]
+ *           default: combined
+ *         description: combined genera un único libro; byProperty una hoja por propiedad (solo xlsx)
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *         description: IDs de propiedad separados por coma (para managers, por defecto sus propiedades)
+ *       - in: query
+ *         name: unitId
+ *         schema:
+ *           type: string
+ *         description: IDs de unidad separados por coma (los expenses se incluyen solo si tienen ese unitId)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2025-01
+ *         description: Período inicial YYYY-MM (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2025-12
+ *         description: Período final YYYY-MM (inclusive)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [all, expense, income]
+ *           default: all
+ *         description: Tipo de registros
+ *     responses:
+ *       200:
+ *         description: Archivo CSV o XLSX
+ *       400:
+ *         description: Parámetros inválidos
+ *       403:
+ *         description: Sin acceso a alguna de las propiedades pedidas
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/ledger', authorize('reports:read', { list: true }), async (req, res) => {
+  try {
+    const { format = 'csv', layout = 'combined', from, to, type = 'all' } = req.query;
+
+    // Los managers solo pueden exportar sus propiedades
+    const { propertyIds, error } = restrictPropertyIds(getAccess(req), parseList(req.query.propertyId));
+    if (error) {
+      return res.status(403).json({ error: 'Acceso denegado', details: error });
+    }
+
+    const result = await exportService.exportLedger({
+      format,
+      layout,
+      filters: {
+        propertyIds,
+        unitIds: parseList(req.query.unitId),
+        from,
+        to,
+        type
+      }
+    });
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json(result);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `alquileres-ledger-${timestamp}.${result.extension}`;
+
+    console.log(`Export de libro contable (${format}, ${layout}): ${result.rowCount} filas`);
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    return res.status(200).send(result.content);
+
+  } catch (error) {
+    console.error('Error al exportar libro contable:', error);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
+const admin = require('../../config/firebase');
 const AlquileresRecurringService = require('../../services/AlquileresRecurringService');
+const AlquileresRentRollService = require('../../services/AlquileresRentRollService');
+const AlquileresAuditService = require('../../services/AlquileresAuditService');
+const { authorize, getAccess, canAccessProperty } = require('../middleware/authorize');
+const { validateEntity } = require('../../utils/entitySchemas');
+const { parseListQuery, paginate } = require('../../utils/pagination');
 
-// Instancia del servicio
+// Orden del detalle por propiedad de GET /summary (ver utils/pagination)
+const SUMMARY_LIST = {
+  sortFields: ['propertyName', 'totalExpenses', 'recurringExpenses'],
+  defaultSort: 'propertyName'
+};
+
+// Instancias de los servicios
 const recurringService = new AlquileresRecurringService();
+const rentRollService = new AlquileresRentRollService();
+const auditService = new AlquileresAuditService();
 
 /**
  * @swagger
@@ -46,38 +61,19 @@ const recurringService = new AlquileresRecurringService();
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', authorize('recurring:generate'), async (req, res) => {
   try {
-    const options = req.body || {};
-    
-    // Validar opciones
-    if (options.targetYear && (options.targetYear < 2020 || options.targetYear > 2030)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'targetYear debe estar entre 2020 y 2030' 
-      });
-    }
-    
-    if (options.targetMonth && (options.targetMonth < 1 || options.targetMonth > 12)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'targetMonth debe estar entre 1 y 12' 
-      });
-    }
-    
-    if (options.sourceYear && (options.sourceYear < 2020 || options.sourceYear > 2030)) {
+    // Validar opciones (los números pueden llegar como texto)
+    const validation = validateEntity('recurringOptions', req.body || {});
+    if (!validation.valid) {
       return res.status(400).json({ 
         success: false, 
-        error: 'sourceYear debe estar entre 2020 y 2030' 
+        error: validation.error,
+        errors: validation.errors
       });
     }
     
-    if (options.sourceMonth && (options.sourceMonth < 1 || options.sourceMonth > 12)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'sourceMonth debe estar entre 1 y 12' 
-      });
-    }
+    const options = validation.value;
     
     console.log(`Iniciando generación de registros recurrentes de alquileres (estructura real)`, options);
     
@@ -86,6 +82,27 @@ router.post('/generate', async (req, res) => {
     
     if (result.success) {
       console.log(`Generación completada:`, result.summary);
+      
+      // Auditoría: una entrada por la ejecución y una por cada expense creado
+      if (!result.summary.dryRun) {
+        const runId = crypto.randomUUID();
+        const createdEntries = [];
+        
+        for (const path of result.expenses.createdPaths) {
+          createdEntries.push({
+            action: 'create',
+            path,
+            runId,
+            after: await auditService.snapshot(admin.firestore().doc(path))
+          });
+        }
+        
+        await auditService.recordMany(req, [
+          { action: 'generate', path: 'properties', runId, after: result.summary },
+          ...createdEntries
+        ]);
+      }
+      
       return res.status(200).json(result);
     } else {
       console.error(`Error en generación:`, result.error);
@@ -102,6 +119,92 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/recurring/rent-roll:
+ *   post:
+ *     summary: Genera el income esperado de cada unidad según su contrato (rent roll)
+ *     description: Para cada unidad con un contrato vigente en el período destino agrega a properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM} un item 'rent' con el rent del contrato, su vencimiento (dueDay) y el leaseId. No copia el mes anterior. Es idempotente - las unidades que ya tienen el item del contrato o un item 'rent' se omiten. Devuelve un reporte por unidad.
+ *     tags: [Recurring]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetYear:
+ *                 type: number
+ *                 description: Año destino (opcional, por defecto siguiente mes)
+ *               targetMonth:
+ *                 type: number
+ *                 description: Mes destino (opcional, por defecto siguiente mes)
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Solo simular, no crear registros (default false)
+ *             example:
+ *               targetYear: 2025
+ *               targetMonth: 7
+ *               dryRun: true
+ *     responses:
+ *       200:
+ *         description: Rent roll generado (units tiene una línea por unidad con action create, skip o error y su reason)
+ *       400:
+ *         description: Error en los parámetros de entrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/rent-roll', authorize('recurring:generate'), async (req, res) => {
+  try {
+    const validation = validateEntity('rentRollOptions', req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validation.error,
+        errors: validation.errors
+      });
+    }
+    
+    const result = await rentRollService.generateRentRoll(validation.value);
+    
+    if (!result.success) {
+      console.error(`Error en rent roll:`, result.error);
+      return res.status(500).json(result);
+    }
+    
+    // Auditoría: una entrada por la ejecución y una por cada income creado o actualizado
+    if (!result.summary.dryRun) {
+      const runId = crypto.randomUUID();
+      const createdEntries = [];
+      
+      for (const unit of result.units.filter(unit => unit.action === 'create')) {
+        createdEntries.push({
+          action: unit.newPeriod ? 'create' : 'update',
+          path: unit.path,
+          runId,
+          after: await auditService.snapshot(admin.firestore().doc(unit.path)),
+          details: { itemId: unit.itemId, leaseId: unit.leaseId }
+        });
+      }
+      
+      await auditService.recordMany(req, [
+        { action: 'generate', path: 'properties', runId, after: result.summary },
+        ...createdEntries
+      ]);
+    }
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    console.error('Error en endpoint de rent roll:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/recurring/summary:
@@ -122,15 +225,35 @@ router.post('/generate', async (req, res) => {
  *         schema:
  *           type: number
  *         description: Mes
+ *       - in: query
+ *         name: includeExpenses
+ *         schema:
+ *           type: boolean
+ *         description: Incluir el detalle de expenses de cada propiedad (default true)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *         description: Propiedades por página (los totales siempre incluyen todas)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor de la página anterior
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: propertyName (default), totalExpenses o recurringExpenses; con - para orden descendente
  *     responses:
  *       200:
- *         description: Resumen obtenido exitosamente
+ *         description: Resumen obtenido exitosamente (con nextCursor si hay más propiedades)
  *       400:
  *         description: Error en los parámetros
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', authorize('reports:read'), async (req, res) => {
   try {
     const { year, month } = req.query;
     
@@ -158,10 +281,31 @@ router.get('/summary', async (req, res) => {
       });
     }
     
+    const { options, error } = parseListQuery(req.query, SUMMARY_LIST);
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
     // Obtener resumen
-    const result = await recurringService.getDataSummary(yearNum, monthNum);
+    const result = await recurringService.getDataSummary(yearNum, monthNum, {
+      includeExpenses: req.query.includeExpenses !== 'false'
+    });
     
-    return res.status(200).json(result);
+    if (!result.success) {
+      return res.status(200).json(result);
+    }
+    
+    // Los totales son de todas las propiedades; solo se pagina el detalle por propiedad
+    const page = paginate(result.summary.propertiesSummary, options, property => property.propertyId);
+    
+    return res.status(200).json({
+      ...result,
+      summary: { ...result.summary, propertiesSummary: page.items },
+      nextCursor: page.nextCursor
+    });
     
   } catch (error) {
     console.error('Error en endpoint de resumen:', error);
@@ -203,9 +347,18 @@ router.get('/summary', async (req, res) => {
  *       200:
  *         description: Validación completada
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', authorize('recurring:validate'), async (req, res) => {
   try {
-    const options = req.body || {};
+    const validation = validateEntity('recurringOptions', req.body || {});
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validation.error,
+        errors: validation.errors
+      });
+    }
+    
+    const options = validation.value;
     
     // Calcular fechas usando la misma lógica del servicio
     const today = new Date();
@@ -229,8 +382,8 @@ router.post('/validate', async (req, res) => {
     
     // Obtener resúmenes de ambos períodos
     const [sourceData, targetData] = await Promise.all([
-      recurringService.getDataSummary(sourceYear, sourceMonth),
-      recurringService.getDataSummary(targetYear, targetMonth)
+      recurringService.getDataSummary(sourceYear, sourceMonth, { includeExpenses: false }),
+      recurringService.getDataSummary(targetYear, targetMonth, { includeExpenses: false })
     ]);
     
     const warnings = [];
@@ -296,7 +449,7 @@ router.post('/validate', async (req, res) => {
  * /api/recurring/expenses/{year}/{month}/recurring:
  *   get:
  *     summary: Obtiene todos los expenses recurrentes de un período específico
- *     description: Lista todos los expenses marcados como recurrentes en un mes de todas las propiedades
+ *     description: Lista todos los expenses marcados como recurrentes en un mes de todas las propiedades (los managers solo ven las suyas)
  *     tags: [Recurring]
  *     parameters:
  *       - in: path
@@ -319,7 +472,7 @@ router.post('/validate', async (req, res) => {
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/expenses/:year/:month/recurring', async (req, res) => {
+router.get('/expenses/:year/:month/recurring', authorize('expenses:read', { list: true }), async (req, res) => {
   try {
     const { year, month } = req.params;
     
@@ -343,6 +496,14 @@ router.get('/expenses/:year/:month/recurring', async (req, res) => {
     // Obtener todos los expenses recurrentes
     const result = await recurringService.getAllRecurringExpenses(yearNum, monthNum);
     
+    // Los managers solo ven los de sus propiedades
+    if (result.success) {
+      const access = getAccess(req);
+      result.propertiesData = result.propertiesData.filter(property => canAccessProperty(access, property.propertyId));
+      result.propertiesWithRecurring = result.propertiesData.length;
+      result.totalCount = result.propertiesData.reduce((sum, property) => sum + property.expenses.length, 0);
+    }
+    
     return res.status(200).json(result);
     
   } catch (error) {
@@ -389,7 +550,7 @@ router.get('/expenses/:year/:month/recurring', async (req, res) => {
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/properties/:propertyId/expenses/:year/:month/recurring', async (req, res) => {
+router.get('/properties/:propertyId/expenses/:year/:month/recurring', authorize('expenses:read', { property: req => req.params.propertyId }), async (req, res) => {
   try {
     const { propertyId, year, month } = req.params;
     
@@ -471,16 +632,20 @@ router.get('/properties/:propertyId/expenses/:year/:month/recurring', async (req
  *               - isRecurring
  *     responses:
  *       200:
- *         description: Estado actualizado exitosamente
+ *         description: Estado actualizado exitosamente (header ETag con la nueva versión del expense)
  *       400:
  *         description: Error en los parámetros
+ *       404:
+ *         description: Expense no encontrado
+ *       412:
+ *         description: El header If-Match no coincide con el ETag actual del expense
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/properties/:propertyId/expenses/:year/:month/:expenseId/recurring', async (req, res) => {
+router.put('/properties/:propertyId/expenses/:year/:month/:expenseId/recurring', authorize('expenses:write', { property: req => req.params.propertyId }), async (req, res) => {
   try {
     const { propertyId, year, month, expenseId } = req.params;
-    const { isRecurring } = req.body;
+    const validation = validateEntity('expense', { isRecurring: (req.body || {}).isRecurring }, { partial: true });
     
     // Validar parámetros
     if (!propertyId || !expenseId) {
@@ -490,13 +655,16 @@ router.put('/properties/:propertyId/expenses/:year/:month/:expenseId/recurring',
       });
     }
     
-    if (typeof isRecurring !== 'boolean') {
+    if (!validation.valid) {
       return res.status(400).json({ 
         success: false, 
-        error: 'isRecurring debe ser boolean' 
+        error: validation.error,
+        errors: validation.errors
       });
     }
     
+    const { isRecurring } = validation.value;
+    
     const yearNum = parseInt(year);
     const monthNum = parseInt(month);
     
@@ -514,12 +682,41 @@ router.put('/properties/:propertyId/expenses/:year/:month/:expenseId/recurring',
       });
     }
     
-    // Actualizar estado de recurrencia
+    // Actualizar estado de recurrencia (con If-Match, solo si el expense no cambió desde que se leyó)
     const result = await recurringService.setExpenseRecurring(
-      propertyId, yearNum, monthNum, expenseId, isRecurring
+      propertyId, yearNum, monthNum, expenseId, isRecurring, { ifMatch: req.get('If-Match') }
     );
     
-    return res.status(200).json(result);
+    if (result.preconditionFailed) {
+      return res.status(412).set('ETag', result.etag).json({ 
+        success: false, 
+        error: result.error,
+        etag: result.etag
+      });
+    }
+    
+    if (result.notFound) {
+      return res.status(404).json({ 
+        success: false, 
+        error: result.error 
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(200).json(result);
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(200).set('ETag', result.etag).json({
+      success: true,
+      message: result.message
+    });
     
   } catch (error) {
     console.error('Error en endpoint de actualización de recurrencia:', error);
@@ -553,6 +750,7 @@ router.get('/health', async (req, res) => {
       note: 'Adaptado para la estructura real de la base de datos',
       supportedOperations: [
         'Generate recurring expenses by property',
+        'Generate expected rent incomes from leases (rent roll)',
         'Mark expenses as recurring/non-recurring',
         'Get summary by period across all properties',
         'Validate generation feasibility'
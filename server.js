@@ -3,9 +3,42 @@ const cors = require('cors');
 // Importar Firebase desde la configuración centralizada
 const admin = require('./config/firebase');
 
+// Importar middleware de autenticación
+const { authenticate } = require('./api/middleware/auth');
+const { authorize, getAccess, canAccessProperty, restrictPropertyIds } = require('./api/middleware/authorize');
+
+// Esquemas de validación de las entidades
+const { validateEntity } = require('./utils/entitySchemas');
+const { parseListQuery, paginate, isPaginated } = require('./utils/pagination');
+const { computeETag, updateIfMatch } = require('./utils/etag');
+const { findCurrentLease, findLeasesForPeriod, summarizeLease } = require('./utils/leases');
+
 // Importar rutas
 const backupRoutes = require('./api/routes/backup');
 const recurringRoutes = require('./api/routes/recurring');
+const exportRoutes = require('./api/routes/export');
+const adminRoutes = require('./api/routes/admin');
+const auditRoutes = require('./api/routes/audit');
+
+// Servicio de auditoría para las mutaciones de este archivo
+const AlquileresAuditService = require('./services/AlquileresAuditService');
+const AlquileresPropertyService = require('./services/AlquileresPropertyService');
+const AlquileresUnitService = require('./services/AlquileresUnitService');
+const AlquileresUnitReconciliationService = require('./services/AlquileresUnitReconciliationService');
+const AlquileresExpenseService = require('./services/AlquileresExpenseService');
+const AlquileresIncomeService = require('./services/AlquileresIncomeService');
+const AlquileresTransactionService = require('./services/AlquileresTransactionService');
+const AlquileresLeaseService = require('./services/AlquileresLeaseService');
+const AlquileresTenantService = require('./services/AlquileresTenantService');
+const auditService = new AlquileresAuditService();
+const propertyService = new AlquileresPropertyService();
+const unitService = new AlquileresUnitService();
+const unitReconciliationService = new AlquileresUnitReconciliationService();
+const expenseService = new AlquileresExpenseService();
+const incomeService = new AlquileresIncomeService();
+const transactionService = new AlquileresTransactionService();
+const leaseService = new AlquileresLeaseService();
+const tenantService = new AlquileresTenantService();
 
 // Crear la aplicación Express
 const app = express();
@@ -15,10 +48,15 @@ const PORT = process.env.PORT || 3002;
 app.use(cors({
   origin: ['https://alquileres-app.vercel.app', 'http://localhost:3000', 'http://localhost:3001'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true
 }));
-app.use(express.json());
+// Límite ampliado para poder recibir archivos de backup completos
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '50mb' }));
+
+// Exigir ID token de Firebase o API key en todas las rutas salvo los health checks
+app.use(authenticate);
 
 // UTILIDAD CENTRALIZADA PARA TIMESTAMPS
 // =====================================
@@ -51,6 +89,97 @@ const processFirestoreTimestamps = (data) => {
   return data;
 };
 
+/**
+ * Convierte un parámetro "a,b,c" en array
+ */
+const parseList = (value) => {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Responde 412 cuando el If-Match de una actualización no coincide, con el ETag actual del documento
+ */
+const sendPreconditionFailed = (res, result) => {
+  return res.set('ETag', result.etag).status(412).json({ error: result.error, etag: result.etag });
+};
+
+// status=active (default) | archived | all para los listados de properties y units
+const ARCHIVE_STATUS_FILTER = {
+  values: ['active', 'archived', 'all'],
+  default: 'active',
+  match: (item, status) => status === 'all' || (status === 'archived') === (item.archived === true)
+};
+
+// Filtros y orden de GET /api/properties (ver utils/pagination)
+const PROPERTY_LIST = {
+  sortFields: ['name', 'city', 'type', 'createdAt', 'updatedAt'],
+  defaultSort: 'name',
+  filters: {
+    status: ARCHIVE_STATUS_FILTER,
+    active: { type: 'boolean', missing: true },
+    city: { type: 'string' },
+    type: { type: 'string' }
+  }
+};
+
+// Filtros y orden de GET /api/units y GET /api/properties/:propertyId/units
+const UNIT_LIST = {
+  sortFields: ['name', 'number', 'unitNumber', 'type', 'propertyId', 'createdAt', 'updatedAt'],
+  defaultSort: 'name',
+  filters: {
+    status: ARCHIVE_STATUS_FILTER,
+    active: { type: 'boolean', missing: true },
+    type: { type: 'string' },
+    // leased=false: unidades sin contrato activo hoy
+    leased: { values: ['true', 'false'], match: (unit, leased) => Boolean(unit.currentLease) === (leased === 'true') }
+  }
+};
+
+/**
+ * Query de un listado, con includeArchived=true como alias de status=all
+ */
+const getListQuery = (req) => {
+  return req.query.includeArchived === 'true' && !req.query.status
+    ? { ...req.query, status: 'all' }
+    : req.query;
+};
+
+/**
+ * Responde un listado paginado: { [name], count, nextCursor } con limit o cursor,
+ * o el array completo como antes
+ */
+const sendList = (req, res, name, page) => {
+  if (!isPaginated(req.query)) {
+    return res.status(200).json(page.items);
+  }
+  return res.status(200).json({ [name]: page.items, count: page.items.length, nextCursor: page.nextCursor });
+};
+
+/**
+ * Agrega a cada unidad su contrato activo hoy (currentLease, null si no tiene)
+ * @param {Array<Object>} units - Unidades
+ * @param {Object} filter - Contratos a leer: { propertyId } o {} para todos
+ */
+const addCurrentLeases = async (units, filter) => {
+  const leasesByUnit = await leaseService.getLeasesByUnit(filter);
+  return units.map(unit => ({
+    ...unit,
+    currentLease: summarizeLease(findCurrentLease(leasesByUnit.get(unit.id) || []))
+  }));
+};
+
+/**
+ * Agrega a cada income de una unidad el contrato de su período (lease, null si no tiene)
+ * Si en el período terminó un contrato y empezó otro, se usa el último
+ */
+const addPeriodLeases = async (unitId, incomes) => {
+  const leases = (await leaseService.getLeasesByUnit({ unitId })).get(unitId) || [];
+  return incomes.map(income => ({
+    ...income,
+    lease: summarizeLease(findLeasesForPeriod(leases, income.periodKey).pop())
+  }));
+};
+
 // Ruta de prueba para verificar que la API está funcionando
 app.get('/', (req, res) => {
   res.status(200).send('🏠 API de Alquileres funcionando correctamente (Estructura Simple - Sin userId)');
@@ -61,20 +190,29 @@ app.get('/', (req, res) => {
 // =======================================
 
 // Obtener todas las propiedades
-app.get('/api/properties', async (req, res) => {
+app.get('/api/properties', authorize('properties:read', { list: true }), async (req, res) => {
   try {
+    const { options, error } = parseListQuery(getListQuery(req), PROPERTY_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const access = getAccess(req);
     const propertiesRef = admin.firestore().collection('properties');
     const snapshot = await propertiesRef.get();
     const properties = [];
     
     snapshot.forEach(doc => {
+      // Los managers solo ven sus propiedades
+      if (!canAccessProperty(access, doc.id)) return;
+      
       properties.push({
         id: doc.id,
         ...processFirestoreTimestamps(doc.data())
       });
     });
     
-    return res.status(200).json(properties);
+    return sendList(req, res, 'properties', paginate(properties, options));
   } catch (error) {
     console.error('Error al obtener propiedades:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
@@ -82,15 +220,16 @@ app.get('/api/properties', async (req, res) => {
 });
 
 // Crear una nueva propiedad
-app.post('/api/properties', async (req, res) => {
+app.post('/api/properties', authorize('properties:create'), async (req, res) => {
   try {
-    const propertyData = req.body;
-    
-    // Validar datos
-    if (!propertyData.name) {
-      return res.status(400).json({ error: 'Se requiere nombre de la propiedad' });
+    // Validar datos contra el esquema de propiedad
+    const validation = validateEntity('property', req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error, errors: validation.errors });
     }
     
+    const propertyData = validation.value;
+    
     // Agregar timestamps
     propertyData.createdAt = admin.firestore.FieldValue.serverTimestamp();
     propertyData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
@@ -99,6 +238,12 @@ app.post('/api/properties', async (req, res) => {
       .collection('properties')
       .add(propertyData);
     
+    await auditService.record(req, {
+      action: 'create',
+      path: docRef.path,
+      after: await auditService.snapshot(docRef)
+    });
+    
     return res.status(201).json({ 
       message: 'Propiedad creada con éxito',
       id: docRef.id 
@@ -110,7 +255,7 @@ app.post('/api/properties', async (req, res) => {
 });
 
 // Obtener una propiedad específica
-app.get('/api/properties/:propertyId', async (req, res) => {
+app.get('/api/properties/:propertyId', authorize('properties:read', { property: req => req.params.propertyId }), async (req, res) => {
   try {
     const { propertyId } = req.params;
     
@@ -123,7 +268,7 @@ app.get('/api/properties/:propertyId', async (req, res) => {
       return res.status(404).json({ error: 'Propiedad no encontrada' });
     }
     
-    return res.status(200).json({
+    return res.status(200).set('ETag', computeETag(propertyDoc.data())).json({
       id: propertyDoc.id,
       ...processFirestoreTimestamps(propertyDoc.data())
     });
@@ -134,51 +279,126 @@ app.get('/api/properties/:propertyId', async (req, res) => {
 });
 
 // Actualizar una propiedad
-app.put('/api/properties/:propertyId', async (req, res) => {
+// Con If-Match (ETag de GET /api/properties/:propertyId) responde 412 si otra persona la modificó antes
+app.put('/api/properties/:propertyId', authorize('properties:update', { property: req => req.params.propertyId }), async (req, res) => {
   try {
     const { propertyId } = req.params;
-    const propertyData = req.body;
+    
+    // Validar los campos enviados contra el esquema de propiedad
+    const validation = validateEntity('property', req.body, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error, errors: validation.errors });
+    }
+    
+    const propertyData = validation.value;
     
     // Agregar timestamp de actualización
     propertyData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
     
-    await admin.firestore()
-      .collection('properties')
-      .doc(propertyId)
-      .update(propertyData);
+    const propertyRef = admin.firestore().collection('properties').doc(propertyId);
+    const result = await updateIfMatch(admin.firestore(), propertyRef, req.get('If-Match'), () => propertyData);
+    
+    if (!result.success) {
+      if (result.preconditionFailed) {
+        return sendPreconditionFailed(res, result);
+      }
+      return res.status(404).json({ error: 'Propiedad no encontrada' });
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: propertyRef.path,
+      before: result.before,
+      after: result.after
+    });
     
-    return res.status(200).json({ message: 'Propiedad actualizada con éxito' });
+    return res.status(200).set('ETag', result.etag).json({ message: 'Propiedad actualizada con éxito' });
   } catch (error) {
     console.error('Error al actualizar propiedad:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Eliminar una propiedad
-app.delete('/api/properties/:propertyId', async (req, res) => {
+// Archivar o eliminar una propiedad
+// ?mode=archive (default): la oculta de los listados y de la generación recurrente, conserva su historial
+// ?mode=hard: elimina la propiedad con todas sus subcolecciones y sus unidades
+// ?dryRun=true: solo devuelve la cantidad de documentos afectados
+app.delete('/api/properties/:propertyId', authorize('properties:delete'), async (req, res) => {
   try {
     const { propertyId } = req.params;
+    const mode = req.query.mode || 'archive';
+    const dryRun = req.query.dryRun === 'true';
     
-    await admin.firestore()
-      .collection('properties')
-      .doc(propertyId)
-      .delete();
+    const result = await propertyService.removeProperty(propertyId, {
+      mode,
+      dryRun,
+      actorId: req.user.uid
+    });
+    
+    if (!result.success) {
+      if (result.notFound) {
+        return res.status(404).json({ error: result.error });
+      }
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    
+    const { changes, ...summary } = result;
+    
+    if (dryRun) {
+      return res.status(200).json(summary);
+    }
     
-    return res.status(200).json({ message: 'Propiedad eliminada con éxito' });
+    await auditService.recordMany(req, changes);
+    
+    return res.status(200).json({
+      message: mode === 'archive' ? 'Propiedad archivada con éxito' : 'Propiedad eliminada con éxito',
+      ...summary
+    });
   } catch (error) {
     console.error('Error al eliminar propiedad:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+// Restaurar una propiedad archivada
+app.post('/api/properties/:propertyId/unarchive', authorize('properties:delete'), async (req, res) => {
+  try {
+    const result = await propertyService.unarchiveProperty(req.params.propertyId);
+    
+    if (!result.success) {
+      if (result.notFound) {
+        return res.status(404).json({ error: result.error });
+      }
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    
+    await auditService.recordMany(req, result.changes);
+    
+    return res.status(200).json({ message: 'Propiedad restaurada con éxito', propertyId: result.propertyId });
+  } catch (error) {
+    console.error('Error al restaurar propiedad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // =======================================
 // ===== ENDPOINTS PARA UNIDADES ========
 // =======================================
 
 // Obtener todas las unidades
-app.get('/api/units', async (req, res) => {
+app.get('/api/units', authorize('units:read', { list: true }), async (req, res) => {
   try {
     const { propertyId } = req.query;
+    const access = getAccess(req);
+    
+    const { options, error } = parseListQuery(getListQuery(req), UNIT_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (propertyId && !canAccessProperty(access, propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${propertyId}` });
+    }
     
     let unitsRef = admin.firestore().collection('units');
     
@@ -191,13 +411,18 @@ app.get('/api/units', async (req, res) => {
     const units = [];
     
     snapshot.forEach(doc => {
+      // Los managers solo ven las unidades de sus propiedades
+      if (!canAccessProperty(access, doc.data().propertyId)) return;
+      
       units.push({
         id: doc.id,
         ...processFirestoreTimestamps(doc.data())
       });
     });
     
-    return res.status(200).json(units);
+    const withLeases = await addCurrentLeases(units, propertyId ? { propertyId } : {});
+    
+    return sendList(req, res, 'units', paginate(withLeases, options));
   } catch (error) {
     console.error('Error al obtener unidades:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
@@ -205,15 +430,16 @@ app.get('/api/units', async (req, res) => {
 });
 
 // Crear una nueva unidad
-app.post('/api/units', async (req, res) => {
+app.post('/api/units', authorize('units:write', { property: req => req.body && req.body.propertyId }), async (req, res) => {
   try {
-    const unitData = req.body;
-    
-    // Validar datos
-    if (!unitData.name || !unitData.propertyId) {
-      return res.status(400).json({ error: 'Se requiere nombre y propertyId de la unidad' });
+    // Validar datos contra el esquema de unidad
+    const validation = validateEntity('unit', req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error, errors: validation.errors });
     }
     
+    const unitData = validation.value;
+    
     // Agregar timestamps
     unitData.createdAt = admin.firestore.FieldValue.serverTimestamp();
     unitData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
@@ -222,6 +448,12 @@ app.post('/api/units', async (req, res) => {
       .collection('units')
       .add(unitData);
     
+    await auditService.record(req, {
+      action: 'create',
+      path: docRef.path,
+      after: await auditService.snapshot(docRef)
+    });
+    
     return res.status(201).json({ 
       message: 'Unidad creada con éxito',
       id: docRef.id 
@@ -232,133 +464,1208 @@ app.post('/api/units', async (req, res) => {
   }
 });
 
+// Analizar las unidades en sus dos ubicaciones (units y properties/{propertyId}/units)
+app.get('/api/units/reconcile', authorize('units:reconcile'), async (req, res) => {
+  try {
+    const propertyIds = req.query.propertyIds ? req.query.propertyIds.split(',') : [];
+    
+    const result = await unitReconciliationService.analyze({ propertyIds });
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Error interno del servidor', details: result.error });
+    }
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error al analizar unidades:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Migrar las unidades guardadas dentro de las propiedades a la colección units
+// ?dryRun=true: solo simular; ?prefer=units|property: versión que gana en los campos que difieren
+app.post('/api/units/reconcile', authorize('units:reconcile'), async (req, res) => {
+  try {
+    const propertyIds = req.query.propertyIds ? req.query.propertyIds.split(',') : [];
+    
+    const result = await unitReconciliationService.migrate({
+      dryRun: req.query.dryRun === 'true',
+      prefer: req.query.prefer,
+      propertyIds
+    });
+    
+    if (!result.success) {
+      if (result.invalid) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.status(500).json({ error: 'Error interno del servidor', details: result.error });
+    }
+    
+    const { changes, ...summary } = result;
+    
+    await auditService.recordMany(req, changes);
+    
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('Error al reconciliar unidades:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener una unidad específica
+// El alcance se valida en el handler: el propertyId sale del documento de la unidad
+app.get('/api/units/:unitId', authorize('units:read', { list: true }), async (req, res) => {
+  try {
+    const result = await unitService.getUnit(req.params.unitId);
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+    }
+    
+    if (!canAccessProperty(getAccess(req), result.unit.propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${result.unit.propertyId}` });
+    }
+    
+    return res.status(200).set('ETag', result.etag).json(processFirestoreTimestamps(result.unit));
+  } catch (error) {
+    console.error('Error al obtener unidad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar una unidad (propertyId no se puede cambiar: los incomes viven bajo la propiedad)
+app.put('/api/units/:unitId', authorize('units:write', { list: true }), async (req, res) => {
+  try {
+    const { unitId } = req.params;
+    
+    const found = await unitService.getUnit(unitId);
+    if (!found.success) {
+      return res.status(found.notFound ? 404 : 500).json({ error: found.error });
+    }
+    
+    if (!canAccessProperty(getAccess(req), found.unit.propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${found.unit.propertyId}` });
+    }
+    
+    const result = await unitService.updateUnit(unitId, req.body, { ifMatch: req.get('If-Match') });
+    
+    if (!result.success) {
+      if (result.invalid) {
+        return res.status(400).json({ error: result.error, errors: result.errors });
+      }
+      if (result.preconditionFailed) {
+        return sendPreconditionFailed(res, result);
+      }
+      return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(200).set('ETag', result.etag).json({ message: 'Unidad actualizada con éxito' });
+  } catch (error) {
+    console.error('Error al actualizar unidad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Archivar o eliminar una unidad
+// ?mode=archive (default): la oculta de los listados y conserva sus incomes
+// ?mode=hard: la elimina; responde 409 si tiene incomes registrados
+// ?dryRun=true: solo devuelve la cantidad de documentos afectados
+app.delete('/api/units/:unitId', authorize('units:write', { list: true }), async (req, res) => {
+  try {
+    const { unitId } = req.params;
+    const mode = req.query.mode || 'archive';
+    const dryRun = req.query.dryRun === 'true';
+    
+    const found = await unitService.getUnit(unitId);
+    if (!found.success) {
+      return res.status(found.notFound ? 404 : 500).json({ error: found.error });
+    }
+    
+    if (!canAccessProperty(getAccess(req), found.unit.propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${found.unit.propertyId}` });
+    }
+    
+    const result = await unitService.removeUnit(unitId, {
+      mode,
+      dryRun,
+      actorId: req.user.uid
+    });
+    
+    if (!result.success) {
+      if (result.notFound) {
+        return res.status(404).json({ error: result.error });
+      }
+      if (result.conflict) {
+        return res.status(409).json({ error: result.error, counts: result.counts });
+      }
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    
+    const { changes, ...summary } = result;
+    
+    if (dryRun) {
+      return res.status(200).json(summary);
+    }
+    
+    await auditService.recordMany(req, changes);
+    
+    return res.status(200).json({
+      message: mode === 'archive' ? 'Unidad archivada con éxito' : 'Unidad eliminada con éxito',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error al eliminar unidad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Restaurar una unidad archivada
+app.post('/api/units/:unitId/unarchive', authorize('units:write', { list: true }), async (req, res) => {
+  try {
+    const { unitId } = req.params;
+    
+    const found = await unitService.getUnit(unitId);
+    if (!found.success) {
+      return res.status(found.notFound ? 404 : 500).json({ error: found.error });
+    }
+    
+    if (!canAccessProperty(getAccess(req), found.unit.propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${found.unit.propertyId}` });
+    }
+    
+    const result = await unitService.unarchiveUnit(unitId);
+    
+    if (!result.success) {
+      if (result.notFound) {
+        return res.status(404).json({ error: result.error });
+      }
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    
+    await auditService.recordMany(req, result.changes);
+    
+    return res.status(200).json({ message: 'Unidad restaurada con éxito', unitId: result.unitId });
+  } catch (error) {
+    console.error('Error al restaurar unidad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener las unidades de una propiedad
+app.get('/api/properties/:propertyId/units', authorize('units:read', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { getPropertyUnits } = require('./utils/hierarchicalPath');
+    
+    const { options, error } = parseListQuery(getListQuery(req), UNIT_LIST);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const propertyDoc = await admin.firestore().collection('properties').doc(propertyId).get();
+    if (!propertyDoc.exists) {
+      return res.status(404).json({ error: 'Propiedad no encontrada' });
+    }
+    
+    const units = await getPropertyUnits(admin.firestore(), propertyId);
+    const withLeases = await addCurrentLeases(units.map(unit => processFirestoreTimestamps(unit)), { propertyId });
+    
+    return sendList(req, res, 'units', paginate(withLeases, options));
+  } catch (error) {
+    console.error('Error al obtener unidades de la propiedad:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // =======================================
-// ===== ENDPOINTS PARA TRANSACCIONES ===
+// ===== ENDPOINTS PARA CONTRATOS =======
 // =======================================
 
-// Obtener transacciones de un período
-app.get('/api/transactions/:year/:month', async (req, res) => {
+// Cada contrato (leases/{leaseId}) define el alquiler de una unidad entre startDate y endDate.
+// Los contratos activos o finalizados de una unidad no pueden superponerse (409).
+
+// Responde el error de un resultado del servicio de contratos
+const sendLeaseError = (res, result) => {
+  if (result.notFound) {
+    return res.status(404).json({ error: result.error });
+  }
+  if (result.forbidden) {
+    return res.status(403).json({ error: 'Acceso denegado', details: result.error });
+  }
+  if (result.conflict) {
+    return res.status(409).json({ error: result.error, overlapping: result.overlapping });
+  }
+  if (result.preconditionFailed) {
+    return sendPreconditionFailed(res, result);
+  }
+  return res.status(result.invalid ? 400 : 500).json({ error: result.error, errors: result.errors });
+};
+
+// Obtiene un contrato y valida que el usuario tenga acceso a su propiedad
+// Devuelve el contrato o null si ya respondió el error
+const findAccessibleLease = async (req, res) => {
+  const found = await leaseService.getLease(req.params.leaseId);
+  if (!found.success) {
+    sendLeaseError(res, found);
+    return null;
+  }
+  
+  if (!canAccessProperty(getAccess(req), found.lease.propertyId)) {
+    res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${found.lease.propertyId}` });
+    return null;
+  }
+  
+  return found;
+};
+
+// Listar contratos
+// ?propertyId, ?unitId, ?status=draft|active|ended, ?currency filtran; ?limit, ?cursor y ?sort paginan (ver utils/pagination)
+app.get('/api/leases', authorize('leases:read', { list: true }), async (req, res) => {
   try {
-    const { year, month } = req.params;
-    const { getCollection } = require('./utils/hierarchicalPath');
+    const { propertyId } = req.query;
+    const access = getAccess(req);
     
-    const collectionRef = getCollection(admin.firestore(), 'transactions', parseInt(year), parseInt(month));
-    const snapshot = await collectionRef.get();
-    const transactions = [];
+    if (propertyId && !canAccessProperty(access, propertyId)) {
+      return res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso a la propiedad ${propertyId}` });
+    }
     
-    snapshot.forEach(doc => {
-      transactions.push({
-        id: doc.id,
-        ...processFirestoreTimestamps(doc.data())
-      });
+    // Los managers solo ven los contratos de sus propiedades
+    const result = await leaseService.listLeases(req.query, {
+      propertyIds: access.scoped ? access.propertyIds : []
     });
     
-    return res.status(200).json(transactions);
+    if (!result.success) {
+      return sendLeaseError(res, result);
+    }
+    
+    return sendList(req, res, 'leases', {
+      items: result.leases.map(lease => processFirestoreTimestamps(lease)),
+      nextCursor: result.nextCursor
+    });
   } catch (error) {
-    console.error('Error al obtener transacciones:', error);
+    console.error('Error al obtener contratos:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Crear una nueva transacción
-app.post('/api/transactions/:year/:month', async (req, res) => {
+// Crear un contrato (requiere propertyId, unitId, startDate, rent y dueDay)
+app.post('/api/leases', authorize('leases:write', { property: req => req.body && req.body.propertyId }), async (req, res) => {
   try {
-    const { year, month } = req.params;
-    const transactionData = req.body;
-    const { getCollection } = require('./utils/hierarchicalPath');
+    const access = getAccess(req);
     
-    // Validar datos
-    if (!transactionData.description || !transactionData.amount || !transactionData.type) {
-      return res.status(400).json({ error: 'Se requiere description, amount y type' });
-    }
+    // Los managers solo vinculan inquilinos de sus propiedades o sin contratos
+    const result = await leaseService.createLease(req.body, {
+      propertyIds: access.scoped ? access.propertyIds : []
+    });
     
-    // Agregar timestamps y período
-    transactionData.year = parseInt(year);
-    transactionData.month = parseInt(month);
-    transactionData.createdAt = admin.firestore.FieldValue.serverTimestamp();
-    transactionData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    if (!result.success) {
+      return sendLeaseError(res, result);
+    }
     
-    const collectionRef = getCollection(admin.firestore(), 'transactions', parseInt(year), parseInt(month));
-    const docRef = await collectionRef.add(transactionData);
+    await auditService.record(req, {
+      action: 'create',
+      path: result.path,
+      after: result.after
+    });
     
     return res.status(201).json({ 
-      message: 'Transacción creada con éxito',
-      id: docRef.id 
+      message: 'Contrato creado con éxito',
+      id: result.lease.id,
+      lease: processFirestoreTimestamps(result.lease)
     });
   } catch (error) {
-    console.error('Error al crear transacción:', error);
+    console.error('Error al crear contrato:', error);
     return res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Usar las rutas de la API
-app.use('/api/backup', backupRoutes);
-app.use('/api/recurring', recurringRoutes);
+// Obtener un contrato
+// El alcance se valida en el handler: el propertyId sale del documento del contrato
+app.get('/api/leases/:leaseId', authorize('leases:read', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleLease(req, res);
+    if (!found) return;
+    
+    return res.status(200).set('ETag', found.etag).json(processFirestoreTimestamps(found.lease));
+  } catch (error) {
+    console.error('Error al obtener contrato:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
 
-// Ruta para verificar conexión a Firestore
-app.get('/check-firestore', async (req, res) => {
+// Actualizar los campos enviados de un contrato (propertyId y unitId no se pueden cambiar)
+// Con If-Match responde 412 si el contrato cambió desde que se leyó
+app.put('/api/leases/:leaseId', authorize('leases:write', { list: true }), async (req, res) => {
   try {
-    // Comprobación simple para ver si Firestore está disponible
-    const collection = admin.firestore().collection('test');
-    const docRef = collection.doc('test-doc');
+    const found = await findAccessibleLease(req, res);
+    if (!found) return;
     
-    await docRef.set({
-      test: true,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    const access = getAccess(req);
+    
+    const result = await leaseService.updateLease(req.params.leaseId, req.body, {
+      ifMatch: req.get('If-Match'),
+      propertyIds: access.scoped ? access.propertyIds : []
     });
     
-    return res.status(200).json({ message: 'Firestore está disponible' });
+    if (!result.success) {
+      return sendLeaseError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(200).set('ETag', result.etag).json({ 
+      message: 'Contrato actualizado con éxito',
+      lease: processFirestoreTimestamps(result.lease)
+    });
   } catch (error) {
-    return res.status(500).json({ 
-      error: 'Error al conectar con Firestore', 
-      details: error.message 
+    console.error('Error al actualizar contrato:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar un contrato
+app.delete('/api/leases/:leaseId', authorize('leases:write', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleLease(req, res);
+    if (!found) return;
+    
+    const result = await leaseService.deleteLease(req.params.leaseId);
+    
+    if (!result.success) {
+      return sendLeaseError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'delete',
+      path: result.path,
+      before: result.before
+    });
+    
+    return res.status(200).json({ 
+      message: 'Contrato eliminado con éxito',
+      id: req.params.leaseId
     });
+  } catch (error) {
+    console.error('Error al eliminar contrato:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Iniciar el servidor
+// =======================================
+// ===== ENDPOINTS PARA INQUILINOS ======
+// =======================================
+
+// Cada inquilino (tenants/{tenantId}) se vincula a las unidades con los contratos (tenantIds).
+// Los managers acceden a los inquilinos con contratos en sus propiedades y a los que todavía no
+// tienen contratos (recién creados o desvinculados), para poder vincularlos a un contrato propio.
+// Un manager no puede vincular a un contrato un inquilino con contratos solo en propiedades ajenas.
+
+// Responde el error de un resultado del servicio de inquilinos
+const sendTenantError = (res, result) => {
+  if (result.notFound) {
+    return res.status(404).json({ error: result.error });
+  }
+  if (result.conflict) {
+    return res.status(409).json({ error: result.error, leases: result.leases });
+  }
+  if (result.preconditionFailed) {
+    return sendPreconditionFailed(res, result);
+  }
+  return res.status(result.invalid ? 400 : 500).json({ error: result.error, errors: result.errors });
+};
+
+// Obtiene un inquilino y valida que el usuario tenga acceso a alguno de sus contratos (o que no tenga contratos)
+// Devuelve el inquilino o null si ya respondió el error
+const findAccessibleTenant = async (req, res) => {
+  const found = await tenantService.getTenant(req.params.tenantId);
+  if (!found.success) {
+    sendTenantError(res, found);
+    return null;
+  }
+  
+  const access = getAccess(req);
+  if (access.scoped) {
+    const leases = await tenantService.getTenantLeases(req.params.tenantId);
+    if (leases.length > 0 && !leases.some(lease => canAccessProperty(access, lease.propertyId))) {
+      res.status(403).json({ error: 'Acceso denegado', details: `Sin acceso al inquilino ${req.params.tenantId}` });
+      return null;
+    }
+  }
+  
+  return found;
+};
+
+// Listar inquilinos
+// ?search busca por nombre (sin mayúsculas ni acentos) o número de documento; ?limit, ?cursor y ?sort paginan
+app.get('/api/tenants', authorize('tenants:read', { list: true }), async (req, res) => {
+  try {
+    const access = getAccess(req);
+    
+    const result = await tenantService.listTenants(req.query, {
+      propertyIds: access.scoped ? access.propertyIds : []
+    });
+    
+    if (!result.success) {
+      return sendTenantError(res, result);
+    }
+    
+    return sendList(req, res, 'tenants', {
+      items: result.tenants.map(tenant => processFirestoreTimestamps(tenant)),
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('Error al obtener inquilinos:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Crear un inquilino (requiere name); se vincula a una unidad agregándolo a los tenantIds de un contrato
+app.post('/api/tenants', authorize('tenants:write', { list: true }), async (req, res) => {
+  try {
+    const result = await tenantService.createTenant(req.body);
+    
+    if (!result.success) {
+      return sendTenantError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'create',
+      path: result.path,
+      after: result.after
+    });
+    
+    return res.status(201).json({ 
+      message: 'Inquilino creado con éxito',
+      id: result.tenant.id,
+      tenant: processFirestoreTimestamps(result.tenant)
+    });
+  } catch (error) {
+    console.error('Error al crear inquilino:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener un inquilino
+app.get('/api/tenants/:tenantId', authorize('tenants:read', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleTenant(req, res);
+    if (!found) return;
+    
+    return res.status(200).set('ETag', found.etag).json(processFirestoreTimestamps(found.tenant));
+  } catch (error) {
+    console.error('Error al obtener inquilino:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Historial de un inquilino: cada contrato con su unidad y los incomes de sus períodos
+app.get('/api/tenants/:tenantId/history', authorize('tenants:read', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleTenant(req, res);
+    if (!found) return;
+    
+    const access = getAccess(req);
+    const result = await tenantService.getTenantHistory(req.params.tenantId, {
+      propertyIds: access.scoped ? access.propertyIds : []
+    });
+    
+    if (!result.success) {
+      return sendTenantError(res, result);
+    }
+    
+    return res.status(200).json(processFirestoreTimestamps({
+      tenant: found.tenant,
+      leases: result.leases,
+      totals: result.totals
+    }));
+  } catch (error) {
+    console.error('Error al obtener historial de inquilino:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar los campos enviados de un inquilino
+// Con If-Match responde 412 si el inquilino cambió desde que se leyó
+app.put('/api/tenants/:tenantId', authorize('tenants:write', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleTenant(req, res);
+    if (!found) return;
+    
+    const result = await tenantService.updateTenant(req.params.tenantId, req.body, {
+      ifMatch: req.get('If-Match')
+    });
+    
+    if (!result.success) {
+      return sendTenantError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(200).set('ETag', result.etag).json({ 
+      message: 'Inquilino actualizado con éxito',
+      tenant: processFirestoreTimestamps(result.tenant)
+    });
+  } catch (error) {
+    console.error('Error al actualizar inquilino:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar un inquilino (409 si figura en algún contrato)
+app.delete('/api/tenants/:tenantId', authorize('tenants:write', { list: true }), async (req, res) => {
+  try {
+    const found = await findAccessibleTenant(req, res);
+    if (!found) return;
+    
+    const result = await tenantService.deleteTenant(req.params.tenantId);
+    
+    if (!result.success) {
+      return sendTenantError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'delete',
+      path: result.path,
+      before: result.before
+    });
+    
+    return res.status(200).json({ 
+      message: 'Inquilino eliminado con éxito',
+      id: req.params.tenantId
+    });
+  } catch (error) {
+    console.error('Error al eliminar inquilino:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// =======================================
+// ===== ENDPOINTS PARA EXPENSES ========
+// =======================================
+
+// Responde el error de un resultado del servicio de expenses
+const sendExpenseError = (res, result) => {
+  if (result.notFound) {
+    return res.status(404).json({ error: result.error });
+  }
+  if (result.preconditionFailed) {
+    return sendPreconditionFailed(res, result);
+  }
+  return res.status(result.invalid ? 400 : 500).json({ error: result.error, errors: result.errors });
+};
+
+// Listar los períodos con expenses de una propiedad
+app.get('/api/properties/:propertyId/expenses/periods', authorize('expenses:read', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const result = await expenseService.listPeriods(req.params.propertyId);
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    return res.status(200).json(result.periods);
+  } catch (error) {
+    console.error('Error al obtener períodos de expenses:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener los expenses de una propiedad en un período
+app.get('/api/properties/:propertyId/expenses/:year/:month', authorize('expenses:read', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId, year, month } = req.params;
+    
+    const result = await expenseService.listExpenses(propertyId, year, month, req.query);
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    const expenses = result.expenses.map(expense => processFirestoreTimestamps(expense));
+    
+    // Sin limit ni cursor se mantiene la respuesta anterior (array)
+    if (!isPaginated(req.query)) {
+      return res.status(200).json(expenses);
+    }
+    
+    return res.status(200).json({
+      period: result.period,
+      count: result.count,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      expenses
+    });
+  } catch (error) {
+    console.error('Error al obtener expenses:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Crear un expense en el período (requiere description y amount)
+app.post('/api/properties/:propertyId/expenses/:year/:month', authorize('expenses:write', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId, year, month } = req.params;
+    
+    const result = await expenseService.createExpense(propertyId, year, month, req.body);
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'create',
+      path: result.path,
+      after: result.after
+    });
+    
+    return res.status(201).json({ 
+      message: 'Expense creado con éxito',
+      id: result.expense.id,
+      expense: processFirestoreTimestamps(result.expense)
+    });
+  } catch (error) {
+    console.error('Error al crear expense:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener un expense
+app.get('/api/properties/:propertyId/expenses/:year/:month/:expenseId', authorize('expenses:read', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId, year, month, expenseId } = req.params;
+    
+    const result = await expenseService.getExpense(propertyId, year, month, expenseId);
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    return res.status(200).set('ETag', result.etag).json(processFirestoreTimestamps(result.expense));
+  } catch (error) {
+    console.error('Error al obtener expense:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar los campos enviados de un expense
+// Con If-Match responde 412 si el expense cambió desde que se leyó
+app.put('/api/properties/:propertyId/expenses/:year/:month/:expenseId', authorize('expenses:write', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId, year, month, expenseId } = req.params;
+    
+    const result = await expenseService.updateExpense(propertyId, year, month, expenseId, req.body, {
+      ifMatch: req.get('If-Match')
+    });
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'update',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(200).set('ETag', result.etag).json({ 
+      message: 'Expense actualizado con éxito',
+      expense: processFirestoreTimestamps(result.expense)
+    });
+  } catch (error) {
+    console.error('Error al actualizar expense:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar un expense
+app.delete('/api/properties/:propertyId/expenses/:year/:month/:expenseId', authorize('expenses:write', { property: req => req.params.propertyId }), async (req, res) => {
+  try {
+    const { propertyId, year, month, expenseId } = req.params;
+    
+    const result = await expenseService.deleteExpense(propertyId, year, month, expenseId);
+    
+    if (!result.success) {
+      return sendExpenseError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'delete',
+      path: result.path,
+      before: result.before
+    });
+    
+    return res.status(200).json({ 
+      message: 'Expense eliminado con éxito',
+      id: expenseId
+    });
+  } catch (error) {
+    console.error('Error al eliminar expense:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// =======================================
+// ===== ENDPOINTS PARA INCOMES =========
+// =======================================
+
+// Cada período es un documento con items (alquiler, cochera, recargos...) y los totales amount,
+// paidAmount y paid. Los documentos anteriores a los items se devuelven con un único item 'legacy'.
+
+// Alcance de las rutas de incomes de una unidad
+const incomeScope = {
+  property: req => req.params.propertyId,
+  unit: req => req.params.unitId
+};
+
+// Responde el error de un resultado del servicio de incomes
+const sendIncomeError = (res, result) => {
+  if (result.notFound) {
+    return res.status(404).json({ error: result.error });
+  }
+  return res.status(result.invalid ? 400 : 500).json({ error: result.error, errors: result.errors });
+};
+
+// Registra en auditoría la modificación de un período (create, update o delete según el documento)
+const recordIncomeChange = (req, result) => auditService.record(req, {
+  action: !result.before ? 'create' : (result.after ? 'update' : 'delete'),
+  path: result.path,
+  before: result.before,
+  after: result.after
+});
+
+// Convertir los incomes anteriores (un documento sin items) al formato con items
+// ?dryRun=true: solo devuelve los documentos que se convertirían
+// ?propertyId=a,b: solo esas propiedades
+app.post('/api/incomes/migrate', authorize('incomes:migrate'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    
+    const result = await incomeService.migrateLegacyIncomes({
+      dryRun,
+      propertyIds: parseList(req.query.propertyId)
+    });
+    
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    
+    const { changes, ...summary } = result;
+    
+    if (!dryRun) {
+      await auditService.recordMany(req, changes);
+    }
+    
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('Error al migrar incomes:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener los incomes de una unidad (un documento por período)
+app.get('/api/properties/:propertyId/units/:unitId/incomes', authorize('incomes:read', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId } = req.params;
+    
+    const result = await incomeService.listIncomes(propertyId, unitId);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    const incomes = await addPeriodLeases(unitId, result.incomes);
+    
+    return res.status(200).json(incomes.map(income => processFirestoreTimestamps(income)));
+  } catch (error) {
+    console.error('Error al obtener incomes:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener el income de un período con sus items
+app.get('/api/properties/:propertyId/units/:unitId/incomes/:year/:month', authorize('incomes:read', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month } = req.params;
+    
+    const result = await incomeService.getIncome(propertyId, unitId, year, month);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    const [income] = await addPeriodLeases(unitId, [result.income]);
+    
+    return res.status(200).json(processFirestoreTimestamps(income));
+  } catch (error) {
+    console.error('Error al obtener income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Reemplazar los items del período: {"items": [...]} (crea el período si no existe)
+app.put('/api/properties/:propertyId/units/:unitId/incomes/:year/:month', authorize('incomes:write', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month } = req.params;
+    
+    const result = await incomeService.setItems(propertyId, unitId, year, month, req.body && req.body.items);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    await recordIncomeChange(req, result);
+    
+    return res.status(200).json({ 
+      message: 'Income actualizado con éxito',
+      income: processFirestoreTimestamps(result.income)
+    });
+  } catch (error) {
+    console.error('Error al actualizar income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar el income del período con todos sus items
+app.delete('/api/properties/:propertyId/units/:unitId/incomes/:year/:month', authorize('incomes:write', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month } = req.params;
+    
+    const result = await incomeService.deleteIncome(propertyId, unitId, year, month);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    await auditService.record(req, {
+      action: 'delete',
+      path: result.path,
+      before: result.before
+    });
+    
+    return res.status(200).json({ message: 'Income eliminado con éxito' });
+  } catch (error) {
+    console.error('Error al eliminar income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Agregar un item al período (requiere category y amount; crea el período si no existe)
+app.post('/api/properties/:propertyId/units/:unitId/incomes/:year/:month/items', authorize('incomes:write', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month } = req.params;
+    
+    const result = await incomeService.addItem(propertyId, unitId, year, month, req.body);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    await recordIncomeChange(req, result);
+    
+    return res.status(201).json({ 
+      message: 'Item creado con éxito',
+      id: result.item.id,
+      income: processFirestoreTimestamps(result.income)
+    });
+  } catch (error) {
+    console.error('Error al crear item de income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar los campos enviados de un item
+app.put('/api/properties/:propertyId/units/:unitId/incomes/:year/:month/items/:itemId', authorize('incomes:write', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month, itemId } = req.params;
+    
+    const result = await incomeService.updateItem(propertyId, unitId, year, month, itemId, req.body);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    await recordIncomeChange(req, result);
+    
+    return res.status(200).json({ 
+      message: 'Item actualizado con éxito',
+      income: processFirestoreTimestamps(result.income)
+    });
+  } catch (error) {
+    console.error('Error al actualizar item de income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar un item (si era el último se elimina el período)
+app.delete('/api/properties/:propertyId/units/:unitId/incomes/:year/:month/items/:itemId', authorize('incomes:write', incomeScope), async (req, res) => {
+  try {
+    const { propertyId, unitId, year, month, itemId } = req.params;
+    
+    const result = await incomeService.deleteItem(propertyId, unitId, year, month, itemId);
+    
+    if (!result.success) {
+      return sendIncomeError(res, result);
+    }
+    
+    await recordIncomeChange(req, result);
+    
+    return res.status(200).json({ 
+      message: 'Item eliminado con éxito',
+      income: result.income ? processFirestoreTimestamps(result.income) : null
+    });
+  } catch (error) {
+    console.error('Error al eliminar item de income:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// =======================================
+// ===== ENDPOINTS PARA TRANSACCIONES ===
+// =======================================
+
+// Las transacciones no tienen colección propia: son los expenses de la propiedad
+// (properties/{propertyId}/expenses/{YYYY-MM}/items) y los incomes de sus unidades
+// (properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM})
+
+// Obtener las transacciones de un período
+// ?propertyId=a,b y ?unitId=x,y filtran (sin propertyId: todas las propiedades no archivadas)
+// ?type=income|expense devuelve solo ese tipo
+// ?limit, ?cursor, ?sort y ?category, ?paid paginan, ordenan y filtran (ver utils/pagination)
+app.get('/api/transactions/:year/:month', authorize('transactions:read', { list: true }), async (req, res) => {
+  try {
+    const { year, month } = req.params;
+    
+    const { propertyIds, error } = restrictPropertyIds(getAccess(req), parseList(req.query.propertyId));
+    if (error) {
+      return res.status(403).json({ error: 'Acceso denegado', details: error });
+    }
+    
+    const result = await transactionService.listTransactions(year, month, {
+      propertyIds,
+      unitIds: parseList(req.query.unitId),
+      type: req.query.type
+    }, req.query);
+    
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    
+    return res.status(200).json({
+      ...result,
+      transactions: result.transactions.map(transaction => processFirestoreTimestamps(transaction))
+    });
+  } catch (error) {
+    console.error('Error al obtener transacciones:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Crear una transacción en el período
+// type=expense: agrega un item a los expenses de la propiedad (requiere description; unitId opcional)
+// type=income: agrega un item al income del período de la unidad (requiere unitId y category)
+app.post('/api/transactions/:year/:month', authorize('transactions:write', { property: req => req.body && req.body.propertyId }), async (req, res) => {
+  try {
+    const { year, month } = req.params;
+    
+    const result = await transactionService.createTransaction(year, month, req.body);
+    
+    if (!result.success) {
+      if (result.notFound) {
+        return res.status(404).json({ error: result.error });
+      }
+      return res.status(result.invalid ? 400 : 500).json({ error: result.error, errors: result.errors });
+    }
+    
+    // Un income agrega un item: si el período ya existía es una modificación del documento
+    await auditService.record(req, {
+      action: result.before ? 'update' : 'create',
+      path: result.path,
+      before: result.before,
+      after: result.after
+    });
+    
+    return res.status(201).json({ 
+      message: 'Transacción creada con éxito',
+      id: result.transaction.id,
+      transaction: processFirestoreTimestamps(result.transaction)
+    });
+  } catch (error) {
+    console.error('Error al crear transacción:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Usar las rutas de la API
+app.use('/api/backup', backupRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+
+// Ruta para verificar conexión a Firestore
+app.get('/check-firestore', async (req, res) => {
+  try {
+    // Comprobación simple para ver si Firestore está disponible
+    const collection = admin.firestore().collection('test');
+    const docRef = collection.doc('test-doc');
+    
+    await docRef.set({
+      test: true,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    return res.status(200).json({ message: 'Firestore está disponible' });
+  } catch (error) {
+    return res.status(500).json({ 
+      error: 'Error al conectar con Firestore', 
+      details: error.message 
+    });
+  }
+});
+
+// Iniciar el servidor
 app.listen(PORT, () => {
   console.log(`🏠 Servidor de Alquileres App funcionando en http://localhost:${PORT}`);
   console.log('📋 Estructura: SIMPLE (Sin userId)');
+  console.log('🔒 Autenticación: Firebase ID token (Authorization: Bearer <idToken>) o API key (X-API-Key) salvo health checks');
+  console.log('👥 Roles: owner, accountant, manager, tenant (custom claims de Firebase Auth)');
   console.log('Endpoints disponibles:');
   
   // Endpoints principales
   console.log('\nEndpoints principales:');
-  console.log('- GET  / - Health check');
-  console.log('- GET  /check-firestore - Verificar conexión con Firestore');
+  console.log('- GET  / - Health check (público)');
+  console.log('- GET  /check-firestore - Verificar conexión con Firestore (público)');
   
   // Endpoints de propiedades
   console.log('\nEndpoints de propiedades:');
-  console.log('- GET  /api/properties - Listar propiedades');
+  console.log('- GET  /api/properties?includeArchived=true - Listar propiedades');
   console.log('- POST /api/properties - Crear propiedad');
   console.log('- GET  /api/properties/:propertyId - Detalle de propiedad');
   console.log('- PUT  /api/properties/:propertyId - Actualizar propiedad');
-  console.log('- DEL  /api/properties/:propertyId - Eliminar propiedad');
+  console.log('- DEL  /api/properties/:propertyId?mode=archive|hard&dryRun=true - Archivar o eliminar propiedad');
+  console.log('- POST /api/properties/:propertyId/unarchive - Restaurar propiedad archivada');
   
   // Endpoints de unidades
   console.log('\nEndpoints de unidades:');
-  console.log('- GET  /api/units?propertyId=X - Listar unidades (filtro opcional)');
+  console.log('- GET  /api/units?propertyId=X&includeArchived=true - Listar unidades (filtros opcionales)');
   console.log('- POST /api/units - Crear unidad');
+  console.log('- GET  /api/units/:unitId - Detalle de unidad');
+  console.log('- PUT  /api/units/:unitId - Actualizar unidad');
+  console.log('- DEL  /api/units/:unitId?mode=archive|hard&dryRun=true - Archivar o eliminar unidad');
+  console.log('- POST /api/units/:unitId/unarchive - Restaurar unidad archivada');
+  console.log('- GET  /api/properties/:propertyId/units - Unidades de una propiedad');
+  console.log('- GET  /api/units/reconcile - Analizar unidades en units y dentro de las propiedades');
+  console.log('- POST /api/units/reconcile?dryRun=true&prefer=units - Migrar unidades a la colección units');
+  
+  // Endpoints de contratos
+  console.log('\nEndpoints de contratos:');
+  console.log('- GET  /api/leases?propertyId=X&unitId=Y&status=active - Listar contratos (filtros opcionales)');
+  console.log('- POST /api/leases - Crear contrato');
+  console.log('- GET  /api/leases/:leaseId - Detalle de contrato');
+  console.log('- PUT  /api/leases/:leaseId - Actualizar contrato');
+  console.log('- DEL  /api/leases/:leaseId - Eliminar contrato');
+  
+  // Endpoints de inquilinos
+  console.log('\nEndpoints de inquilinos:');
+  console.log('- GET  /api/tenants?search=X - Listar inquilinos (búsqueda por nombre o documento)');
+  console.log('- POST /api/tenants - Crear inquilino');
+  console.log('- GET  /api/tenants/:tenantId - Detalle de inquilino');
+  console.log('- GET  /api/tenants/:tenantId/history - Contratos e incomes del inquilino');
+  console.log('- PUT  /api/tenants/:tenantId - Actualizar inquilino');
+  console.log('- DEL  /api/tenants/:tenantId - Eliminar inquilino (409 si figura en un contrato)');
+  
+  // Endpoints de expenses
+  console.log('\nEndpoints de expenses:');
+  console.log('- GET  /api/properties/:propertyId/expenses/periods - Períodos con expenses');
+  console.log('- GET  /api/properties/:propertyId/expenses/:year/:month - Expenses del período');
+  console.log('- POST /api/properties/:propertyId/expenses/:year/:month - Crear expense');
+  console.log('- GET  /api/properties/:propertyId/expenses/:year/:month/:expenseId - Obtener expense');
+  console.log('- PUT  /api/properties/:propertyId/expenses/:year/:month/:expenseId - Actualizar expense');
+  console.log('- DEL  /api/properties/:propertyId/expenses/:year/:month/:expenseId - Eliminar expense');
+  
+  // Endpoints de incomes
+  console.log('\nEndpoints de incomes:');
+  console.log('- GET  /api/properties/:propertyId/units/:unitId/incomes - Incomes de una unidad');
+  console.log('- GET  /api/properties/:propertyId/units/:unitId/incomes/:year/:month - Income del período con sus items');
+  console.log('- PUT  /api/properties/:propertyId/units/:unitId/incomes/:year/:month - Reemplazar items del período');
+  console.log('- DEL  /api/properties/:propertyId/units/:unitId/incomes/:year/:month - Eliminar income del período');
+  console.log('- POST /api/properties/:propertyId/units/:unitId/incomes/:year/:month/items - Agregar item');
+  console.log('- PUT  /api/properties/:propertyId/units/:unitId/incomes/:year/:month/items/:itemId - Actualizar item');
+  console.log('- DEL  /api/properties/:propertyId/units/:unitId/incomes/:year/:month/items/:itemId - Eliminar item');
+  console.log('- POST /api/incomes/migrate?dryRun=true - Convertir incomes anteriores a items');
   
   // Endpoints de transacciones
   console.log('\nEndpoints de transacciones:');
-  console.log('- GET  /api/transactions/:year/:month - Listar transacciones del período');
-  console.log('- POST /api/transactions/:year/:month - Crear transacción');
+  console.log('- GET  /api/transactions/:year/:month - Listar expenses e incomes del período (?propertyId, ?unitId, ?type)');
+  console.log('- POST /api/transactions/:year/:month - Crear expense o item de income del período');
   
   // Endpoints de backup
   console.log('\nEndpoints de backup:');
   console.log('- GET  /api/backup - Backup completo');
+  console.log('- GET  /api/backup?format=ndjson - Backup completo en streaming (NDJSON)');
+  console.log('- GET  /api/backup?encrypt=true - Backup completo encriptado (AES-256-GCM)');
   console.log('- GET  /api/backup/collections - Listar colecciones');
   console.log('- GET  /api/backup/collection/:collectionName - Backup de una colección');
+  console.log('- GET  /api/backup?mode=incremental&checkpointId=latest - Backup incremental');
+  console.log('- GET  /api/backup/checkpoints - Listar checkpoints de backup');
+  console.log('- POST /api/backup/restore?dryRun=true&mode=merge - Restaurar backup completo o cadena de incrementales');
+  console.log('- POST /api/backup/verify?live=true - Verificar integridad de un backup contra su manifest');
+  console.log('- POST /api/backup/diff - Comparar dos backups o un backup con los datos actuales');
+  console.log('- POST /api/backup/validate - Validar un backup contra el esquema del formato actual');
+  console.log('- GET  /api/backup/schema - Esquema del formato de backup');
+  console.log('- POST /api/backup/stored - Generar y guardar backup en el servidor');
+  console.log('- GET  /api/backup/stored - Listar backups guardados');
+  console.log('- GET  /api/backup/stored/:backupId - Descargar backup guardado');
+  console.log('- DEL  /api/backup/stored/:backupId - Eliminar backup guardado');
+  console.log('- POST /api/backup/stored/retention - Aplicar política de retención');
   
   // Endpoints de recurrentes
   console.log('\nEndpoints de generación recurrente:');
   console.log('- POST /api/recurring/generate - Generar registros recurrentes');
+  console.log('- POST /api/recurring/rent-roll - Generar incomes esperados según los contratos (rent roll)');
   console.log('- GET  /api/recurring/summary?year=X&month=Y - Resumen de datos');
   console.log('- POST /api/recurring/validate - Validar generación');
   console.log('- GET  /api/recurring/transactions/:year/:month/recurring - Transacciones recurrentes');
   console.log('- PUT  /api/recurring/transactions/:year/:month/:transactionId/recurring - Marcar/desmarcar como recurrente');
-  console.log('- GET  /api/recurring/health - Estado del servicio');
+  console.log('- GET  /api/recurring/health - Estado del servicio (público)');
+  
+  // Endpoints de export
+  console.log('\nEndpoints de export:');
+  console.log('- GET  /api/export/ledger?format=csv - Libro contable de expenses e incomes (CSV)');
+  console.log('- GET  /api/export/ledger?format=xlsx&layout=byProperty - Libro contable en XLSX (una hoja por propiedad)');
+  
+  // Endpoints de administración
+  console.log('\nEndpoints de administración (owner):');
+  console.log('- GET  /api/admin/roles - Listar usuarios con rol');
+  console.log('- GET  /api/admin/roles/:uid - Rol de un usuario');
+  console.log('- PUT  /api/admin/roles/:uid - Asignar rol');
+  console.log('- DEL  /api/admin/roles/:uid - Quitar rol');
+  console.log('- GET  /api/admin/api-keys - Listar API keys');
+  console.log('- POST /api/admin/api-keys - Crear API key (se muestra una sola vez)');
+  console.log('- GET  /api/admin/api-keys/scopes - Scopes disponibles');
+  console.log('- DEL  /api/admin/api-keys/:keyId - Revocar API key');
+  
+  // Endpoints de auditoría
+  console.log('\nEndpoints de auditoría:');
+  console.log('- GET  /api/audit?pathPrefix=properties/X&actor=uid&from=2025-01-01&to=2025-06-30 - Consultar log de cambios');
   
   console.log('\n✅ Alquileres App Backend iniciado correctamente');
   console.log('🔗 Funcionalidades principales implementadas:');
@@ -0,0 +1,260 @@
+/**
+ * Servicio de API keys para llamadas automatizadas (GitHub Actions, scripts)
+ * Cada key se guarda hasheada (SHA-256) en apiKeys/{keyId}; el valor completo
+ * solo se muestra al crearla. Formato: alq_<keyId>_<secreto>
+ */
+const crypto = require('crypto');
+const admin = require('../config/firebase');
+const { API_KEY_SCOPES } = require('../utils/roles');
+
+const db = admin.firestore();
+
+const API_KEYS_COLLECTION = 'apiKeys';
+const API_KEY_PREFIX = 'alq_';
+const API_KEY_REGEX = /^alq_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000; // No escribir lastUsedAt en cada request
+
+/**
+ * Hash SHA-256 de una key completa
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class AlquileresApiKeyService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Crea una API key
+   * @param {Object} data - Datos de la key
+   * @param {string} data.name - Nombre descriptivo (ej: "GitHub Actions - backup")
+   * @param {Array<string>} data.scopes - Permisos otorgados (ver API_KEY_SCOPES)
+   * @param {string} data.expiresAt - Fecha ISO de expiración (opcional)
+   * @param {number} data.expiresInDays - Alternativa a expiresAt (opcional)
+   * @param {string} createdBy - UID de quien la crea
+   * @returns {Promise<Object>} { success, key, apiKey } o { success: false, invalid, error }
+   */
+  async createKey(data = {}, createdBy = null) {
+    try {
+      const { values, error } = this._validateKeyData(data);
+      if (error) {
+        return { success: false, invalid: true, error };
+      }
+
+      const keyId = crypto.randomBytes(8).toString('hex');
+      const key = `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+      const apiKey = {
+        name: values.name,
+        scopes: values.scopes,
+        keyHash: hashApiKey(key),
+        prefix: key.slice(0, API_KEY_PREFIX.length + keyId.length),
+        createdAt: new Date().toISOString(),
+        createdBy,
+        expiresAt: values.expiresAt,
+        lastUsedAt: null,
+        revokedAt: null,
+        revokedBy: null
+      };
+
+      await this.db.collection(API_KEYS_COLLECTION).doc(keyId).set(apiKey);
+
+      console.log(`API key creada: ${keyId} (${values.name}) con scopes ${values.scopes.join(', ')}`);
+
+      return {
+        success: true,
+        key,
+        apiKey: this._toPublicKey(keyId, apiKey)
+      };
+
+    } catch (error) {
+      console.error('Error en createKey:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista las API keys (sin el hash)
+   * @param {Object} options - Opciones
+   * @param {boolean} options.includeRevoked - Incluir keys revocadas (default: false)
+   * @returns {Promise<Object>} { success, apiKeys }
+   */
+  async listKeys(options = {}) {
+    try {
+      const snapshot = await this.db.collection(API_KEYS_COLLECTION).get();
+
+      const apiKeys = snapshot.docs
+        .map(doc => this._toPublicKey(doc.id, doc.data()))
+        .filter(apiKey => options.includeRevoked || !apiKey.revokedAt)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      return {
+        success: true,
+        count: apiKeys.length,
+        apiKeys
+      };
+
+    } catch (error) {
+      console.error('Error en listKeys:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Revoca una API key (se conserva el registro)
+   * @param {string} keyId - ID de la key
+   * @param {string} revokedBy - UID de quien la revoca
+   * @returns {Promise<Object>} { success, apiKey, before } o { success: false, notFound }
+   */
+  async revokeKey(keyId, revokedBy = null) {
+    try {
+      const keyRef = this.db.collection(API_KEYS_COLLECTION).doc(keyId);
+      const doc = await keyRef.get();
+
+      if (!doc.exists) {
+        return { success: false, notFound: true, error: 'API key no encontrada' };
+      }
+
+      const apiKey = doc.data();
+      const before = this._toPublicKey(keyId, apiKey);
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date().toISOString();
+        apiKey.revokedBy = revokedBy;
+        await keyRef.update({ revokedAt: apiKey.revokedAt, revokedBy });
+        console.log(`API key revocada: ${keyId}`);
+      }
+
+      return {
+        success: true,
+        apiKey: this._toPublicKey(keyId, apiKey),
+        before
+      };
+
+    } catch (error) {
+      console.error('Error en revokeKey:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Verifica una API key y actualiza su lastUsedAt
+   * @param {string} key - Valor completo de la key
+   * @returns {Promise<Object>} { valid, apiKey } o { valid: false, reason }
+   */
+  async verifyKey(key) {
+    const match = typeof key === 'string' ? key.match(API_KEY_REGEX) : null;
+
+    if (!match) {
+      return { valid: false, reason: 'Formato de API key inválido' };
+    }
+
+    const keyId = match[1];
+    const keyRef = this.db.collection(API_KEYS_COLLECTION).doc(keyId);
+    const doc = await keyRef.get();
+
+    if (!doc.exists) {
+      return { valid: false, reason: 'API key inválida' };
+    }
+
+    const apiKey = doc.data();
+    const expected = Buffer.from(apiKey.keyHash || '', 'hex');
+    const received = Buffer.from(hashApiKey(key), 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, reason: 'API key inválida' };
+    }
+
+    if (apiKey.revokedAt) {
+      return { valid: false, reason: 'La API key fue revocada' };
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      return { valid: false, reason: 'La API key expiró' };
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) > LAST_USED_UPDATE_INTERVAL_MS) {
+      // No bloquear la request por el registro de uso
+      keyRef.update({ lastUsedAt: now.toISOString() }).catch(error => {
+        console.warn(`No se pudo actualizar lastUsedAt de la API key ${keyId}:`, error.message);
+      });
+    }
+
+    return {
+      valid: true,
+      apiKey: this._toPublicKey(keyId, apiKey)
+    };
+  }
+
+  /**
+   * Valida nombre, scopes y expiración de una key nueva
+   * @private
+   */
+  _validateKeyData(data) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      return { error: 'Se requiere name' };
+    }
+
+    if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+      return { error: 'Se requiere al menos un scope en scopes' };
+    }
+
+    const invalidScopes = data.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return { error: `Scopes inválidos: ${invalidScopes.join(', ')} (disponibles: ${API_KEY_SCOPES.join(', ')})` };
+    }
+
+    let expiresAt = null;
+
+    if (data.expiresAt) {
+      const date = new Date(data.expiresAt);
+      if (isNaN(date.getTime())) {
+        return { error: 'expiresAt debe ser una fecha ISO válida' };
+      }
+      expiresAt = date;
+    } else if (data.expiresInDays !== undefined && data.expiresInDays !== null) {
+      const days = Number(data.expiresInDays);
+      if (!Number.isInteger(days) || days < 1) {
+        return { error: 'expiresInDays debe ser un entero mayor a 0' };
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return { error: 'La fecha de expiración debe ser futura' };
+    }
+
+    return {
+      values: {
+        name,
+        scopes: [...new Set(data.scopes)],
+        expiresAt: expiresAt ? expiresAt.toISOString() : null
+      }
+    };
+  }
+
+  /**
+   * Datos de la key que se pueden mostrar (sin el hash)
+   * @private
+   */
+  _toPublicKey(keyId, apiKey) {
+    const { keyHash, ...publicData } = apiKey;
+    return {
+      id: keyId,
+      ...publicData
+    };
+  }
+}
+
+module.exports = AlquileresApiKeyService;
@@ -0,0 +1,275 @@
+/**
+ * Servicio de auditoría: registra quién cambió qué y cuándo
+ * Cada mutación se guarda en auditLogs con el actor, la ruta, el documento afectado
+ * y las versiones anterior y posterior del documento
+ */
+const admin = require('../config/firebase');
+const { encodeFirestoreData, decodeTimestamps } = require('../utils/backupFormat');
+const { diffFields } = require('../utils/backupDiff');
+
+const db = admin.firestore();
+
+const AUDIT_COLLECTION = 'auditLogs';
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'generate'];
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const SCAN_PAGE_SIZE = 200;
+const MAX_SCANNED_ENTRIES = 5000; // Límite de lectura al filtrar por path, actor o action en memoria
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+class AlquileresAuditService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Lee un documento para guardarlo como before/after
+   * @param {DocumentReference} docRef - Referencia al documento
+   * @returns {Promise<Object|null>} Datos del documento o null si no existe
+   */
+  async snapshot(docRef) {
+    const doc = await docRef.get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Registra una mutación
+   * Nunca lanza: un error al auditar se loguea pero no interrumpe la operación
+   * @param {Object} req - Request de Express (actor y ruta)
+   * @param {Object} entry - Datos de la mutación
+   * @param {string} entry.action - 'create' | 'update' | 'delete' | 'generate'
+   * @param {string} entry.path - Ruta del documento afectado (ej: properties/abc123)
+   * @param {Object} entry.before - Documento antes del cambio (null en create)
+   * @param {Object} entry.after - Documento después del cambio (null en delete)
+   * @param {string} entry.runId - Agrupa las entradas de una misma operación (opcional)
+   * @param {Object} entry.details - Datos adicionales de la operación (opcional, ej: documentos eliminados)
+   * @returns {Promise<string|null>} ID de la entrada o null si no se pudo guardar
+   */
+  async record(req, entry) {
+    const ids = await this.recordMany(req, [entry]);
+    return ids[0] || null;
+  }
+
+  /**
+   * Registra varias mutaciones de una misma request
+   * @param {Object} req - Request de Express
+   * @param {Array<Object>} entries - Entradas (ver record)
+   * @returns {Promise<Array<string>>} IDs de las entradas guardadas
+   */
+  async recordMany(req, entries) {
+    try {
+      const context = this._getContext(req);
+      const timestamp = new Date().toISOString();
+      const ids = [];
+      let batch = this.db.batch();
+      let pending = 0;
+
+      for (const entry of entries) {
+        const entryRef = this.db.collection(AUDIT_COLLECTION).doc();
+        batch.set(entryRef, this._buildEntry(context, timestamp, entry));
+        ids.push(entryRef.id);
+
+        if (++pending >= 450) {
+          await batch.commit();
+          batch = this.db.batch();
+          pending = 0;
+        }
+      }
+
+      if (pending > 0) {
+        await batch.commit();
+      }
+
+      return ids;
+
+    } catch (error) {
+      console.error('Error al registrar auditoría:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Consulta el log de auditoría (más recientes primero)
+   * @param {Object} filters - Filtros
+   * @param {string} filters.pathPrefix - Prefijo de ruta (ej: properties/abc123 incluye sus subcolecciones)
+   * @param {string} filters.actor - ID del actor (uid o apiKey:<keyId>)
+   * @param {string} filters.action - Acción
+   * @param {string} filters.from - Fecha ISO inicial (inclusive)
+   * @param {string} filters.to - Fecha ISO final (inclusive; YYYY-MM-DD incluye todo el día)
+   * @param {number} filters.limit - Máximo de entradas (default 100, máximo 500)
+   * @returns {Promise<Object>} { success, entries, truncated } o { success: false, invalid, error }
+   */
+  async query(filters = {}) {
+    try {
+      const { values, error } = this._normalizeFilters(filters);
+      if (error) {
+        return { success: false, invalid: true, error };
+      }
+
+      // Solo se filtra por timestamp en Firestore: actorId junto con orderBy('timestamp') requeriría
+      // un índice compuesto, así que actor se filtra al recorrer las entradas como pathPrefix y action
+      let query = this.db.collection(AUDIT_COLLECTION);
+
+      if (values.from) {
+        query = query.where('timestamp', '>=', values.from);
+      }
+      if (values.to) {
+        query = query.where('timestamp', '<=', values.to);
+      }
+
+      query = query.orderBy('timestamp', 'desc');
+
+      const matches = (entry) =>
+        (!values.actor || entry.actorId === values.actor) &&
+        (!values.pathPrefix || entry.path === values.pathPrefix || String(entry.path).startsWith(`${values.pathPrefix}/`)) &&
+        (!values.action || entry.action === values.action);
+
+      const entries = [];
+      let scanned = 0;
+      let lastDoc = null;
+      let exhausted = false;
+
+      while (entries.length < values.limit && scanned < MAX_SCANNED_ENTRIES) {
+        let page = query.limit(SCAN_PAGE_SIZE);
+        if (lastDoc) {
+          page = page.startAfter(lastDoc);
+        }
+
+        const snapshot = await page.get();
+
+        for (const doc of snapshot.docs) {
+          scanned++;
+          const entry = { id: doc.id, ...doc.data() };
+          if (matches(entry)) {
+            entries.push(entry);
+            if (entries.length === values.limit) break;
+          }
+        }
+
+        if (snapshot.size < SCAN_PAGE_SIZE) {
+          exhausted = true;
+          break;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      return {
+        success: true,
+        count: entries.length,
+        filters: values,
+        entries,
+        // Se alcanzó el límite de lectura sin recorrer todo el rango: acotar con from/to
+        truncated: !exhausted && entries.length < values.limit
+      };
+
+    } catch (error) {
+      console.error('Error en query de auditoría:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Valida y normaliza los filtros de consulta
+   * @private
+   */
+  _normalizeFilters(filters) {
+    const values = {
+      pathPrefix: filters.pathPrefix ? String(filters.pathPrefix).replace(/^\/+|\/+$/g, '') : null,
+      actor: filters.actor || null,
+      action: filters.action || null,
+      from: null,
+      to: null,
+      limit: DEFAULT_QUERY_LIMIT
+    };
+
+    if (values.action && !AUDIT_ACTIONS.includes(values.action)) {
+      return { error: `action debe ser uno de: ${AUDIT_ACTIONS.join(', ')}` };
+    }
+
+    for (const field of ['from', 'to']) {
+      if (!filters[field]) continue;
+
+      const raw = String(filters[field]);
+      const date = new Date(field === 'to' && DATE_ONLY_REGEX.test(raw) ? `${raw}T23:59:59.999Z` : raw);
+      if (isNaN(date.getTime())) {
+        return { error: `${field} debe ser una fecha ISO válida` };
+      }
+      values[field] = date.toISOString();
+    }
+
+    if (values.from && values.to && values.from > values.to) {
+      return { error: 'from no puede ser posterior a to' };
+    }
+
+    if (filters.limit !== undefined) {
+      const limit = parseInt(filters.limit);
+      if (isNaN(limit) || limit < 1) {
+        return { error: 'limit debe ser un entero mayor a 0' };
+      }
+      values.limit = Math.min(limit, MAX_QUERY_LIMIT);
+    }
+
+    return { values };
+  }
+
+  /**
+   * Actor y ruta de la request
+   * @private
+   */
+  _getContext(req) {
+    const user = req.user || {};
+    const access = req.access || {};
+    const routePath = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+
+    return {
+      actorId: user.uid || 'anonymous',
+      actor: {
+        type: user.apiKeyId ? 'apiKey' : 'user',
+        email: user.email || null,
+        name: user.name || null,
+        role: access.role || null
+      },
+      method: req.method,
+      route: routePath,
+      url: req.originalUrl
+    };
+  }
+
+  /**
+   * Arma el documento de auditoría
+   * @private
+   */
+  _buildEntry(context, timestamp, entry) {
+    const before = this._toSnapshot(entry.before);
+    const after = this._toSnapshot(entry.after);
+
+    return {
+      ...context,
+      timestamp,
+      action: entry.action,
+      path: entry.path,
+      runId: entry.runId || null,
+      details: entry.details || null,
+      before,
+      after,
+      changedFields: diffFields(before || {}, after || {}).map(change => change.field)
+    };
+  }
+
+  /**
+   * Convierte los Timestamps del documento a strings ISO
+   * @private
+   */
+  _toSnapshot(data) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+    return decodeTimestamps(encodeFirestoreData(data), iso => iso);
+  }
+}
+
+module.exports = AlquileresAuditService;
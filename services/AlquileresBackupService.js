@@ -0,0 +1,1075 @@
+/**
+ * Servicio para exportar backups de Alquileres desde Firestore
+ * Adaptado para la estructura REAL de la base de datos
+ * Genera backups completos, por propiedad e incrementales (basados en createdAt/updatedAt),
+ * cada uno con un manifest de hashes SHA-256 para verificar su integridad,
+ * y compara backups entre sí o contra los datos actuales
+ * Los backups completos e incrementales incluyen contratos e inquilinos; los datos personales
+ * de los inquilinos solo con includePersonalData (ver utils/tenants)
+ */
+const admin = require('../config/firebase');
+const {
+  listExpensePeriods,
+  listIncomePeriods,
+  getPropertyUnits,
+  getExpenses,
+  getIncomes
+} = require('../utils/hierarchicalPath');
+const { saveCheckpoint, getCheckpoint, findCheckpoint } = require('../utils/backupCheckpoints');
+const {
+  ManifestBuilder,
+  buildManifest,
+  compareManifests,
+  computeManifestHash,
+  signManifestHash
+} = require('../utils/backupManifest');
+const { diffBackups } = require('../utils/backupDiff');
+const {
+  CURRENT_BACKUP_VERSION,
+  encodeFirestoreData,
+  decodeTimestamps,
+  TIMESTAMP_KEY,
+  isEncodedTimestamp,
+  countIncomeEntries,
+  countPropertyData,
+  buildDetailedStats,
+  detectBackupVersion,
+  upgradeBackup,
+  validateBackupSchema
+} = require('../utils/backupFormat');
+const { stripPersonalData } = require('../utils/tenants');
+
+const db = admin.firestore();
+
+const BACKUP_VERSION = CURRENT_BACKUP_VERSION;
+const STREAM_PAGE_SIZE = 200; // Documentos leídos por página al recorrer colecciones en streaming
+
+class AlquileresBackupService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Obtiene todos los documentos de una colección
+   */
+  async getAllDocuments(collectionRef) {
+    try {
+      const snapshot = await collectionRef.get();
+      const documents = [];
+
+      snapshot.forEach(doc => {
+        documents.push({
+          id: doc.id,
+          ...encodeFirestoreData(doc.data())
+        });
+      });
+
+      return documents;
+    } catch (error) {
+      console.error('Error al obtener documentos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtiene todos los expenses de una propiedad en todos los períodos
+   */
+  async getAllExpenses(propertyId) {
+    try {
+      const periods = await listExpensePeriods(this.db, propertyId);
+      const expensesByPeriod = {};
+
+      for (const period of periods) {
+        const expenses = await getExpenses(this.db, propertyId, period.year, period.month);
+        if (expenses.length > 0) {
+          expensesByPeriod[period.periodKey] = expenses.map(encodeFirestoreData);
+        }
+      }
+
+      return expensesByPeriod;
+    } catch (error) {
+      console.error(`Error al obtener expenses de propiedad ${propertyId}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Obtiene todos los incomes de una unidad en todos los períodos
+   */
+  async getAllIncomes(propertyId, unitId) {
+    try {
+      const periods = await listIncomePeriods(this.db, propertyId, unitId);
+      const incomesByPeriod = {};
+
+      for (const period of periods) {
+        const income = await getIncomes(this.db, propertyId, unitId, period.year, period.month);
+        if (income) {
+          incomesByPeriod[period.periodKey] = encodeFirestoreData(income);
+        }
+      }
+
+      return incomesByPeriod;
+    } catch (error) {
+      console.error(`Error al obtener incomes de unidad ${unitId}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Obtiene datos completos de una propiedad
+   */
+  async getCompletePropertyData(propertyId, propertyData) {
+    try {
+      // Obtener expenses de la propiedad
+      const expenses = await this.getAllExpenses(propertyId);
+
+      // Obtener unidades de la propiedad
+      const propertyUnits = await getPropertyUnits(this.db, propertyId);
+
+      // Para cada unidad, obtener sus incomes
+      const unitsWithIncomes = [];
+      for (const unit of propertyUnits) {
+        const incomes = await this.getAllIncomes(propertyId, unit.id);
+        unitsWithIncomes.push({
+          ...encodeFirestoreData(unit),
+          incomes
+        });
+      }
+
+      return {
+        ...propertyData,
+        expenses,
+        units: unitsWithIncomes
+      };
+    } catch (error) {
+      console.error(`Error al obtener datos completos de propiedad ${propertyId}:`, error);
+      return propertyData;
+    }
+  }
+
+  /**
+   * Obtiene las propiedades principales con Timestamps procesados
+   */
+  async getProperties() {
+    return this.getAllDocuments(this.db.collection('properties'));
+  }
+
+  /**
+   * Obtiene los contratos y los inquilinos con Timestamps procesados
+   * @param {boolean} includePersonalData - Incluir los datos personales de los inquilinos
+   * @returns {Promise<Object>} { leases, tenants }
+   */
+  async getLeasesAndTenants(includePersonalData) {
+    const leases = await this.getAllDocuments(this.db.collection('leases'));
+    const tenants = await this.getAllDocuments(this.db.collection('tenants'));
+
+    return {
+      leases,
+      tenants: includePersonalData ? tenants : tenants.map(stripPersonalData)
+    };
+  }
+
+  /**
+   * Genera el backup completo (Estructura Real)
+   * @param {Object} options - Opciones del backup
+   * @param {boolean} options.includeDetails - Incluir expenses e incomes por período (default: true)
+   * @param {boolean} options.includePersonalData - Incluir los datos personales de los inquilinos (default: false)
+   * @param {boolean} options.saveCheckpoint - Guardar checkpoint para futuros incrementales (default: false)
+   * @returns {Promise<Object>} Datos del backup
+   */
+  async buildFullBackup(options = {}) {
+    const includeDetails = options.includeDetails !== false;
+    const includePersonalData = options.includePersonalData === true;
+
+    // Inicializar objeto de backup
+    const backupData = {
+      version: BACKUP_VERSION,
+      type: 'full',
+      exportDate: new Date().toISOString(),
+      structure: 'real', // Estructura real de la BD
+      personalData: includePersonalData
+    };
+
+    console.log('Obteniendo propiedades principales...');
+
+    // 1. Obtener todas las propiedades
+    const properties = await this.getProperties();
+
+    backupData.properties = properties;
+    console.log(`Properties: ${properties.length} documentos`);
+
+    // 2. Obtener collection independiente de units
+    console.log('Obteniendo collection independiente de units...');
+    const units = await this.getAllDocuments(this.db.collection('units'));
+    backupData.units = units;
+    console.log(`Units (independiente): ${units.length} documentos`);
+
+    // 3. Contratos e inquilinos
+    const { leases, tenants } = await this.getLeasesAndTenants(includePersonalData);
+    backupData.leases = leases;
+    backupData.tenants = tenants;
+    console.log(`Leases: ${leases.length} documentos, tenants: ${tenants.length} documentos${includePersonalData ? ' (con datos personales)' : ''}`);
+
+    // 4. Si se incluyen detalles, obtener datos completos por propiedad
+    if (includeDetails) {
+      console.log('Obteniendo datos completos por propiedad...');
+
+      const propertiesData = {};
+
+      for (const property of properties) {
+        console.log(`Procesando propiedad: ${property.name || property.id}`);
+
+        const completeData = await this.getCompletePropertyData(property.id, property);
+        propertiesData[property.id] = completeData;
+
+        const propertyStats = countPropertyData(completeData);
+        console.log(`  • ${property.name || property.id}: ${propertyStats.expenseItems} expenses en ${propertyStats.expensePeriods} períodos, ${propertyStats.incomes} incomes en ${propertyStats.incomePeriods} períodos`);
+      }
+
+      backupData.propertiesData = propertiesData;
+
+      // Estadísticas detalladas
+      backupData.detailedStats = buildDetailedStats(propertiesData);
+    }
+
+    // Generar estadísticas básicas
+    const stats = {
+      properties: properties.length,
+      unitsIndependent: units.length,
+      leases: leases.length,
+      tenants: tenants.length
+    };
+
+    if (backupData.detailedStats) {
+      Object.assign(stats, backupData.detailedStats);
+    }
+
+    backupData.stats = stats;
+    backupData.manifest = this._buildManifest(backupData);
+
+    // El inventario solo es completo si se recorrieron los datos jerárquicos
+    if (options.saveCheckpoint && includeDetails) {
+      backupData.checkpointId = await saveCheckpoint(this.db, {
+        exportDate: backupData.exportDate,
+        type: 'full',
+        inventory: this.buildInventory(properties, units, backupData.propertiesData, { leases, tenants })
+      });
+      console.log(`Checkpoint guardado: ${backupData.checkpointId}`);
+    }
+
+    return backupData;
+  }
+
+  /**
+   * Genera el backup de una propiedad específica
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object|null>} Datos del backup o null si la propiedad no existe
+   */
+  async buildPropertyBackup(propertyId) {
+    const propertyDoc = await this.db
+      .collection('properties')
+      .doc(propertyId)
+      .get();
+
+    if (!propertyDoc.exists) {
+      return null;
+    }
+
+    const propertyData = {
+      id: propertyDoc.id,
+      ...encodeFirestoreData(propertyDoc.data())
+    };
+
+    // Obtener datos completos
+    const completeData = await this.getCompletePropertyData(propertyId, propertyData);
+
+    return {
+      version: BACKUP_VERSION,
+      type: 'property',
+      propertyId,
+      exportDate: new Date().toISOString(),
+      data: completeData,
+      stats: buildDetailedStats({ [propertyId]: completeData }),
+      manifest: this._buildManifest({ propertiesData: { [propertyId]: completeData } })
+    };
+  }
+
+  /**
+   * Recorre la estructura completa emitiendo un registro por documento, sin acumular datos
+   * Las colecciones principales se leen paginadas y los expenses/incomes período a período,
+   * por lo que la memoria se mantiene constante sin importar el volumen de datos
+   * @param {Function} emit - Función async que recibe cada registro
+   * @param {Object} options - Opciones del backup
+   * @param {boolean} options.includeDetails - Incluir expenses e incomes por período (default: true)
+   * @param {boolean} options.includePersonalData - Incluir los datos personales de los inquilinos (default: false)
+   * @param {Function} options.isCancelled - Devuelve true si se debe detener el recorrido
+   * @returns {Promise<Object|null>} { stats, manifest } (mismo formato que el backup completo)
+   *   o null si se canceló
+   */
+  async streamFullBackup(emit, options = {}) {
+    const includeDetails = options.includeDetails !== false;
+    const includePersonalData = options.includePersonalData === true;
+    const isCancelled = options.isCancelled || (() => false);
+    const manifestBuilder = new ManifestBuilder();
+    ['properties', 'units', 'leases', 'tenants'].forEach(name => manifestBuilder.ensureCollection(name));
+
+    const stats = {
+      properties: 0,
+      unitsIndependent: 0,
+      leases: 0,
+      tenants: 0
+    };
+
+    const detailedStats = {
+      totalExpenses: 0,
+      totalIncomes: 0,
+      totalExpensePeriods: 0,
+      totalIncomePeriods: 0,
+      totalPropertyUnits: 0,
+      propertiesWithData: 0
+    };
+
+    // 1. Propiedades principales (con sus datos jerárquicos si se incluyen detalles)
+    for await (const property of this._iterateDocuments(this.db.collection('properties'))) {
+      if (isCancelled()) return null;
+
+      await emit({ recordType: 'property', data: property });
+      manifestBuilder.addCollectionDocument('properties', property);
+      stats.properties++;
+
+      if (!includeDetails) continue;
+
+      detailedStats.propertiesWithData++;
+      manifestBuilder.setProperty(property.id, property);
+
+      const expensePeriods = await listExpensePeriods(this.db, property.id);
+      for (const period of expensePeriods) {
+        if (isCancelled()) return null;
+
+        const expenses = (await getExpenses(this.db, property.id, period.year, period.month))
+          .map(encodeFirestoreData);
+        if (expenses.length === 0) continue;
+
+        detailedStats.totalExpensePeriods++;
+        manifestBuilder.addExpensePeriod(property.id, period.periodKey, expenses);
+        for (const expense of expenses) {
+          await emit({ recordType: 'expense', propertyId: property.id, periodKey: period.periodKey, data: expense });
+          detailedStats.totalExpenses++;
+        }
+      }
+
+      const propertyUnits = (await getPropertyUnits(this.db, property.id)).map(encodeFirestoreData);
+      for (const unit of propertyUnits) {
+        if (isCancelled()) return null;
+
+        await emit({ recordType: 'propertyUnit', propertyId: property.id, data: unit });
+        manifestBuilder.addPropertyUnit(property.id, unit);
+        detailedStats.totalPropertyUnits++;
+
+        const incomePeriods = await listIncomePeriods(this.db, property.id, unit.id);
+        for (const period of incomePeriods) {
+          const rawIncome = await getIncomes(this.db, property.id, unit.id, period.year, period.month);
+          if (!rawIncome) continue;
+
+          const income = encodeFirestoreData(rawIncome);
+          await emit({ recordType: 'income', propertyId: property.id, unitId: unit.id, periodKey: period.periodKey, data: income });
+          manifestBuilder.addIncome(property.id, unit.id, period.periodKey, income);
+          detailedStats.totalIncomePeriods++;
+          detailedStats.totalIncomes += countIncomeEntries(income);
+        }
+      }
+    }
+
+    // 2. Collection independiente de units
+    for await (const unit of this._iterateDocuments(this.db.collection('units'))) {
+      if (isCancelled()) return null;
+
+      await emit({ recordType: 'unit', data: unit });
+      manifestBuilder.addCollectionDocument('units', unit);
+      stats.unitsIndependent++;
+    }
+
+    // 3. Contratos e inquilinos
+    for await (const lease of this._iterateDocuments(this.db.collection('leases'))) {
+      if (isCancelled()) return null;
+
+      await emit({ recordType: 'lease', data: lease });
+      manifestBuilder.addCollectionDocument('leases', lease);
+      stats.leases++;
+    }
+
+    for await (const document of this._iterateDocuments(this.db.collection('tenants'))) {
+      if (isCancelled()) return null;
+
+      const tenant = includePersonalData ? document : stripPersonalData(document);
+      await emit({ recordType: 'tenant', data: tenant });
+      manifestBuilder.addCollectionDocument('tenants', tenant);
+      stats.tenants++;
+    }
+
+    if (includeDetails) {
+      Object.assign(stats, detailedStats);
+    }
+
+    return {
+      stats,
+      manifest: manifestBuilder.build({ secret: process.env.BACKUP_MANIFEST_SECRET })
+    };
+  }
+
+  /**
+   * Resuelve el punto de partida de un backup incremental
+   * Con checkpointId se usa ese checkpoint ('latest' para el más reciente); con since se busca
+   * un checkpoint con esa misma exportDate para poder detectar eliminaciones
+   * @param {Object} options - { since, checkpointId }
+   * @returns {Promise<Object|null>} { since, checkpoint } o null si el checkpoint no existe
+   */
+  async resolveIncrementalBase(options = {}) {
+    if (options.checkpointId) {
+      const checkpoint = options.checkpointId === 'latest'
+        ? await findCheckpoint(this.db)
+        : await getCheckpoint(this.db, options.checkpointId);
+
+      if (!checkpoint) {
+        return null;
+      }
+
+      return { since: checkpoint.exportDate, checkpoint };
+    }
+
+    const since = new Date(options.since).toISOString();
+    const checkpoint = await findCheckpoint(this.db, since);
+
+    return { since, checkpoint };
+  }
+
+  /**
+   * Genera un backup incremental con los documentos creados o actualizados desde una fecha
+   * Los documentos sin createdAt/updatedAt se incluyen solo si son nuevos respecto al
+   * inventario del checkpoint base (o siempre, si no hay checkpoint)
+   * @param {Object} base - Resultado de resolveIncrementalBase
+   * @param {Object} options - Opciones del backup
+   * @param {boolean} options.includePersonalData - Incluir los datos personales de los inquilinos (default: false)
+   * @param {boolean} options.saveCheckpoint - Guardar checkpoint para encadenar el siguiente incremental
+   * @returns {Promise<Object>} Datos del backup incremental
+   */
+  async buildIncrementalBackup(base, options = {}) {
+    const sinceDate = new Date(base.since);
+    const baseInventory = base.checkpoint ? new Set(base.checkpoint.inventory) : null;
+    const counters = { undatedIncluded: 0 };
+
+    const isChanged = (path, doc) => {
+      const changeDate = this._getChangeDate(doc);
+      if (changeDate) {
+        return changeDate >= sinceDate;
+      }
+
+      if (!baseInventory || !baseInventory.has(path)) {
+        counters.undatedIncluded++;
+        return true;
+      }
+
+      return false;
+    };
+
+    const backupData = {
+      version: BACKUP_VERSION,
+      type: 'incremental',
+      exportDate: new Date().toISOString(),
+      structure: 'real',
+      baseExportDate: base.since,
+      baseCheckpointId: base.checkpoint ? base.checkpoint.id : null,
+      personalData: options.includePersonalData === true
+    };
+
+    console.log(`Generando backup incremental desde ${base.since}...`);
+
+    const properties = await this.getProperties();
+    const units = await this.getAllDocuments(this.db.collection('units'));
+
+    backupData.properties = properties.filter(property => isChanged(`properties/${property.id}`, property));
+    backupData.units = units.filter(unit => isChanged(`units/${unit.id}`, unit));
+
+    const { leases, tenants } = await this.getLeasesAndTenants(backupData.personalData);
+    backupData.leases = leases.filter(lease => isChanged(`leases/${lease.id}`, lease));
+    backupData.tenants = tenants.filter(tenant => isChanged(`tenants/${tenant.id}`, tenant));
+
+    const propertiesData = {};
+    const completeByProperty = {};
+
+    for (const property of properties) {
+      const completeData = await this.getCompletePropertyData(property.id, property);
+      completeByProperty[property.id] = completeData;
+
+      const changedData = this._filterChangedPropertyData(property.id, completeData, isChanged);
+      if (changedData) {
+        propertiesData[property.id] = changedData;
+      }
+    }
+
+    backupData.propertiesData = propertiesData;
+
+    const inventory = this.buildInventory(properties, units, completeByProperty, { leases, tenants });
+
+    if (baseInventory) {
+      const currentInventory = new Set(inventory);
+      const deletedPaths = [...baseInventory].filter(path => !currentInventory.has(path));
+      backupData.deleted = this._groupDeletedPaths(deletedPaths);
+    } else {
+      backupData.deleted = null;
+      backupData.warnings = [
+        'No se encontró un checkpoint para la fecha base: no es posible detectar documentos eliminados'
+      ];
+    }
+
+    const detailedStats = buildDetailedStats(propertiesData);
+    backupData.stats = {
+      properties: backupData.properties.length,
+      unitsIndependent: backupData.units.length,
+      leases: backupData.leases.length,
+      tenants: backupData.tenants.length,
+      ...detailedStats,
+      undatedIncluded: counters.undatedIncluded,
+      deleted: backupData.deleted
+        ? Object.values(backupData.deleted).reduce((sum, items) => sum + items.length, 0)
+        : null
+    };
+    backupData.manifest = this._buildManifest(backupData);
+
+    if (options.saveCheckpoint) {
+      backupData.checkpointId = await saveCheckpoint(this.db, {
+        exportDate: backupData.exportDate,
+        type: 'incremental',
+        baseCheckpointId: backupData.baseCheckpointId,
+        inventory
+      });
+      console.log(`Checkpoint guardado: ${backupData.checkpointId}`);
+    }
+
+    console.log('Backup incremental completado. Estadísticas:', backupData.stats);
+
+    return backupData;
+  }
+
+  /**
+   * Verifica un backup contra su manifest y, opcionalmente, contra los datos actuales
+   * Acepta backups completos, incrementales y por propiedad
+   * @param {Object} backupData - Contenido del archivo de backup
+   * @param {Object} options - Opciones
+   * @param {boolean} options.live - Comparar también con los datos actuales de Firestore
+   * @returns {Promise<Object>} Resultado de la verificación
+   */
+  async verifyBackup(backupData, options = {}) {
+    const content = this._getVerifiableContent(backupData);
+
+    if (!content) {
+      return {
+        success: false,
+        error: 'Formato de backup no reconocido (se espera el JSON de /api/backup o /api/backup/property/:propertyId)'
+      };
+    }
+
+    const result = {
+      success: true,
+      valid: true,
+      scope: content.scope,
+      version: detectBackupVersion(backupData),
+      exportDate: backupData.exportDate || null,
+      checks: {},
+      mismatches: [],
+      warnings: []
+    };
+
+    const manifest = backupData.manifest;
+    if (!manifest || typeof manifest !== 'object') {
+      result.valid = false;
+      result.checks.manifest = 'missing';
+      result.warnings.push('El backup no incluye manifest (generado antes de que existiera)');
+      return result;
+    }
+
+    result.checks.manifest = 'present';
+
+    // 1. El manifest no fue editado después de generarse
+    const recalculatedHash = computeManifestHash(manifest);
+    result.checks.manifestHash = recalculatedHash === manifest.hash ? 'ok' : 'mismatch';
+    if (recalculatedHash !== manifest.hash) {
+      result.valid = false;
+      result.mismatches.push({ path: 'manifest', issue: 'modified', expected: manifest.hash, actual: recalculatedHash });
+    }
+
+    // 2. Firma HMAC (solo si hay secreto configurado)
+    const secret = process.env.BACKUP_MANIFEST_SECRET;
+    if (!secret) {
+      result.checks.signature = manifest.signature ? 'not-configured' : 'unsigned';
+    } else if (!manifest.signature) {
+      result.checks.signature = 'missing';
+      result.warnings.push('El manifest no está firmado');
+    } else {
+      const signatureOk = signManifestHash(manifest.hash, secret) === manifest.signature;
+      result.checks.signature = signatureOk ? 'ok' : 'invalid';
+      if (!signatureOk) result.valid = false;
+    }
+
+    // 3. El contenido coincide con los hashes del manifest
+    const contentMismatches = compareManifests(manifest, buildManifest(content));
+    result.checks.contents = contentMismatches.length === 0 ? 'ok' : 'mismatch';
+    if (contentMismatches.length > 0) {
+      result.valid = false;
+      result.mismatches.push(...contentMismatches);
+    }
+
+    // 4. Comparación con los datos actuales de Firestore
+    // Los hashes de un backup de una versión anterior no son comparables con el export actual,
+    // por lo que se comparan los del backup convertido a la versión actual
+    if (options.live) {
+      const upgraded = upgradeBackup(backupData);
+
+      if (upgraded.converted) {
+        const upgradedContent = this._getVerifiableContent(upgraded.backup);
+        result.live = await this._compareWithLiveData(upgradedContent, buildManifest(upgradedContent));
+        result.live.comparedAsVersion = CURRENT_BACKUP_VERSION;
+      } else {
+        result.live = await this._compareWithLiveData(content, manifest);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Valida un backup contra el esquema de la versión actual, convirtiéndolo si es de una versión anterior
+   * @param {Object} backupData - Contenido del archivo (completo, incremental o por propiedad)
+   * @returns {Object} Resultado { success, valid, version, currentVersion, converted, errors, backup }
+   */
+  validateBackupFormat(backupData) {
+    const upgraded = upgradeBackup(backupData);
+
+    if (upgraded.error) {
+      return {
+        success: true,
+        valid: false,
+        version: detectBackupVersion(backupData),
+        currentVersion: CURRENT_BACKUP_VERSION,
+        converted: false,
+        errors: [upgraded.error]
+      };
+    }
+
+    const errors = validateBackupSchema(upgraded.backup);
+
+    return {
+      success: true,
+      valid: errors.length === 0,
+      version: upgraded.fromVersion,
+      currentVersion: CURRENT_BACKUP_VERSION,
+      converted: upgraded.converted,
+      errors,
+      backup: upgraded.backup
+    };
+  }
+
+  /**
+   * Compara dos backups (completos o por propiedad) y devuelve los cambios por tipo
+   * Si uno de los dos es de una sola propiedad, la comparación se limita a esa propiedad
+   * @param {Object} beforeData - Backup anterior
+   * @param {Object} afterData - Backup posterior
+   * @returns {Promise<Object>} Resultado con changes, summary y warnings
+   */
+  async diffBackups(beforeData, afterData) {
+    const beforeResult = this._getDiffContent(beforeData, 'before');
+    const afterResult = this._getDiffContent(afterData, 'after');
+
+    const formatError = beforeResult.error || afterResult.error;
+    if (formatError) {
+      return { success: false, error: formatError };
+    }
+
+    const before = beforeResult.content;
+    const after = afterResult.content;
+
+    const propertyId = before.propertyId || after.propertyId;
+    if (before.propertyId && after.propertyId && before.propertyId !== after.propertyId) {
+      return { success: false, error: 'Los backups por propiedad corresponden a propiedades distintas' };
+    }
+
+    return this._buildDiffResult(
+      this._limitToProperty(before, propertyId),
+      this._limitToProperty(after, propertyId),
+      { source: 'backup', exportDate: beforeData.exportDate || null },
+      { source: 'backup', exportDate: afterData.exportDate || null },
+      propertyId
+    );
+  }
+
+  /**
+   * Compara un backup con los datos actuales de Firestore
+   * @param {Object} backupData - Backup (completo o por propiedad)
+   * @returns {Promise<Object>} Resultado con changes, summary y warnings
+   */
+  async diffWithLiveData(backupData) {
+    const { content: before, error } = this._getDiffContent(backupData, 'backup');
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    let liveBackup;
+    let liveContent;
+
+    if (before.scope === 'property') {
+      liveBackup = await this.buildPropertyBackup(before.propertyId);
+      // Si la propiedad ya no existe, todo el contenido del backup figura como eliminado
+      liveContent = {
+        scope: 'property',
+        propertyId: before.propertyId,
+        propertiesData: liveBackup ? { [before.propertyId]: liveBackup.data } : {}
+      };
+    } else {
+      liveBackup = await this.buildFullBackup({
+        includeDetails: before.includeDetails,
+        includePersonalData: before.personalData
+      });
+      liveContent = this._getVerifiableContent(liveBackup);
+    }
+
+    const after = decodeTimestamps(liveContent, iso => iso);
+
+    return this._buildDiffResult(
+      before,
+      after,
+      { source: 'backup', exportDate: backupData.exportDate || null },
+      { source: 'live', exportDate: liveBackup ? liveBackup.exportDate : new Date().toISOString() },
+      before.propertyId
+    );
+  }
+
+  /**
+   * Compara el manifest de un backup con el de los datos actuales
+   * Las diferencias son esperables si los datos cambiaron después del export
+   * @private
+   */
+  async _compareWithLiveData(content, manifest) {
+    let liveManifest;
+
+    if (content.scope === 'property') {
+      const liveBackup = await this.buildPropertyBackup(content.propertyId);
+      if (!liveBackup) {
+        return {
+          compared: true,
+          upToDate: false,
+          differences: [{ path: `properties/${content.propertyId}`, issue: 'missing' }]
+        };
+      }
+      liveManifest = liveBackup.manifest;
+    } else if (content.scope === 'full') {
+      const liveBackup = await this.buildFullBackup({
+        includeDetails: content.includeDetails,
+        includePersonalData: content.personalData
+      });
+      liveManifest = liveBackup.manifest;
+    } else {
+      return { compared: false, reason: 'La comparación con datos actuales no aplica a backups incrementales' };
+    }
+
+    const differences = compareManifests(manifest, liveManifest);
+
+    return {
+      compared: true,
+      upToDate: differences.length === 0,
+      differences
+    };
+  }
+
+  /**
+   * Extrae { properties, units, leases, tenants, propertiesData } de un backup según su tipo
+   * Los backups anteriores a los contratos no tienen leases ni tenants (quedan undefined)
+   * @private
+   */
+  _getVerifiableContent(backupData) {
+    if (!backupData || typeof backupData !== 'object') {
+      return null;
+    }
+
+    if (backupData.propertyId && backupData.data && typeof backupData.data === 'object') {
+      return {
+        scope: 'property',
+        propertyId: backupData.propertyId,
+        propertiesData: { [backupData.propertyId]: backupData.data }
+      };
+    }
+
+    if (Array.isArray(backupData.properties)) {
+      return {
+        scope: backupData.type === 'incremental' ? 'incremental' : 'full',
+        includeDetails: backupData.propertiesData !== undefined,
+        personalData: backupData.personalData === true,
+        properties: backupData.properties,
+        units: backupData.units,
+        leases: backupData.leases,
+        tenants: backupData.tenants,
+        propertiesData: backupData.propertiesData
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Convierte un backup a la versión actual y extrae su contenido para compararlo
+   * Los Timestamps se comparan como ISO string, así un backup 1.0 y uno 2.0 son comparables
+   * Solo se aceptan backups completos o por propiedad (no incrementales)
+   * @private
+   */
+  _getDiffContent(backupData, label) {
+    const upgraded = upgradeBackup(backupData);
+    if (upgraded.error) {
+      return { error: `${label}: ${upgraded.error} (se espera el JSON de /api/backup o /api/backup/property/:propertyId)` };
+    }
+
+    const content = this._getVerifiableContent(decodeTimestamps(upgraded.backup, iso => iso));
+
+    if (!content) {
+      return { error: `${label}: formato de backup no reconocido (se espera el JSON de /api/backup o /api/backup/property/:propertyId)` };
+    }
+
+    if (content.scope === 'incremental') {
+      return { error: `${label}: los backups incrementales no se pueden comparar, restaurar la cadena o usar backups completos` };
+    }
+
+    return { content };
+  }
+
+  /**
+   * Limita el contenido de un backup a una propiedad
+   * @private
+   */
+  _limitToProperty(content, propertyId) {
+    if (!propertyId || content.scope === 'property') {
+      return content;
+    }
+
+    const propertyData = (content.propertiesData || {})[propertyId];
+
+    return {
+      scope: 'property',
+      propertyId,
+      propertiesData: content.propertiesData
+        ? (propertyData ? { [propertyId]: propertyData } : {})
+        : undefined,
+      properties: (content.properties || []).filter(property => property.id === propertyId)
+    };
+  }
+
+  /**
+   * Arma la respuesta del diff
+   * @private
+   */
+  _buildDiffResult(before, after, beforeInfo, afterInfo, propertyId) {
+    const { changes, summary, warnings } = diffBackups(before, after);
+
+    return {
+      success: true,
+      scope: propertyId ? 'property' : 'full',
+      propertyId: propertyId || null,
+      before: beforeInfo,
+      after: afterInfo,
+      identical: summary.totalChanges === 0,
+      summary,
+      changes,
+      warnings
+    };
+  }
+
+  /**
+   * Genera el manifest de integridad de un backup (firmado si hay BACKUP_MANIFEST_SECRET)
+   * @private
+   */
+  _buildManifest(backupContent) {
+    return buildManifest(backupContent, { secret: process.env.BACKUP_MANIFEST_SECRET });
+  }
+
+  /**
+   * Construye el inventario de rutas de todos los documentos del backup
+   * @param {Array} properties - Propiedades principales
+   * @param {Array} units - Collection independiente de units
+   * @param {Object} propertiesData - Datos completos por propiedad
+   * @param {Object} collections - { leases, tenants }
+   * @returns {Array<string>} Rutas de documentos
+   */
+  buildInventory(properties, units, propertiesData = {}, collections = {}) {
+    const inventory = [];
+
+    properties.forEach(property => inventory.push(`properties/${property.id}`));
+    units.forEach(unit => inventory.push(`units/${unit.id}`));
+    (collections.leases || []).forEach(lease => inventory.push(`leases/${lease.id}`));
+    (collections.tenants || []).forEach(tenant => inventory.push(`tenants/${tenant.id}`));
+
+    for (const [propertyId, data] of Object.entries(propertiesData)) {
+      for (const [periodKey, items] of Object.entries(data.expenses || {})) {
+        (items || []).forEach(item => {
+          inventory.push(`properties/${propertyId}/expenses/${periodKey}/items/${item.id}`);
+        });
+      }
+
+      for (const unit of data.units || []) {
+        inventory.push(`properties/${propertyId}/units/${unit.id}`);
+        Object.keys(unit.incomes || {}).forEach(periodKey => {
+          inventory.push(`properties/${propertyId}/units/${unit.id}/incomes/${periodKey}`);
+        });
+      }
+    }
+
+    return inventory;
+  }
+
+  /**
+   * Itera una colección por páginas ordenadas por ID, con Timestamps procesados
+   * @private
+   */
+  async *_iterateDocuments(collectionRef, pageSize = STREAM_PAGE_SIZE) {
+    let lastDoc = null;
+
+    while (true) {
+      let query = collectionRef
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        yield {
+          id: doc.id,
+          ...encodeFirestoreData(doc.data())
+        };
+      }
+
+      if (snapshot.size < pageSize) {
+        return;
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  /**
+   * Filtra los datos completos de una propiedad dejando solo lo modificado
+   * Una unidad se incluye completa si cambió ella misma o alguno de sus incomes
+   * @private
+   */
+  _filterChangedPropertyData(propertyId, completeData, isChanged) {
+    const expenses = {};
+    for (const [periodKey, items] of Object.entries(completeData.expenses || {})) {
+      const changedItems = (items || []).filter(item =>
+        isChanged(`properties/${propertyId}/expenses/${periodKey}/items/${item.id}`, item)
+      );
+      if (changedItems.length > 0) {
+        expenses[periodKey] = changedItems;
+      }
+    }
+
+    const units = [];
+    for (const unit of completeData.units || []) {
+      const unitPath = `properties/${propertyId}/units/${unit.id}`;
+      const unitChanged = isChanged(unitPath, unit);
+
+      const incomes = {};
+      for (const [periodKey, income] of Object.entries(unit.incomes || {})) {
+        if (isChanged(`${unitPath}/incomes/${periodKey}`, income)) {
+          incomes[periodKey] = income;
+        }
+      }
+
+      if (unitChanged || Object.keys(incomes).length > 0) {
+        units.push({ ...unit, incomes });
+      }
+    }
+
+    if (Object.keys(expenses).length === 0 && units.length === 0) {
+      return null;
+    }
+
+    return {
+      id: propertyId,
+      expenses,
+      units
+    };
+  }
+
+  /**
+   * Agrupa rutas eliminadas por tipo de documento
+   * @private
+   */
+  _groupDeletedPaths(paths) {
+    const deleted = {
+      properties: [],
+      units: [],
+      leases: [],
+      tenants: [],
+      propertyUnits: [],
+      expenses: [],
+      incomes: []
+    };
+
+    for (const path of paths) {
+      const segments = path.split('/');
+
+      if (segments.length === 2) {
+        deleted[segments[0]].push(segments[1]);
+      } else if (segments.length === 4) {
+        deleted.propertyUnits.push({ propertyId: segments[1], unitId: segments[3] });
+      } else if (segments.length === 6 && segments[2] === 'expenses') {
+        deleted.expenses.push({ propertyId: segments[1], periodKey: segments[3], expenseId: segments[5] });
+      } else if (segments.length === 6 && segments[2] === 'units') {
+        deleted.incomes.push({ propertyId: segments[1], unitId: segments[3], periodKey: segments[5] });
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Obtiene la fecha de último cambio de un documento (máximo entre createdAt y updatedAt)
+   * Acepta Timestamps de Firestore, ISO strings y Timestamps serializados (2.0 y 1.0)
+   * @private
+   */
+  _getChangeDate(doc) {
+    const dates = [doc.createdAt, doc.updatedAt]
+      .map(value => this._toDate(value))
+      .filter(Boolean);
+
+    if (dates.length === 0) {
+      return null;
+    }
+
+    return new Date(Math.max(...dates.map(date => date.getTime())));
+  }
+
+  /**
+   * @private
+   */
+  _toDate(value) {
+    if (!value) return null;
+
+    if (value instanceof admin.firestore.Timestamp) {
+      return value.toDate();
+    }
+
+    if (isEncodedTimestamp(value)) {
+      return new Date(value[TIMESTAMP_KEY]);
+    }
+
+    if (typeof value === 'object' && typeof value._seconds === 'number') {
+      return new Date(value._seconds * 1000 + Math.floor((value._nanoseconds || 0) / 1e6));
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = AlquileresBackupService;
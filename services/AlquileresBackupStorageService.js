@@ -0,0 +1,248 @@
+/**
+ * Servicio para guardar backups de Alquileres en un almacenamiento del servidor
+ * Usa los mismos exports completo y por propiedad de AlquileresBackupService,
+ * un adaptador de almacenamiento intercambiable y políticas de retención
+ */
+const AlquileresBackupService = require('./AlquileresBackupService');
+const { createBackupStorage } = require('./storage');
+const {
+  parseRetentionPolicy,
+  hasRetentionRules,
+  selectBackupsToKeep
+} = require('../utils/backupRetention');
+const { encryptBackup, decryptBackup } = require('../utils/backupEncryption');
+
+const BACKUP_ID_REGEX = /^[a-zA-Z0-9_-]+$/;
+const BACKUP_SCOPES = ['full', 'property'];
+
+class AlquileresBackupStorageService {
+  /**
+   * @param {Object} storage - Adaptador de almacenamiento (default: el configurado por entorno)
+   */
+  constructor(storage = createBackupStorage()) {
+    this.storage = storage;
+    this.backupService = new AlquileresBackupService();
+  }
+
+  /**
+   * Indica si un ID de backup guardado tiene un formato válido
+   * @param {string} backupId - ID del backup
+   * @returns {boolean}
+   */
+  isValidBackupId(backupId) {
+    return BACKUP_ID_REGEX.test(backupId || '');
+  }
+
+  /**
+   * Obtiene la política de retención por defecto (variable BACKUP_RETENTION)
+   * @returns {Object} Política normalizada
+   */
+  getDefaultRetentionPolicy() {
+    return parseRetentionPolicy(process.env.BACKUP_RETENTION);
+  }
+
+  /**
+   * Genera un backup y lo guarda en el almacenamiento
+   * @param {Object} options - Opciones
+   * @param {string} options.scope - 'full' | 'property' (default: 'full')
+   * @param {string} options.propertyId - ID de la propiedad (solo scope 'property')
+   * @param {boolean} options.includeDetails - Incluir expenses e incomes (solo scope 'full', default: true)
+   * @param {boolean} options.includePersonalData - Incluir los datos personales de los inquilinos (solo scope 'full', default: false)
+   * @param {boolean} options.applyRetention - Aplicar la política de retención después de guardar (default: true)
+   * @param {Object|string} options.retention - Política a aplicar (default: BACKUP_RETENTION)
+   * @param {boolean} options.encrypt - Guardar el backup encriptado (default: false)
+   * @returns {Promise<Object>} Resultado con la metadata del backup guardado
+   */
+  async createBackup(options = {}) {
+    try {
+      const scope = options.scope || 'full';
+
+      if (!BACKUP_SCOPES.includes(scope)) {
+        return { success: false, error: `scope debe ser uno de: ${BACKUP_SCOPES.join(', ')}` };
+      }
+
+      if (scope === 'property' && !options.propertyId) {
+        return { success: false, error: 'Se requiere propertyId para scope property' };
+      }
+
+      let backupData;
+      if (scope === 'full') {
+        backupData = await this.backupService.buildFullBackup({
+          includeDetails: options.includeDetails !== false,
+          includePersonalData: options.includePersonalData === true
+        });
+      } else {
+        backupData = await this.backupService.buildPropertyBackup(options.propertyId);
+        if (!backupData) {
+          return { success: false, notFound: true, error: 'Propiedad no encontrada' };
+        }
+      }
+
+      const id = this._buildBackupId(scope, options.propertyId, backupData.exportDate);
+      const content = options.encrypt ? encryptBackup(backupData) : backupData;
+      const metadata = await this.storage.save(id, JSON.stringify(content), {
+        scope,
+        propertyId: scope === 'property' ? options.propertyId : null,
+        exportDate: backupData.exportDate,
+        createdAt: new Date().toISOString(),
+        filename: options.encrypt ? `${id}.enc.json` : `${id}.json`,
+        contentType: 'application/json',
+        encrypted: Boolean(options.encrypt),
+        keyId: options.encrypt ? content.encryption.keyId : null,
+        stats: backupData.stats || null
+      });
+
+      console.log(`Backup guardado en almacenamiento ${this.storage.type}: ${id} (${metadata.size} bytes)`);
+
+      const result = {
+        success: true,
+        backup: metadata
+      };
+
+      if (options.applyRetention !== false) {
+        const retention = await this.applyRetention(options.retention);
+        result.retention = retention.success ? retention.summary : { error: retention.error };
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('Error en createBackup:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista los backups guardados, del más reciente al más antiguo
+   * @param {Object} filters - { scope, propertyId }
+   * @returns {Promise<Array>} Metadata de los backups
+   */
+  async listBackups(filters = {}) {
+    const backups = await this.storage.list();
+
+    return backups
+      .filter(backup => !filters.scope || backup.scope === filters.scope)
+      .filter(backup => !filters.propertyId || backup.propertyId === filters.propertyId)
+      .sort((a, b) => new Date(b.exportDate) - new Date(a.exportDate));
+  }
+
+  /**
+   * Obtiene la metadata de un backup guardado
+   * @param {string} backupId - ID del backup
+   * @returns {Promise<Object|null>} Metadata o null si no existe
+   */
+  async getBackup(backupId) {
+    return this.storage.getMetadata(backupId);
+  }
+
+  /**
+   * Abre un stream de lectura de un backup guardado
+   * @param {string} backupId - ID del backup
+   * @returns {ReadStream}
+   */
+  openBackupStream(backupId) {
+    return this.storage.createReadStream(backupId);
+  }
+
+  /**
+   * Lee un backup guardado encriptado y devuelve su contenido desencriptado
+   * @param {string} backupId - ID del backup
+   * @returns {Promise<Object>} Backup desencriptado
+   */
+  async readDecryptedBackup(backupId) {
+    const content = await this.storage.read(backupId);
+    return decryptBackup(JSON.parse(content));
+  }
+
+  /**
+   * Elimina un backup guardado
+   * @param {string} backupId - ID del backup
+   * @returns {Promise<boolean>} true si existía
+   */
+  async deleteBackup(backupId) {
+    return this.storage.delete(backupId);
+  }
+
+  /**
+   * Aplica la política de retención a los backups guardados
+   * Los backups completos y los de cada propiedad se rotan por separado
+   * @param {Object|string} policy - Política (default: BACKUP_RETENTION)
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Resultado con los backups conservados y eliminados
+   */
+  async applyRetention(policy, options = {}) {
+    try {
+      const normalizedPolicy = policy ? parseRetentionPolicy(policy) : this.getDefaultRetentionPolicy();
+      const dryRun = options.dryRun || false;
+
+      const summary = {
+        policy: normalizedPolicy,
+        dryRun,
+        kept: 0,
+        removed: 0,
+        removedIds: []
+      };
+
+      if (!hasRetentionRules(normalizedPolicy)) {
+        summary.note = 'Sin reglas de retención activas: se conservan todos los backups';
+        return { success: true, summary, groups: [] };
+      }
+
+      const backups = await this.storage.list();
+      const groups = {};
+
+      backups.forEach(backup => {
+        const groupKey = backup.scope === 'property' ? `property:${backup.propertyId}` : backup.scope;
+        (groups[groupKey] = groups[groupKey] || []).push(backup);
+      });
+
+      const groupResults = [];
+
+      for (const [group, groupBackups] of Object.entries(groups)) {
+        const { keep, remove } = selectBackupsToKeep(groupBackups, normalizedPolicy);
+
+        if (!dryRun) {
+          for (const backupId of remove) {
+            await this.storage.delete(backupId);
+          }
+        }
+
+        summary.kept += keep.length;
+        summary.removed += remove.length;
+        summary.removedIds.push(...remove);
+        groupResults.push({ group, keep, remove });
+      }
+
+      if (summary.removed > 0) {
+        console.log(`Retención de backups${dryRun ? ' (dry-run)' : ''}: ${summary.kept} conservados, ${summary.removed} eliminados`);
+      }
+
+      return { success: true, summary, groups: groupResults };
+
+    } catch (error) {
+      console.error('Error en applyRetention:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Construye el ID de un backup: {scope}[-{propertyId}]-{fecha}
+   * @private
+   */
+  _buildBackupId(scope, propertyId, exportDate) {
+    const timestamp = exportDate.replace(/[:.]/g, '-');
+    const safePropertyId = propertyId ? propertyId.replace(/[^a-zA-Z0-9_-]/g, '_') : null;
+
+    return scope === 'property'
+      ? `property-${safePropertyId}-${timestamp}`
+      : `full-${timestamp}`;
+  }
+}
+
+module.exports = AlquileresBackupStorageService;
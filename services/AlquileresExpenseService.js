@@ -0,0 +1,351 @@
+/**
+ * Servicio CRUD de los expenses de una propiedad
+ * Estructura: properties/{propertyId}/expenses/{year-month}/items/{expenseId}
+ */
+const admin = require('../config/firebase');
+const {
+  parsePeriod,
+  getCollection,
+  listExpensePeriods,
+  getExpenses
+} = require('../utils/hierarchicalPath');
+const { validateEntity } = require('../utils/entitySchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { isPaid } = require('../utils/incomeItems');
+const { computeETag, updateIfMatch } = require('../utils/etag');
+
+const db = admin.firestore();
+
+// Filtros y orden de listExpenses (ver utils/pagination)
+const EXPENSE_LIST = {
+  sortFields: ['createdAt', 'updatedAt', 'description', 'amount', 'category', 'dueDate'],
+  defaultSort: 'createdAt',
+  filters: {
+    category: { type: 'string' },
+    unitId: { type: 'string' },
+    // Los expenses anteriores indican el pago con la fecha de pago
+    paid: { values: ['true', 'false'], match: (expense, paid) => isPaid(expense) === (paid === 'true') },
+    isRecurring: { type: 'boolean', missing: false }
+  }
+};
+
+class AlquileresExpenseService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Valida los datos de un expense contra el esquema de expense
+   * @param {Object} data - Body de la request
+   * @param {Object} options - Opciones
+   * @param {boolean} options.partial - Actualización: los campos requeridos son opcionales (default: false)
+   * @returns {Object} { valid, value, errors: [{ field, message }], error }
+   */
+  validateExpense(data, options = {}) {
+    return validateEntity('expense', data, { partial: options.partial === true });
+  }
+
+  /**
+   * Lista los períodos con expenses de una propiedad
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} { success, periods } o { success: false, notFound, error }
+   */
+  async listPeriods(propertyId) {
+    try {
+      const notFound = await this._checkProperty(propertyId);
+      if (notFound) {
+        return notFound;
+      }
+
+      const periods = await listExpensePeriods(this.db, propertyId);
+
+      return {
+        success: true,
+        propertyId,
+        periods
+      };
+
+    } catch (error) {
+      console.error('Error en listPeriods:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lista los expenses de una propiedad en un período
+   * @param {string} propertyId - ID de la propiedad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} listQuery - limit, cursor, sort y filtros (category, unitId, paid, isRecurring)
+   * @returns {Promise<Object>} { success, period, count, total, nextCursor, expenses } o { success: false, invalid | notFound, error }
+   *   total suma los expenses de todas las páginas que cumplen los filtros
+   */
+  async listExpenses(propertyId, year, month, listQuery = {}) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    const { options, error } = parseListQuery(listQuery, EXPENSE_LIST);
+    if (error) {
+      return { success: false, invalid: true, error };
+    }
+
+    try {
+      const notFound = await this._checkProperty(propertyId);
+      if (notFound) {
+        return notFound;
+      }
+
+      const expenses = await getExpenses(this.db, propertyId, period.year, period.month);
+      const page = paginate(expenses, options);
+
+      return {
+        success: true,
+        propertyId,
+        period: period.periodKey,
+        count: page.items.length,
+        total: page.filtered.reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0),
+        nextCursor: page.nextCursor,
+        expenses: page.items
+      };
+
+    } catch (error) {
+      console.error('Error en listExpenses:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene un expense
+   * @param {string} propertyId - ID de la propiedad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {string} expenseId - ID del expense
+   * @returns {Promise<Object>} { success, expense, path, etag } o { success: false, invalid | notFound, error }
+   */
+  async getExpense(propertyId, year, month, expenseId) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    try {
+      const expenseRef = this._expenseRef(propertyId, period, expenseId);
+      const expenseDoc = await expenseRef.get();
+
+      if (!expenseDoc.exists) {
+        return { success: false, notFound: true, error: 'Expense no encontrado' };
+      }
+
+      return {
+        success: true,
+        path: expenseRef.path,
+        expense: { id: expenseDoc.id, ...expenseDoc.data() },
+        etag: computeETag(expenseDoc.data())
+      };
+
+    } catch (error) {
+      console.error('Error en getExpense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Crea un expense en el período
+   * @param {string} propertyId - ID de la propiedad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} data - { description, amount, isRecurring, paid, category, dueDate, unitId, ... }
+   * @returns {Promise<Object>} { success, expense, path, after } o { success: false, invalid | notFound, error }
+   */
+  async createExpense(propertyId, year, month, data) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    const validation = this.validateExpense(data);
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    try {
+      const notFound = await this._checkProperty(propertyId) || await this._checkUnit(propertyId, validation.value.unitId);
+      if (notFound) {
+        return notFound;
+      }
+
+      const expenseRef = getCollection(this.db, 'expenses', propertyId, null, period.year, period.month).doc();
+
+      await expenseRef.set({
+        isRecurring: false,
+        ...validation.value,
+        year: period.year,
+        month: period.month,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const created = await expenseRef.get();
+
+      return {
+        success: true,
+        path: expenseRef.path,
+        after: created.data(),
+        expense: { id: created.id, ...created.data() }
+      };
+
+    } catch (error) {
+      console.error('Error en createExpense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Actualiza los campos de un expense (solo los enviados)
+   * @param {string} propertyId - ID de la propiedad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {string} expenseId - ID del expense
+   * @param {Object} data - Campos a actualizar
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - ETag que debe tener el expense (header If-Match)
+   * @returns {Promise<Object>} { success, expense, path, before, after, etag }
+   *   o { success: false, invalid | notFound | preconditionFailed, error }
+   */
+  async updateExpense(propertyId, year, month, expenseId, data, options = {}) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    const validation = this.validateExpense(data, { partial: true });
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    try {
+      const notFound = await this._checkUnit(propertyId, validation.value.unitId);
+      if (notFound) {
+        return notFound;
+      }
+
+      const expenseRef = this._expenseRef(propertyId, period, expenseId);
+
+      const result = await updateIfMatch(this.db, expenseRef, options.ifMatch, () => ({
+        ...validation.value,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+
+      if (!result.success) {
+        return result.notFound
+          ? { success: false, notFound: true, error: 'Expense no encontrado' }
+          : result;
+      }
+
+      return {
+        success: true,
+        path: expenseRef.path,
+        before: result.before,
+        after: result.after,
+        etag: result.etag,
+        expense: { id: expenseId, ...result.after }
+      };
+
+    } catch (error) {
+      console.error('Error en updateExpense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Elimina un expense
+   * @param {string} propertyId - ID de la propiedad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {string} expenseId - ID del expense
+   * @returns {Promise<Object>} { success, path, before } o { success: false, invalid | notFound, error }
+   */
+  async deleteExpense(propertyId, year, month, expenseId) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    try {
+      const expenseRef = this._expenseRef(propertyId, period, expenseId);
+      const expenseDoc = await expenseRef.get();
+
+      if (!expenseDoc.exists) {
+        return { success: false, notFound: true, error: 'Expense no encontrado' };
+      }
+
+      await expenseRef.delete();
+
+      return {
+        success: true,
+        path: expenseRef.path,
+        before: expenseDoc.data()
+      };
+
+    } catch (error) {
+      console.error('Error en deleteExpense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Referencia a un expense del período
+   * @private
+   */
+  _expenseRef(propertyId, period, expenseId) {
+    return getCollection(this.db, 'expenses', propertyId, null, period.year, period.month).doc(expenseId);
+  }
+
+  /**
+   * Devuelve un resultado notFound si la propiedad no existe (null si existe)
+   * @private
+   */
+  async _checkProperty(propertyId) {
+    const propertyDoc = await this.db.collection('properties').doc(propertyId).get();
+    return propertyDoc.exists ? null : { success: false, notFound: true, error: 'Propiedad no encontrada' };
+  }
+
+  /**
+   * Devuelve un resultado notFound si unitId no es una unidad de la propiedad (null si es válida o no se indica)
+   * @private
+   */
+  async _checkUnit(propertyId, unitId) {
+    if (!unitId) {
+      return null;
+    }
+
+    const unitDoc = await this.db.collection('units').doc(unitId).get();
+    if (!unitDoc.exists || unitDoc.data().propertyId !== propertyId) {
+      return { success: false, notFound: true, error: `Unidad ${unitId} no encontrada en la propiedad ${propertyId}` };
+    }
+
+    return null;
+  }
+}
+
+module.exports = AlquileresExpenseService;
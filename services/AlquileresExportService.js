@@ -0,0 +1,316 @@
+/**
+ * Servicio para exportar expenses e incomes en formato tabular (CSV / XLSX)
+ * Aplana properties/{id}/expenses/{period}/items y properties/{id}/units/{unitId}/incomes/{period}
+ * en un libro contable con una fila por registro
+ */
+const admin = require('../config/firebase');
+const {
+  listExpensePeriods,
+  listIncomePeriods,
+  getPropertyUnits,
+  getExpenses,
+  getIncomes
+} = require('../utils/hierarchicalPath');
+const { toCsv, toXlsx } = require('../utils/spreadsheet');
+const { isPaid, isLegacyIncome } = require('../utils/incomeItems');
+
+const db = admin.firestore();
+
+const LEDGER_TYPES = ['all', 'expense', 'income'];
+const LEDGER_LAYOUTS = ['combined', 'byProperty'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const PERIOD_KEY_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const LEDGER_COLUMNS = [
+  { key: 'type', header: 'type', width: 10 },
+  { key: 'propertyId', header: 'propertyId', width: 22 },
+  { key: 'propertyName', header: 'propertyName', width: 25 },
+  { key: 'unitId', header: 'unitId', width: 22 },
+  { key: 'unit', header: 'unit', width: 15 },
+  { key: 'period', header: 'period', width: 10 },
+  { key: 'id', header: 'id', width: 22 },
+  { key: 'description', header: 'description', width: 35 },
+  { key: 'amount', header: 'amount', width: 12, numFmt: '#,##0.00' },
+  { key: 'isRecurring', header: 'isRecurring', width: 12 },
+  { key: 'dueDate', header: 'dueDate', width: 12 },
+  { key: 'paid', header: 'paid', width: 8 },
+  { key: 'paymentDate', header: 'paymentDate', width: 12 }
+];
+
+/**
+ * Convierte Timestamps de Firestore, Date o strings ISO a fecha YYYY-MM-DD
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString().split('T')[0];
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+
+  if (typeof value === 'string') {
+    return value.split('T')[0];
+  }
+
+  return null;
+};
+
+class AlquileresExportService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Valida y normaliza los filtros del libro contable
+   * @param {Object} filters - Filtros recibidos
+   * @returns {Object} - { filters } normalizados o { error }
+   */
+  normalizeFilters(filters = {}) {
+    const normalized = {
+      propertyIds: filters.propertyIds || [],
+      unitIds: filters.unitIds || [],
+      from: filters.from || null,
+      to: filters.to || null,
+      type: filters.type || 'all'
+    };
+
+    if (!LEDGER_TYPES.includes(normalized.type)) {
+      return { error: `type debe ser uno de: ${LEDGER_TYPES.join(', ')}` };
+    }
+
+    for (const field of ['from', 'to']) {
+      if (normalized[field] && !PERIOD_KEY_REGEX.test(normalized[field])) {
+        return { error: `${field} debe tener formato YYYY-MM` };
+      }
+    }
+
+    if (normalized.from && normalized.to && normalized.from > normalized.to) {
+      return { error: 'from no puede ser posterior a to' };
+    }
+
+    return { filters: normalized };
+  }
+
+  /**
+   * Obtiene las filas del libro contable (expenses e incomes aplanados)
+   * Con filtro de unidad, solo se incluyen los expenses que tengan ese unitId
+   * @param {Object} filters - Filtros normalizados
+   * @param {Array<string>} filters.propertyIds - Propiedades a incluir (vacío = todas)
+   * @param {Array<string>} filters.unitIds - Unidades a incluir (vacío = todas)
+   * @param {string} filters.from - Período inicial YYYY-MM (inclusive)
+   * @param {string} filters.to - Período final YYYY-MM (inclusive)
+   * @param {string} filters.type - 'all' | 'expense' | 'income'
+   * @returns {Promise<Object>} { rows, properties }
+   */
+  async getLedgerRows(filters) {
+    const inRange = periodKey =>
+      (!filters.from || periodKey >= filters.from) && (!filters.to || periodKey <= filters.to);
+    const unitMatches = unitId => filters.unitIds.length === 0 || filters.unitIds.includes(unitId);
+
+    const properties = await this._getProperties(filters.propertyIds);
+    const rows = [];
+
+    for (const property of properties) {
+      const propertyName = property.name || 'Sin nombre';
+      const units = await getPropertyUnits(this.db, property.id);
+      const unitLabels = {};
+      units.forEach(unit => {
+        unitLabels[unit.id] = this._getUnitLabel(unit);
+      });
+
+      // 1. Expenses por período
+      if (filters.type !== 'income') {
+        const periods = (await listExpensePeriods(this.db, property.id))
+          .filter(period => inRange(period.periodKey));
+
+        for (const period of periods) {
+          const expenses = await getExpenses(this.db, property.id, period.year, period.month);
+
+          expenses
+            .filter(expense => filters.unitIds.length === 0 || unitMatches(expense.unitId))
+            .forEach(expense => {
+              rows.push(this._toRow('expense', property.id, propertyName, period.periodKey, expense, {
+                unitId: expense.unitId || null,
+                unit: expense.unitId ? (unitLabels[expense.unitId] || expense.unitId) : null
+              }));
+            });
+        }
+      }
+
+      // 2. Incomes por unidad y período (un documento por período con sus items)
+      if (filters.type !== 'expense') {
+        for (const unit of units.filter(unit => unitMatches(unit.id))) {
+          const periods = (await listIncomePeriods(this.db, property.id, unit.id))
+            .filter(period => inRange(period.periodKey));
+
+          for (const period of periods) {
+            const income = await getIncomes(this.db, property.id, unit.id, period.year, period.month);
+            if (!income) continue;
+
+            // Una fila por item (los documentos anteriores a los items son una sola fila)
+            const records = isLegacyIncome(income) ? [income] : income.items;
+
+            records.forEach(record => {
+              rows.push(this._toRow('income', property.id, propertyName, period.periodKey, record, {
+                unitId: unit.id,
+                unit: unitLabels[unit.id]
+              }));
+            });
+          }
+        }
+      }
+    }
+
+    rows.sort((a, b) =>
+      a.propertyName.localeCompare(b.propertyName) ||
+      a.period.localeCompare(b.period) ||
+      a.type.localeCompare(b.type) ||
+      String(a.unit || '').localeCompare(String(b.unit || '')) ||
+      String(a.description || '').localeCompare(String(b.description || ''))
+    );
+
+    return {
+      rows,
+      properties: properties.map(property => ({ id: property.id, name: property.name || 'Sin nombre' }))
+    };
+  }
+
+  /**
+   * Genera el export del libro contable
+   * @param {Object} options - Opciones
+   * @param {string} options.format - 'csv' | 'xlsx' (default: 'csv')
+   * @param {string} options.layout - 'combined' (una hoja) | 'byProperty' (una hoja por propiedad, solo xlsx)
+   * @param {Object} options.filters - Filtros (ver getLedgerRows)
+   * @returns {Promise<Object>} { success, content, contentType, extension, rowCount } o { success: false, error }
+   */
+  async exportLedger(options = {}) {
+    try {
+      const format = options.format || 'csv';
+      const layout = options.layout || 'combined';
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return { success: false, invalid: true, error: `format debe ser uno de: ${EXPORT_FORMATS.join(', ')}` };
+      }
+
+      if (!LEDGER_LAYOUTS.includes(layout)) {
+        return { success: false, invalid: true, error: `layout debe ser uno de: ${LEDGER_LAYOUTS.join(', ')}` };
+      }
+
+      if (format === 'csv' && layout === 'byProperty') {
+        return { success: false, invalid: true, error: 'layout=byProperty solo está disponible con format=xlsx' };
+      }
+
+      const { filters, error } = this.normalizeFilters(options.filters);
+      if (error) {
+        return { success: false, invalid: true, error };
+      }
+
+      const { rows, properties } = await this.getLedgerRows(filters);
+
+      if (format === 'csv') {
+        return {
+          success: true,
+          content: toCsv(LEDGER_COLUMNS, rows),
+          contentType: 'text/csv; charset=utf-8',
+          extension: 'csv',
+          rowCount: rows.length
+        };
+      }
+
+      let sheets;
+      if (layout === 'byProperty') {
+        sheets = properties
+          .map(property => ({
+            name: property.name,
+            columns: LEDGER_COLUMNS,
+            rows: rows.filter(row => row.propertyId === property.id)
+          }))
+          .filter(sheet => sheet.rows.length > 0);
+      }
+
+      if (!sheets || sheets.length === 0) {
+        sheets = [{ name: 'Ledger', columns: LEDGER_COLUMNS, rows }];
+      }
+
+      return {
+        success: true,
+        content: await toXlsx(sheets),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        rowCount: rows.length
+      };
+
+    } catch (error) {
+      console.error('Error en exportLedger:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene las propiedades a exportar
+   * @private
+   */
+  async _getProperties(propertyIds) {
+    if (propertyIds.length > 0) {
+      const properties = [];
+      for (const propertyId of propertyIds) {
+        const doc = await this.db.collection('properties').doc(propertyId).get();
+        if (doc.exists) {
+          properties.push({ id: doc.id, ...doc.data() });
+        }
+      }
+      return properties;
+    }
+
+    const snapshot = await this.db.collection('properties').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Nombre visible de una unidad
+   * @private
+   */
+  _getUnitLabel(unit) {
+    return unit.name || unit.number || unit.unitNumber || unit.id;
+  }
+
+  /**
+   * Convierte un expense o income en una fila del libro
+   * @private
+   */
+  _toRow(type, propertyId, propertyName, periodKey, doc, unitInfo) {
+    const amount = Number(doc.amount);
+
+    return {
+      type,
+      propertyId,
+      propertyName,
+      unitId: unitInfo.unitId,
+      unit: unitInfo.unit,
+      period: periodKey,
+      id: doc.id,
+      description: doc.description || null,
+      amount: Number.isFinite(amount) ? amount : null,
+      isRecurring: doc.isRecurring === true,
+      dueDate: toDateString(doc.dueDate),
+      paid: this._isPaid(doc),
+      paymentDate: toDateString(doc.paymentDate || doc.paidDate || doc.paidAt)
+    };
+  }
+
+  /**
+   * Determina si un registro está pagado según los campos disponibles
+   * @private
+   */
+  _isPaid(doc) {
+    return isPaid(doc);
+  }
+}
+
+module.exports = AlquileresExportService;
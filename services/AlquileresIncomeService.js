@@ -0,0 +1,500 @@
+/**
+ * Servicio de incomes de una unidad con varios items por período
+ * Estructura: properties/{propertyId}/units/{unitId}/incomes/{year-month}
+ * Cada documento tiene un array items (alquiler, cochera, recargo por mora, etc.) y los totales
+ * derivados amount, paidAmount y paid (ver utils/incomeItems).
+ * Los documentos anteriores (un solo income sin items) se leen como un item con id 'legacy'
+ * y se convierten al modificarlos o con migrateLegacyIncomes.
+ */
+const admin = require('../config/firebase');
+const {
+  parsePeriod,
+  getCollection,
+  listIncomePeriods
+} = require('../utils/hierarchicalPath');
+const { createBatchWriter } = require('../utils/batchWriter');
+const {
+  createItemId,
+  isLegacyIncome,
+  getIncomeItems,
+  summarizeItems,
+  buildIncomeFields,
+  validateIncomeItem
+} = require('../utils/incomeItems');
+const { formatErrors } = require('../utils/entitySchemas');
+
+const db = admin.firestore();
+
+class AlquileresIncomeService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Lista los incomes de una unidad (un elemento por período)
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @returns {Promise<Object>} { success, incomes }
+   */
+  async listIncomes(propertyId, unitId) {
+    try {
+      const periods = await listIncomePeriods(this.db, propertyId, unitId);
+      const incomes = [];
+
+      for (const period of periods) {
+        const incomeDoc = await getCollection(this.db, 'incomes', propertyId, unitId, period.year, period.month).get();
+        if (incomeDoc.exists) {
+          incomes.push(this._toIncome(incomeDoc));
+        }
+      }
+
+      return {
+        success: true,
+        incomes
+      };
+
+    } catch (error) {
+      console.error('Error en listIncomes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene el income de un período
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @returns {Promise<Object>} { success, income } o { success: false, invalid | notFound, error }
+   */
+  async getIncome(propertyId, unitId, year, month) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    try {
+      const incomeDoc = await getCollection(this.db, 'incomes', propertyId, unitId, period.year, period.month).get();
+
+      if (!incomeDoc.exists) {
+        return { success: false, notFound: true, error: `La unidad no tiene incomes en ${period.periodKey}` };
+      }
+
+      return {
+        success: true,
+        income: this._toIncome(incomeDoc)
+      };
+
+    } catch (error) {
+      console.error('Error en getIncome:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Reemplaza todos los items de un período (crea el documento si no existe)
+   * Los items con un id existente lo conservan (y el leaseId del rent roll); los nuevos reciben un id generado
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Array<Object>} items - Items del período
+   * @returns {Promise<Object>} { success, income, path, before, after } o { success: false, invalid | notFound, error }
+   */
+  async setItems(propertyId, unitId, year, month, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { success: false, invalid: true, error: 'items debe ser un array con al menos un item' };
+    }
+
+    const errors = [];
+    const validItems = items.map((item, index) => {
+      const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+      // leaseId lo define el servidor: se ignora para que el cliente pueda reenviar los items que leyó
+      const { id, leaseId, ...fields } = isObject ? item : {};
+      const validation = validateIncomeItem(isObject ? fields : item);
+      validation.errors.forEach(error => errors.push({
+        ...error,
+        field: error.field ? `items[${index}].${error.field}` : `items[${index}]`
+      }));
+      return id === undefined ? validation.value : { id, ...validation.value };
+    });
+
+    if (errors.length > 0) {
+      return { success: false, invalid: true, error: formatErrors(errors), errors };
+    }
+
+    return this._mutate(propertyId, unitId, year, month, { create: true }, (current) => {
+      const currentById = new Map(current.map(item => [item.id, item]));
+      const seen = new Set();
+
+      const nextItems = [];
+      for (const item of validItems) {
+        const { id, ...fields } = item;
+
+        if (id !== undefined && !currentById.has(id)) {
+          return { error: `El item ${id} no existe en el período` };
+        }
+        if (id !== undefined && seen.has(id)) {
+          return { error: `El item ${id} está repetido` };
+        }
+        if (id !== undefined) seen.add(id);
+
+        nextItems.push(id === undefined
+          ? this._buildItem(createItemId(), fields)
+          : this._buildItem(id, { ...fields, leaseId: currentById.get(id).leaseId }));
+      }
+
+      return { items: nextItems };
+    });
+  }
+
+  /**
+   * Agrega un item al período (crea el documento si no existe)
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} data - { category, amount, description, paid, paidDate, notes }
+   * @returns {Promise<Object>} { success, item, income, path, before, after } o { success: false, invalid | notFound, error }
+   */
+  async addItem(propertyId, unitId, year, month, data) {
+    const validation = validateIncomeItem(data);
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    const item = this._buildItem(createItemId(), validation.value);
+
+    const result = await this._mutate(propertyId, unitId, year, month, { create: true }, (current) => ({
+      items: [...current, item]
+    }));
+
+    return result.success ? { ...result, item } : result;
+  }
+
+  /**
+   * Agrega un item generado por el servidor salvo que el período ya tenga uno equivalente
+   * (crea el documento si no existe). La comprobación se hace dentro de la transacción, así
+   * que dos ejecuciones simultáneas no agregan el item dos veces
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} item - Item completo, con su id
+   * @param {Function} findExisting - Recibe los items actuales y devuelve el item equivalente (o undefined)
+   * @returns {Promise<Object>} { success, item, income, path, before, after }, { success, existing, path } si ya existía
+   *   o { success: false, invalid | notFound, error }
+   */
+  async addGeneratedItem(propertyId, unitId, year, month, item, findExisting) {
+    let existing;
+
+    const result = await this._mutate(propertyId, unitId, year, month, { create: true }, (current) => {
+      existing = findExisting(current);
+      return existing ? { unchanged: true } : { items: [...current, item] };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return existing
+      ? { success: true, existing, path: result.path }
+      : { ...result, item };
+  }
+
+  /**
+   * Actualiza los campos enviados de un item
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {string} itemId - ID del item ('legacy' para un documento anterior a los items)
+   * @param {Object} data - Campos a actualizar
+   * @returns {Promise<Object>} { success, item, income, path, before, after } o { success: false, invalid | notFound, error }
+   */
+  async updateItem(propertyId, unitId, year, month, itemId, data) {
+    const validation = validateIncomeItem(data, { partial: true });
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    let updated = null;
+
+    const result = await this._mutate(propertyId, unitId, year, month, {}, (current) => {
+      const index = current.findIndex(item => item.id === itemId);
+      if (index === -1) {
+        return { notFound: true, error: `Item ${itemId} no encontrado` };
+      }
+
+      const { id, ...fields } = current[index];
+      updated = this._buildItem(itemId, { ...fields, ...validation.value });
+
+      const items = [...current];
+      items[index] = updated;
+      return { items };
+    });
+
+    return result.success ? { ...result, item: updated } : result;
+  }
+
+  /**
+   * Elimina un item (si era el último, elimina el documento del período)
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {string} itemId - ID del item
+   * @returns {Promise<Object>} { success, income, path, before, after } o { success: false, invalid | notFound, error }
+   *   income y after son null si se eliminó el período
+   */
+  async deleteItem(propertyId, unitId, year, month, itemId) {
+    return this._mutate(propertyId, unitId, year, month, {}, (current) => {
+      if (!current.some(item => item.id === itemId)) {
+        return { notFound: true, error: `Item ${itemId} no encontrado` };
+      }
+
+      return { items: current.filter(item => item.id !== itemId) };
+    });
+  }
+
+  /**
+   * Elimina el income de un período con todos sus items
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @returns {Promise<Object>} { success, path, before } o { success: false, invalid | notFound, error }
+   */
+  async deleteIncome(propertyId, unitId, year, month) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    try {
+      const incomeRef = getCollection(this.db, 'incomes', propertyId, unitId, period.year, period.month);
+      const incomeDoc = await incomeRef.get();
+
+      if (!incomeDoc.exists) {
+        return { success: false, notFound: true, error: `La unidad no tiene incomes en ${period.periodKey}` };
+      }
+
+      await incomeRef.delete();
+
+      return {
+        success: true,
+        path: incomeRef.path,
+        before: incomeDoc.data()
+      };
+
+    } catch (error) {
+      console.error('Error en deleteIncome:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Convierte los documentos de incomes anteriores a los items (un item 'legacy' por documento)
+   * Los campos de pago del documento pasan al item; amount y paid quedan como totales
+   * @param {Object} options - Opciones
+   * @param {boolean} options.dryRun - Solo simular (default: false)
+   * @param {Array<string>} options.propertyIds - Migrar solo estas propiedades (opcional)
+   * @returns {Promise<Object>} { success, dryRun, migrated, stats, changes }
+   */
+  async migrateLegacyIncomes(options = {}) {
+    const dryRun = options.dryRun || false;
+    const filter = options.propertyIds && options.propertyIds.length > 0 ? new Set(options.propertyIds) : null;
+
+    try {
+      const FieldValue = admin.firestore.FieldValue;
+      const writer = createBatchWriter(this.db, { dryRun });
+      const migrated = [];
+      const changes = [];
+      let scanned = 0;
+
+      // Se listan también las propiedades y unidades sin documento (solo contienen incomes)
+      const propertyRefs = (await this.db.collection('properties').listDocuments())
+        .filter(ref => !filter || filter.has(ref.id));
+
+      for (const propertyRef of propertyRefs) {
+        const unitRefs = await propertyRef.collection('units').listDocuments();
+
+        for (const unitRef of unitRefs) {
+          const incomesSnapshot = await unitRef.collection('incomes').get();
+
+          for (const incomeDoc of incomesSnapshot.docs) {
+            scanned++;
+            const data = incomeDoc.data();
+            if (!isLegacyIncome(data)) continue;
+
+            const fields = buildIncomeFields(data, getIncomeItems(data), FieldValue);
+
+            await writer.update(incomeDoc.ref, {
+              ...fields,
+              updatedAt: FieldValue.serverTimestamp()
+            });
+
+            migrated.push({ propertyId: propertyRef.id, unitId: unitRef.id, periodKey: incomeDoc.id, amount: fields.amount });
+            changes.push({ action: 'update', path: incomeDoc.ref.path, before: data });
+          }
+        }
+      }
+
+      await writer.flush();
+
+      // after se lee una vez confirmados los batches (incluye los campos eliminados y el serverTimestamp)
+      if (!dryRun) {
+        for (const change of changes) {
+          change.after = (await this.db.doc(change.path).get()).data();
+        }
+      }
+
+      console.log(`Migración de incomes${dryRun ? ' (dry-run)' : ''}: ${migrated.length} de ${scanned} documentos convertidos a items`);
+
+      return {
+        success: true,
+        dryRun,
+        migrated,
+        stats: {
+          scanned,
+          migrated: migrated.length,
+          writes: writer.stats
+        },
+        changes: dryRun ? [] : changes
+      };
+
+    } catch (error) {
+      console.error('Error en migrateLegacyIncomes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lee, modifica y guarda los items de un período dentro de una transacción de Firestore
+   * change recibe los items actuales y devuelve { items }, { unchanged } (no escribe nada) o { error, notFound }
+   * @private
+   */
+  async _mutate(propertyId, unitId, year, month, options, change) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    try {
+      // Solo se escriben incomes de unidades de la propiedad (ubicación canónica: units)
+      const unitDoc = await this.db.collection('units').doc(unitId).get();
+      if (!unitDoc.exists || unitDoc.data().propertyId !== propertyId) {
+        return { success: false, notFound: true, error: `Unidad ${unitId} no encontrada en la propiedad ${propertyId}` };
+      }
+
+      const FieldValue = admin.firestore.FieldValue;
+      const incomeRef = getCollection(this.db, 'incomes', propertyId, unitId, period.year, period.month);
+
+      const outcome = await this.db.runTransaction(async (transaction) => {
+        const incomeDoc = await transaction.get(incomeRef);
+        const before = incomeDoc.exists ? incomeDoc.data() : null;
+
+        if (!before && !options.create) {
+          return { notFound: true, error: `La unidad no tiene incomes en ${period.periodKey}` };
+        }
+
+        const next = change(getIncomeItems(before));
+        if (next.error) {
+          return next;
+        }
+        if (next.unchanged) {
+          return { before };
+        }
+
+        if (next.items.length === 0) {
+          transaction.delete(incomeRef);
+        } else if (before) {
+          transaction.update(incomeRef, {
+            ...buildIncomeFields(before, next.items, FieldValue),
+            updatedAt: FieldValue.serverTimestamp()
+          });
+        } else {
+          transaction.set(incomeRef, {
+            ...buildIncomeFields(null, next.items, FieldValue),
+            year: period.year,
+            month: period.month,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+          });
+        }
+
+        return { before };
+      });
+
+      if (outcome.error) {
+        return { success: false, invalid: !outcome.notFound, notFound: outcome.notFound || false, error: outcome.error };
+      }
+
+      const incomeDoc = await incomeRef.get();
+
+      return {
+        success: true,
+        path: incomeRef.path,
+        before: outcome.before,
+        after: incomeDoc.exists ? incomeDoc.data() : null,
+        income: incomeDoc.exists ? this._toIncome(incomeDoc) : null
+      };
+
+    } catch (error) {
+      console.error('Error al modificar incomes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Construye un item con los campos permitidos
+   * @private
+   */
+  _buildItem(id, fields) {
+    return {
+      id,
+      category: fields.category,
+      description: fields.description || null,
+      amount: fields.amount,
+      paid: fields.paid === true,
+      paidDate: fields.paidDate || null,
+      ...(fields.dueDate ? { dueDate: fields.dueDate } : {}),
+      ...(fields.notes ? { notes: fields.notes } : {}),
+      ...(fields.leaseId ? { leaseId: fields.leaseId } : {})
+    };
+  }
+
+  /**
+   * Income de un período con sus items (los documentos anteriores se devuelven como un item 'legacy')
+   * @private
+   */
+  _toIncome(incomeDoc) {
+    const data = incomeDoc.data();
+    const items = getIncomeItems(data);
+
+    return {
+      ...data,
+      periodKey: incomeDoc.id,
+      items,
+      ...summarizeItems(items),
+      legacy: isLegacyIncome(data)
+    };
+  }
+}
+
+module.exports = AlquileresIncomeService;
@@ -0,0 +1,445 @@
+/**
+ * Servicio CRUD de los contratos de alquiler
+ * Estructura: leases/{leaseId} con propertyId y unitId (la unidad debe pertenecer a la propiedad)
+ * Los contratos activos o finalizados de una misma unidad no pueden superponerse: el control
+ * se hace en una transacción junto con la escritura (ver utils/leases)
+ * Los inquilinos del contrato (tenantIds) deben existir en tenants/{tenantId} y, para un usuario
+ * limitado a unas propiedades, ser accesibles (ver isTenantAccessible en utils/tenants)
+ */
+const admin = require('../config/firebase');
+const { validateEntity, formatErrors } = require('../utils/entitySchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { computeETag, parseIfMatch } = require('../utils/etag');
+const { isTenantAccessible } = require('../utils/tenants');
+const {
+  LEASE_STATUSES,
+  DEFAULT_CURRENCY,
+  checkLeaseTerms,
+  findOverlappingLeases,
+  summarizeLease
+} = require('../utils/leases');
+
+const db = admin.firestore();
+
+// Filtros y orden de listLeases (ver utils/pagination)
+const LEASE_LIST = {
+  sortFields: ['startDate', 'endDate', 'rent', 'status', 'unitId', 'createdAt', 'updatedAt'],
+  defaultSort: '-startDate',
+  filters: {
+    propertyId: { type: 'string' },
+    unitId: { type: 'string' },
+    status: { values: LEASE_STATUSES, match: (lease, status) => lease.status === status },
+    currency: { type: 'string' }
+  }
+};
+
+// Campos que no se pueden modificar: el contrato pertenece a la unidad en la que se creó
+const IMMUTABLE_FIELDS = ['propertyId', 'unitId'];
+
+class AlquileresLeaseService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Valida los datos de un contrato contra el esquema de contrato
+   * @param {Object} data - Body de la request
+   * @param {Object} options - Opciones
+   * @param {boolean} options.partial - Actualización: los campos requeridos son opcionales y
+   *   propertyId / unitId no se pueden modificar (default: false)
+   * @returns {Object} { valid, value, errors: [{ field, message }], error }
+   */
+  validateLease(data, options = {}) {
+    const validation = validateEntity('lease', data, { partial: options.partial === true });
+
+    if (options.partial && data && typeof data === 'object') {
+      IMMUTABLE_FIELDS
+        .filter(field => field in data)
+        .forEach(field => validation.errors.push({ field, message: 'no se puede modificar' }));
+    }
+
+    if (validation.errors.length > 0) {
+      validation.valid = false;
+      validation.error = formatErrors(validation.errors);
+    }
+
+    if (validation.valid && validation.value.tenantIds) {
+      validation.value.tenantIds = [...new Set(validation.value.tenantIds)];
+    }
+
+    return validation;
+  }
+
+  /**
+   * Lista los contratos
+   * @param {Object} listQuery - limit, cursor, sort y filtros (propertyId, unitId, status, currency)
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.propertyIds - Limitar a estas propiedades (vacío = todas)
+   * @returns {Promise<Object>} { success, count, nextCursor, leases } o { success: false, invalid, error }
+   */
+  async listLeases(listQuery = {}, options = {}) {
+    const { options: listOptions, error } = parseListQuery(listQuery, LEASE_LIST);
+    if (error) {
+      return { success: false, invalid: true, error };
+    }
+
+    try {
+      let leasesRef = this.db.collection('leases');
+
+      if (listQuery.unitId) {
+        leasesRef = leasesRef.where('unitId', '==', listQuery.unitId);
+      } else if (listQuery.propertyId) {
+        leasesRef = leasesRef.where('propertyId', '==', listQuery.propertyId);
+      }
+
+      const propertyIds = options.propertyIds || [];
+      const leases = (await this._getLeases(leasesRef))
+        .filter(lease => propertyIds.length === 0 || propertyIds.includes(lease.propertyId));
+
+      const page = paginate(leases, listOptions);
+
+      return {
+        success: true,
+        count: page.items.length,
+        nextCursor: page.nextCursor,
+        leases: page.items
+      };
+
+    } catch (error) {
+      console.error('Error en listLeases:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene un contrato
+   * @param {string} leaseId - ID del contrato
+   * @returns {Promise<Object>} { success, lease, etag } o { success: false, notFound, error }
+   */
+  async getLease(leaseId) {
+    try {
+      const leaseDoc = await this.db.collection('leases').doc(leaseId).get();
+
+      if (!leaseDoc.exists) {
+        return { success: false, notFound: true, error: 'Contrato no encontrado' };
+      }
+
+      return {
+        success: true,
+        lease: { id: leaseDoc.id, ...leaseDoc.data() },
+        etag: computeETag(leaseDoc.data())
+      };
+
+    } catch (error) {
+      console.error('Error en getLease:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Contratos de las unidades agrupados por unitId (para los listados de unidades e incomes)
+   * @param {Object} filter - { propertyId } o { unitId } (sin filtro: todos los contratos)
+   * @returns {Promise<Map<string, Array<Object>>>}
+   */
+  async getLeasesByUnit(filter = {}) {
+    let leasesRef = this.db.collection('leases');
+
+    if (filter.unitId) {
+      leasesRef = leasesRef.where('unitId', '==', filter.unitId);
+    } else if (filter.propertyId) {
+      leasesRef = leasesRef.where('propertyId', '==', filter.propertyId);
+    }
+
+    const byUnit = new Map();
+    for (const lease of await this._getLeases(leasesRef)) {
+      if (!byUnit.has(lease.unitId)) byUnit.set(lease.unitId, []);
+      byUnit.get(lease.unitId).push(lease);
+    }
+
+    return byUnit;
+  }
+
+  /**
+   * Crea un contrato (status draft y currency ARS si no se indican)
+   * @param {Object} data - { propertyId, unitId, startDate, endDate, rent, currency, deposit, dueDay, status, tenantIds, notes }
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.propertyIds - Propiedades del usuario: solo puede vincular inquilinos accesibles (vacío = sin límite)
+   * @returns {Promise<Object>} { success, lease, path, after } o { success: false, invalid | notFound | forbidden | conflict, error }
+   */
+  async createLease(data, options = {}) {
+    const validation = this.validateLease(data);
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    const lease = {
+      status: 'draft',
+      currency: DEFAULT_CURRENCY,
+      endDate: null,
+      deposit: null,
+      tenantIds: [],
+      ...validation.value
+    };
+
+    const invalid = this._checkTerms(lease);
+    if (invalid) {
+      return invalid;
+    }
+
+    try {
+      const notFound = await this._checkUnit(lease.propertyId, lease.unitId) ||
+        await this._checkTenants(lease.tenantIds, options.propertyIds);
+      if (notFound) {
+        return notFound;
+      }
+
+      const leaseRef = this.db.collection('leases').doc();
+
+      const conflict = await this.db.runTransaction(async (transaction) => {
+        const overlapping = await this._findOverlaps(transaction, { id: leaseRef.id, ...lease });
+        if (overlapping) {
+          return overlapping;
+        }
+
+        transaction.set(leaseRef, {
+          ...lease,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return null;
+      });
+
+      if (conflict) {
+        return conflict;
+      }
+
+      const created = await leaseRef.get();
+
+      return {
+        success: true,
+        path: leaseRef.path,
+        after: created.data(),
+        lease: { id: created.id, ...created.data() }
+      };
+
+    } catch (error) {
+      console.error('Error en createLease:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Actualiza los campos de un contrato (solo los enviados; propertyId y unitId no se pueden modificar)
+   * @param {string} leaseId - ID del contrato
+   * @param {Object} data - Campos a actualizar
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - ETag que debe tener el contrato (header If-Match)
+   * @param {Array<string>} options.propertyIds - Propiedades del usuario: solo puede vincular inquilinos accesibles (vacío = sin límite)
+   * @returns {Promise<Object>} { success, lease, path, before, after, etag }
+   *   o { success: false, invalid | notFound | forbidden | conflict | preconditionFailed, error }
+   */
+  async updateLease(leaseId, data, options = {}) {
+    const validation = this.validateLease(data, { partial: true });
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    const accepted = parseIfMatch(options.ifMatch);
+
+    try {
+      const notFound = await this._checkTenants(validation.value.tenantIds, options.propertyIds);
+      if (notFound) {
+        return notFound;
+      }
+
+      const leaseRef = this.db.collection('leases').doc(leaseId);
+
+      const result = await this.db.runTransaction(async (transaction) => {
+        const leaseDoc = await transaction.get(leaseRef);
+
+        if (!leaseDoc.exists) {
+          return { success: false, notFound: true, error: 'Contrato no encontrado' };
+        }
+
+        const etag = computeETag(leaseDoc.data());
+        if (accepted && !accepted.includes('*') && !accepted.includes(etag)) {
+          return {
+            success: false,
+            preconditionFailed: true,
+            error: 'El documento fue modificado después de leerlo: volver a obtenerlo y reintentar',
+            etag
+          };
+        }
+
+        const lease = { id: leaseId, ...leaseDoc.data(), ...validation.value };
+
+        const invalid = this._checkTerms(lease);
+        if (invalid) {
+          return invalid;
+        }
+
+        const overlapping = await this._findOverlaps(transaction, lease);
+        if (overlapping) {
+          return overlapping;
+        }
+
+        // updatedAt concreto para devolver el ETag de esta versión (ver utils/etag)
+        const update = {
+          ...validation.value,
+          updatedAt: admin.firestore.Timestamp.now()
+        };
+        transaction.update(leaseRef, update);
+        return { success: true, before: leaseDoc.data(), after: { ...leaseDoc.data(), ...update } };
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        path: leaseRef.path,
+        before: result.before,
+        after: result.after,
+        etag: computeETag(result.after),
+        lease: { id: leaseId, ...result.after }
+      };
+
+    } catch (error) {
+      console.error('Error en updateLease:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Elimina un contrato
+   * @param {string} leaseId - ID del contrato
+   * @returns {Promise<Object>} { success, path, before } o { success: false, notFound, error }
+   */
+  async deleteLease(leaseId) {
+    try {
+      const leaseRef = this.db.collection('leases').doc(leaseId);
+      const leaseDoc = await leaseRef.get();
+
+      if (!leaseDoc.exists) {
+        return { success: false, notFound: true, error: 'Contrato no encontrado' };
+      }
+
+      await leaseRef.delete();
+
+      return {
+        success: true,
+        path: leaseRef.path,
+        before: leaseDoc.data()
+      };
+
+    } catch (error) {
+      console.error('Error en deleteLease:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lee los contratos de una consulta
+   * @private
+   */
+  async _getLeases(query) {
+    const snapshot = await query.get();
+    const leases = [];
+
+    snapshot.forEach(doc => {
+      leases.push({ id: doc.id, ...doc.data() });
+    });
+
+    return leases;
+  }
+
+  /**
+   * Devuelve un resultado invalid si las fechas o el estado del contrato no son coherentes (null si son válidos)
+   * @private
+   */
+  _checkTerms(lease) {
+    const errors = checkLeaseTerms(lease);
+    return errors.length > 0
+      ? { success: false, invalid: true, error: formatErrors(errors), errors }
+      : null;
+  }
+
+  /**
+   * Devuelve un resultado conflict si el contrato se superpone con otro de la unidad (null si no)
+   * Lee los contratos dentro de la transacción para que dos altas simultáneas no se superpongan
+   * @private
+   */
+  async _findOverlaps(transaction, lease) {
+    const snapshot = await transaction.get(this.db.collection('leases').where('unitId', '==', lease.unitId));
+    const leases = [];
+    snapshot.forEach(doc => leases.push({ id: doc.id, ...doc.data() }));
+
+    const overlapping = findOverlappingLeases(lease, leases);
+    if (overlapping.length === 0) {
+      return null;
+    }
+
+    return {
+      success: false,
+      conflict: true,
+      error: `El contrato se superpone con otros contratos de la unidad ${lease.unitId}: ${overlapping.map(other => other.id).join(', ')}`,
+      overlapping: overlapping.map(summarizeLease)
+    };
+  }
+
+  /**
+   * Devuelve un resultado notFound si unitId no es una unidad de la propiedad (null si es válida)
+   * @private
+   */
+  async _checkUnit(propertyId, unitId) {
+    const unitDoc = await this.db.collection('units').doc(unitId).get();
+    if (!unitDoc.exists || unitDoc.data().propertyId !== propertyId) {
+      return { success: false, notFound: true, error: `Unidad ${unitId} no encontrada en la propiedad ${propertyId}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Devuelve un resultado notFound si alguno de los inquilinos no existe, o forbidden si el usuario
+   * (limitado a propertyIds) no accede a él (null si se pueden vincular todos)
+   * @private
+   */
+  async _checkTenants(tenantIds = [], propertyIds = []) {
+    for (const tenantId of tenantIds) {
+      const tenantDoc = await this.db.collection('tenants').doc(tenantId).get();
+      if (!tenantDoc.exists) {
+        return { success: false, notFound: true, error: `Inquilino ${tenantId} no encontrado` };
+      }
+
+      if (propertyIds.length > 0) {
+        const snapshot = await this.db.collection('leases').where('tenantIds', 'array-contains', tenantId).get();
+        const tenantLeases = snapshot.docs.map(doc => doc.data());
+
+        if (!isTenantAccessible(tenantLeases, propertyIds)) {
+          return { success: false, forbidden: true, error: `Sin acceso al inquilino ${tenantId}` };
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = AlquileresLeaseService;
@@ -0,0 +1,269 @@
+/**
+ * Servicio para archivar y eliminar propiedades con todos sus datos
+ * - archive: marca la propiedad y sus units de primer nivel como archived (se ocultan de los listados
+ *   y de la generación recurrente, pero se conservan sus expenses e incomes)
+ * - hard: elimina recursivamente properties/{id} (expenses/{period}/items, units/{unitId}/incomes, etc.)
+ *   y los documentos de las colecciones units y leases con ese propertyId
+ */
+const admin = require('../config/firebase');
+const { createBatchWriter } = require('../utils/batchWriter');
+
+const db = admin.firestore();
+
+const DELETE_MODES = ['archive', 'hard'];
+const KNOWN_SUBCOLLECTIONS = ['expenses', 'units'];
+
+class AlquileresPropertyService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Cuenta los documentos afectados por archivar o eliminar una propiedad
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} { success, exists, property, counts, otherCollections }
+   */
+  async getDeletionPreview(propertyId) {
+    try {
+      const propertyRef = this.db.collection('properties').doc(propertyId);
+      const propertyDoc = await propertyRef.get();
+
+      const counts = {
+        property: propertyDoc.exists ? 1 : 0,
+        expensePeriods: 0,
+        expenses: 0,
+        propertyUnits: 0,
+        incomes: 0,
+        units: 0,
+        leases: 0
+      };
+
+      // 1. Expenses por período
+      const periodRefs = await propertyRef.collection('expenses').listDocuments();
+      for (const periodRef of periodRefs) {
+        const itemsCount = await this._count(periodRef.collection('items'));
+        if (itemsCount > 0) {
+          counts.expensePeriods++;
+          counts.expenses += itemsCount;
+        }
+      }
+
+      // 2. Units de la propiedad y sus incomes (pueden existir incomes sin documento de unidad)
+      const unitRefs = await propertyRef.collection('units').listDocuments();
+      for (const unitRef of unitRefs) {
+        const unitDoc = await unitRef.get();
+        if (unitDoc.exists) {
+          counts.propertyUnits++;
+        }
+        counts.incomes += await this._count(unitRef.collection('incomes'));
+      }
+
+      // 3. Units de primer nivel con ese propertyId
+      counts.units = await this._count(this.db.collection('units').where('propertyId', '==', propertyId));
+
+      // 4. Contratos de las unidades de la propiedad
+      counts.leases = await this._count(this.db.collection('leases').where('propertyId', '==', propertyId));
+
+      // 5. Otras subcolecciones (también se eliminan en modo hard)
+      const collections = await propertyRef.listCollections();
+      const otherCollections = collections
+        .map(collection => collection.id)
+        .filter(collectionId => !KNOWN_SUBCOLLECTIONS.includes(collectionId));
+
+      return {
+        success: true,
+        exists: propertyDoc.exists,
+        property: propertyDoc.exists ? { id: propertyDoc.id, ...propertyDoc.data() } : null,
+        counts: {
+          ...counts,
+          total: counts.property + counts.expenses + counts.propertyUnits + counts.incomes + counts.units + counts.leases
+        },
+        otherCollections
+      };
+
+    } catch (error) {
+      console.error('Error en getDeletionPreview:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Archiva o elimina una propiedad
+   * @param {string} propertyId - ID de la propiedad
+   * @param {Object} options - Opciones
+   * @param {string} options.mode - 'archive' (default) | 'hard'
+   * @param {boolean} options.dryRun - Solo devolver los documentos afectados (default: false)
+   * @param {string} options.actorId - Quién realiza la operación (se guarda en archivedBy)
+   * @returns {Promise<Object>} { success, mode, dryRun, counts, changes } o { success: false, invalid | notFound, error }
+   *   changes: mutaciones realizadas { action, path, before, after } para auditoría
+   */
+  async removeProperty(propertyId, options = {}) {
+    const mode = options.mode || 'archive';
+
+    if (!DELETE_MODES.includes(mode)) {
+      return { success: false, invalid: true, error: `mode debe ser uno de: ${DELETE_MODES.join(', ')}` };
+    }
+
+    const preview = await this.getDeletionPreview(propertyId);
+    if (!preview.success) {
+      return preview;
+    }
+
+    // En modo hard se permite limpiar datos huérfanos aunque ya no exista el documento de la propiedad
+    if (!preview.exists && (mode === 'archive' || preview.counts.total === 0)) {
+      return { success: false, notFound: true, error: 'Propiedad no encontrada' };
+    }
+
+    if (mode === 'archive' && preview.property.archived === true) {
+      return { success: false, invalid: true, error: 'La propiedad ya está archivada' };
+    }
+
+    const result = {
+      success: true,
+      propertyId,
+      mode,
+      dryRun: options.dryRun || false,
+      counts: preview.counts,
+      otherCollections: preview.otherCollections,
+      changes: []
+    };
+
+    if (result.dryRun) {
+      return result;
+    }
+
+    try {
+      result.changes = mode === 'archive'
+        ? await this._setArchived(propertyId, true, options.actorId)
+        : await this._deleteRecursively(propertyId, preview);
+
+      console.log(`Propiedad ${propertyId} ${mode === 'archive' ? 'archivada' : 'eliminada'} (${preview.counts.total} documentos)`);
+
+      return result;
+
+    } catch (error) {
+      console.error('Error en removeProperty:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Restaura una propiedad archivada (y sus units de primer nivel)
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} { success, changes } o { success: false, invalid | notFound, error }
+   */
+  async unarchiveProperty(propertyId) {
+    try {
+      const propertyDoc = await this.db.collection('properties').doc(propertyId).get();
+
+      if (!propertyDoc.exists) {
+        return { success: false, notFound: true, error: 'Propiedad no encontrada' };
+      }
+
+      if (propertyDoc.data().archived !== true) {
+        return { success: false, invalid: true, error: 'La propiedad no está archivada' };
+      }
+
+      const changes = await this._setArchived(propertyId, false);
+
+      console.log(`Propiedad ${propertyId} restaurada del archivo`);
+
+      return {
+        success: true,
+        propertyId,
+        changes
+      };
+
+    } catch (error) {
+      console.error('Error en unarchiveProperty:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Marca o desmarca como archivadas la propiedad y sus units de primer nivel
+   * @private
+   */
+  async _setArchived(propertyId, archived, actorId = null) {
+    const FieldValue = admin.firestore.FieldValue;
+    const writer = createBatchWriter(this.db);
+    const changes = [];
+
+    const data = archived
+      ? { archived: true, archivedAt: new Date().toISOString(), archivedBy: actorId, updatedAt: FieldValue.serverTimestamp() }
+      : { archived: FieldValue.delete(), archivedAt: FieldValue.delete(), archivedBy: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() };
+
+    const propertyRef = this.db.collection('properties').doc(propertyId);
+    const unitsSnapshot = await this.db.collection('units').where('propertyId', '==', propertyId).get();
+    const refs = [propertyRef, ...unitsSnapshot.docs.map(doc => doc.ref)];
+
+    const befores = [];
+    for (const ref of refs) {
+      const doc = await ref.get();
+      befores.push(doc.data());
+      await writer.update(ref, data);
+    }
+
+    await writer.flush();
+
+    for (let i = 0; i < refs.length; i++) {
+      const after = await refs[i].get();
+      changes.push({ action: 'update', path: refs[i].path, before: befores[i], after: after.data() });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Elimina la propiedad con todas sus subcolecciones, sus units de primer nivel y sus contratos
+   * @private
+   */
+  async _deleteRecursively(propertyId, preview) {
+    const writer = createBatchWriter(this.db);
+    const changes = [];
+
+    for (const collection of ['units', 'leases']) {
+      const snapshot = await this.db.collection(collection).where('propertyId', '==', propertyId).get();
+      for (const doc of snapshot.docs) {
+        changes.push({ action: 'delete', path: doc.ref.path, before: doc.data() });
+        await writer.delete(doc.ref);
+      }
+    }
+    await writer.flush();
+
+    const propertyRef = this.db.collection('properties').doc(propertyId);
+    await this.db.recursiveDelete(propertyRef);
+
+    // Sin el id agregado por el preview: before debe ser el documento tal como estaba
+    const { id, ...before } = preview.property || {};
+
+    changes.unshift({
+      action: 'delete',
+      path: propertyRef.path,
+      before: preview.property ? before : null,
+      details: { mode: 'hard', counts: preview.counts, otherCollections: preview.otherCollections }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Cantidad de documentos de una colección o query
+   * @private
+   */
+  async _count(query) {
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+  }
+}
+
+module.exports = AlquileresPropertyService;
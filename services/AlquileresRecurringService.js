@@ -10,6 +10,7 @@ const {
   listExpensePeriods, 
   getExpenses 
 } = require('../utils/hierarchicalPath');
+const { updateIfMatch } = require('../utils/etag');
 
 const db = admin.firestore();
 
@@ -53,7 +54,7 @@ class AlquileresRecurringService {
       
       // Procesar cada propiedad
       const results = {
-        expenses: { created: 0, skipped: 0, errors: [] },
+        expenses: { created: 0, skipped: 0, errors: [], createdPaths: [] },
         manualIncomes: { created: 0, skipped: 0, errors: [] },
         summary: {
           sourceYear,
@@ -83,6 +84,7 @@ class AlquileresRecurringService {
           results.expenses.created += expenseResult.created;
           results.expenses.skipped += expenseResult.skipped;
           results.expenses.errors.push(...expenseResult.errors);
+          results.expenses.createdPaths.push(...(expenseResult.createdPaths || []));
           
           results.manualIncomes.created += manualIncomeResult.created;
           results.manualIncomes.skipped += manualIncomeResult.skipped;
@@ -123,7 +125,7 @@ class AlquileresRecurringService {
   }
 
   /**
-   * Obtiene todas las propiedades
+   * Obtiene todas las propiedades activas (las archivadas no generan registros)
    * @private
    */
   async _getAllProperties() {
@@ -133,6 +135,8 @@ class AlquileresRecurringService {
       const properties = [];
       
       snapshot.forEach(doc => {
+        if (doc.data().archived === true) return;
+        
         properties.push({
           id: doc.id,
           ...doc.data()
@@ -157,7 +161,7 @@ class AlquileresRecurringService {
       // Obtener expenses del mes fuente que sean recurrentes
       const sourceExpenses = await getExpenses(this.db, propertyId, sourceYear, sourceMonth);
       
-      const results = { created: 0, skipped: 0, errors: [] };
+      const results = { created: 0, skipped: 0, errors: [], createdPaths: [] };
       
       if (sourceExpenses.length === 0) {
         console.log(`No se encontraron expenses en el mes fuente para propiedad ${propertyId}`);
@@ -207,7 +211,8 @@ class AlquileresRecurringService {
           };
           
           if (!dryRun) {
-            await targetCollection.add(newExpenseData);
+            const docRef = await targetCollection.add(newExpenseData);
+            results.createdPaths.push(docRef.path);
           }
           
           console.log(`Expense recurrente ${expense.description} generado para ${targetMonth}/${targetYear} en propiedad ${propertyId}`);
@@ -446,9 +451,13 @@ class AlquileresRecurringService {
    * Obtiene un resumen de los datos disponibles para todas las propiedades
    * @param {number} year - Año
    * @param {number} month - Mes
+   * @param {Object} options - Opciones
+   * @param {boolean} options.includeExpenses - Incluir el detalle de expenses de cada propiedad (default: true)
    * @returns {Promise<Object>} Resumen de datos
    */
-  async getDataSummary(year, month) {
+  async getDataSummary(year, month, options = {}) {
+    const includeExpenses = options.includeExpenses !== false;
+    
     try {
       const properties = await this._getAllProperties();
       
@@ -469,12 +478,14 @@ class AlquileresRecurringService {
             propertyName: property.name || 'Sin nombre',
             totalExpenses: expenses.length,
             recurringExpenses: recurringExpenses.length,
-            expenses: expenses.map(e => ({
-              id: e.id,
-              description: e.description,
-              amount: e.amount,
-              isRecurring: e.isRecurring || false
-            }))
+            ...(includeExpenses ? {
+              expenses: expenses.map(e => ({
+                id: e.id,
+                description: e.description,
+                amount: e.amount,
+                isRecurring: e.isRecurring || false
+              }))
+            } : {})
           });
         } catch (error) {
           console.warn(`Error obteniendo expenses de propiedad ${property.id}:`, error.message);
@@ -483,7 +494,7 @@ class AlquileresRecurringService {
             propertyName: property.name || 'Sin nombre',
             totalExpenses: 0,
             recurringExpenses: 0,
-            expenses: [],
+            ...(includeExpenses ? { expenses: [] } : {}),
             error: error.message
           });
         }
@@ -519,21 +530,33 @@ class AlquileresRecurringService {
    * @param {number} month - Mes
    * @param {string} expenseId - ID del expense
    * @param {boolean} isRecurring - Si debe ser recurrente
-   * @returns {Promise<Object>} Resultado de la operación
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - ETag que debe tener el expense (header If-Match)
+   * @returns {Promise<Object>} { success, message, before, after, etag } o { success: false, notFound | preconditionFailed, error }
    */
-  async setExpenseRecurring(propertyId, year, month, expenseId, isRecurring) {
+  async setExpenseRecurring(propertyId, year, month, expenseId, isRecurring, options = {}) {
     try {
       const collectionRef = getCollection(this.db, 'expenses', propertyId, null, year, month);
       const docRef = collectionRef.doc(expenseId);
       
-      await docRef.update({
+      const result = await updateIfMatch(this.db, docRef, options.ifMatch, () => ({
         isRecurring,
         updatedAt: new Date().toISOString()
-      });
+      }));
+      
+      if (!result.success) {
+        return result.notFound
+          ? { success: false, notFound: true, error: 'Expense no encontrado' }
+          : result;
+      }
       
       return {
         success: true,
-        message: `Expense marcado como ${isRecurring ? 'recurrente' : 'no recurrente'}`
+        message: `Expense marcado como ${isRecurring ? 'recurrente' : 'no recurrente'}`,
+        path: docRef.path,
+        before: result.before,
+        after: result.after,
+        etag: result.etag
       };
       
     } catch (error) {
@@ -0,0 +1,274 @@
+/**
+ * Servicio para generar el rent roll mensual: el income esperado de cada unidad según su contrato
+ * Estructura: properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM}, un item 'rent' con el leaseId del contrato
+ * A diferencia de la generación recurrente de expenses, no copia el mes anterior: el monto y el
+ * vencimiento salen de los términos del contrato vigente en el período (rent y dueDay)
+ */
+const admin = require('../config/firebase');
+const { getCollection, getPropertyUnits } = require('../utils/hierarchicalPath');
+const { DEFAULT_CURRENCY, findLeasesForPeriod } = require('../utils/leases');
+const { createItemId, getIncomeItems } = require('../utils/incomeItems');
+const AlquileresIncomeService = require('./AlquileresIncomeService');
+
+const db = admin.firestore();
+
+const RENT_CATEGORY = 'rent';
+
+class AlquileresRentRollService {
+  constructor() {
+    this.db = db;
+    this.incomeService = new AlquileresIncomeService();
+  }
+
+  /**
+   * Genera el income esperado del período para cada unidad con contrato
+   * Es idempotente: una unidad que ya tiene el item del contrato, o un item 'rent' cargado a mano,
+   * se omite. Las unidades y propiedades archivadas no generan incomes
+   * @param {Object} options - Opciones de generación
+   * @param {number} options.targetYear - Año destino (opcional, por defecto siguiente mes)
+   * @param {number} options.targetMonth - Mes destino (opcional, por defecto siguiente mes)
+   * @param {boolean} options.dryRun - Solo simular, no crear registros (default: false)
+   * @returns {Promise<Object>} { success, incomes: { created, skipped, errors, createdPaths }, units, summary }
+   */
+  async generateRentRoll(options = {}) {
+    try {
+      const { targetYear, targetMonth } = this._calculateTarget(options);
+      const periodKey = `${targetYear}-${String(targetMonth).padStart(2, '0')}`;
+      const dryRun = options.dryRun || false;
+
+      console.log(`Generando rent roll de ${periodKey}${dryRun ? ' (simulación)' : ''}`);
+
+      const properties = await this._getActiveDocs(this.db.collection('properties'));
+
+      if (properties.length === 0) {
+        return {
+          success: false,
+          error: 'No se encontraron propiedades'
+        };
+      }
+
+      const leasesByUnit = await this._getLeasesByUnit();
+
+      const results = {
+        incomes: { created: 0, skipped: 0, errors: [], createdPaths: [] },
+        units: [],
+        summary: {
+          type: 'rentRoll',
+          targetYear,
+          targetMonth,
+          periodKey,
+          dryRun,
+          timestamp: new Date().toISOString(),
+          propertiesProcessed: 0,
+          unitsProcessed: 0,
+          unitsWithoutLease: 0,
+          amountByCurrency: {}
+        }
+      };
+
+      for (const property of properties) {
+        try {
+          const units = (await getPropertyUnits(this.db, property.id)).filter(unit => unit.archived !== true);
+
+          for (const unit of units) {
+            const leases = (leasesByUnit.get(unit.id) || []).filter(lease => lease.propertyId === property.id);
+            const entry = await this._generateUnitRent(property, unit, leases, targetYear, targetMonth, periodKey, dryRun);
+
+            results.units.push(entry);
+            results.summary.unitsProcessed++;
+
+            if (entry.action === 'create') {
+              results.incomes.created++;
+              if (!dryRun) results.incomes.createdPaths.push(entry.path);
+
+              const currency = entry.currency;
+              results.summary.amountByCurrency[currency] = (results.summary.amountByCurrency[currency] || 0) + entry.amount;
+            } else if (entry.action === 'skip' && entry.reason === 'noLease') {
+              results.summary.unitsWithoutLease++;
+            } else if (entry.action === 'skip') {
+              results.incomes.skipped++;
+            } else {
+              results.incomes.errors.push({
+                type: 'income',
+                propertyId: property.id,
+                unitId: unit.id,
+                error: entry.error
+              });
+            }
+          }
+
+          results.summary.propertiesProcessed++;
+
+        } catch (error) {
+          console.error(`Error procesando propiedad ${property.id}:`, error);
+          results.incomes.errors.push({
+            type: 'property',
+            propertyId: property.id,
+            error: error.message
+          });
+        }
+      }
+
+      results.summary.totalCreated = results.incomes.created;
+      results.summary.totalSkipped = results.incomes.skipped;
+      results.summary.totalErrors = results.incomes.errors.length;
+
+      console.log(`Rent roll ${periodKey} completado. Creados: ${results.summary.totalCreated}, Omitidos: ${results.summary.totalSkipped}, Sin contrato: ${results.summary.unitsWithoutLease}, Errores: ${results.summary.totalErrors}`);
+
+      return {
+        success: true,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Error en generateRentRoll:', error);
+      return {
+        success: false,
+        error: error.message,
+        stack: error.stack
+      };
+    }
+  }
+
+  /**
+   * Genera (o simula) el item de alquiler de una unidad y devuelve su línea del reporte
+   * El período se asigna al último contrato vigente de la unidad en ese mes (el mismo criterio
+   * que el lease de los listados de incomes)
+   * @private
+   */
+  async _generateUnitRent(property, unit, leases, targetYear, targetMonth, periodKey, dryRun) {
+    const entry = {
+      propertyId: property.id,
+      propertyName: property.name || 'Sin nombre',
+      unitId: unit.id,
+      unitName: unit.name || null
+    };
+
+    const periodLeases = findLeasesForPeriod(leases, periodKey);
+    if (periodLeases.length === 0) {
+      return { ...entry, action: 'skip', reason: 'noLease' };
+    }
+
+    const lease = periodLeases[periodLeases.length - 1];
+    const item = this._buildRentItem(lease, targetYear, targetMonth, periodKey);
+    const findExisting = items => items.find(existing => existing.leaseId === lease.id) ||
+      items.find(existing => existing.category === RENT_CATEGORY);
+
+    Object.assign(entry, {
+      leaseId: lease.id,
+      amount: item.amount,
+      currency: lease.currency || DEFAULT_CURRENCY,
+      dueDate: item.dueDate
+    });
+
+    try {
+      const incomeRef = getCollection(this.db, 'incomes', property.id, unit.id, targetYear, targetMonth);
+      let existing;
+      let newPeriod;
+
+      if (dryRun) {
+        const incomeDoc = await incomeRef.get();
+        existing = findExisting(getIncomeItems(incomeDoc.exists ? incomeDoc.data() : null));
+        newPeriod = !incomeDoc.exists;
+      } else {
+        const result = await this.incomeService.addGeneratedItem(
+          property.id, unit.id, targetYear, targetMonth, item, findExisting
+        );
+        if (!result.success) {
+          return { ...entry, action: 'error', error: result.error };
+        }
+        existing = result.existing;
+        newPeriod = !result.before;
+      }
+
+      if (existing) {
+        return {
+          ...entry,
+          action: 'skip',
+          reason: existing.leaseId === lease.id ? 'alreadyGenerated' : 'rentExists',
+          itemId: existing.id
+        };
+      }
+
+      // newPeriod: el período no tenía documento (si no, el item se agrega a los que ya tenía)
+      return { ...entry, action: 'create', itemId: dryRun ? null : item.id, path: incomeRef.path, newPeriod };
+
+    } catch (error) {
+      console.error(`Error generando el alquiler de la unidad ${unit.id}:`, error);
+      return { ...entry, action: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Item de alquiler de un período según los términos del contrato
+   * El vencimiento es el dueDay del contrato, o el último día si el mes es más corto
+   * @private
+   */
+  _buildRentItem(lease, year, month, periodKey) {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const dueDay = Math.min(lease.dueDay, lastDay);
+
+    return {
+      id: createItemId(),
+      category: RENT_CATEGORY,
+      description: `Alquiler ${periodKey}`,
+      amount: lease.rent,
+      paid: false,
+      paidDate: null,
+      dueDate: `${periodKey}-${String(dueDay).padStart(2, '0')}`,
+      leaseId: lease.id
+    };
+  }
+
+  /**
+   * Lee los documentos no archivados de una consulta
+   * @private
+   */
+  async _getActiveDocs(query) {
+    const snapshot = await query.get();
+    const docs = [];
+
+    snapshot.forEach(doc => {
+      if (doc.data().archived === true) return;
+      docs.push({ id: doc.id, ...doc.data() });
+    });
+
+    return docs;
+  }
+
+  /**
+   * Contratos agrupados por unidad
+   * @private
+   */
+  async _getLeasesByUnit() {
+    const snapshot = await this.db.collection('leases').get();
+    const leasesByUnit = new Map();
+
+    snapshot.forEach(doc => {
+      const lease = { id: doc.id, ...doc.data() };
+      if (!leasesByUnit.has(lease.unitId)) leasesByUnit.set(lease.unitId, []);
+      leasesByUnit.get(lease.unitId).push(lease);
+    });
+
+    return leasesByUnit;
+  }
+
+  /**
+   * Calcula el período destino (por defecto, el mes siguiente al actual)
+   * @private
+   */
+  _calculateTarget(options) {
+    if (options.targetYear && options.targetMonth) {
+      return { targetYear: options.targetYear, targetMonth: options.targetMonth };
+    }
+
+    const today = new Date();
+    const nextMonth = today.getMonth() + 2;
+
+    return nextMonth > 12
+      ? { targetYear: today.getFullYear() + 1, targetMonth: 1 }
+      : { targetYear: today.getFullYear(), targetMonth: nextMonth };
+  }
+}
+
+module.exports = AlquileresRentRollService;
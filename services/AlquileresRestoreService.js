@@ -0,0 +1,627 @@
+/**
+ * Servicio para restaurar backups de Alquileres en Firestore
+ * Reconstruye la estructura REAL a partir del JSON generado por GET /api/backup
+ * Soporta backups completos y cadenas de backup completo + incrementales, en cualquier
+ * versión del formato (se convierten a la versión actual antes de restaurar)
+ * Estructura: properties, units, leases, tenants, properties/{propertyId}/expenses/{year-month}/items
+ * y properties/{propertyId}/units/{unitId}/incomes/{year-month}
+ * Las unidades se restauran siempre en units (ubicación canónica): en backups anteriores a la
+ * migración, los datos de la unidad guardados dentro de la propiedad se combinan con los de units
+ * Los inquilinos de un backup sin datos personales se combinan siempre con los existentes
+ * (también en modo overwrite), así la restauración no borra esos datos
+ */
+const admin = require('../config/firebase');
+const { getCollection } = require('../utils/hierarchicalPath');
+const { createBatchWriter } = require('../utils/batchWriter');
+const { mergeUnitData } = require('../utils/unitRecords');
+const { validateEntity } = require('../utils/entitySchemas');
+const {
+  upgradeBackup,
+  validateBackupSchema,
+  decodeTimestamps
+} = require('../utils/backupFormat');
+
+const db = admin.firestore();
+
+const RESTORE_MODES = ['merge', 'overwrite'];
+const DOCUMENT_TYPES = ['properties', 'units', 'leases', 'tenants', 'propertyUnits', 'expenses', 'incomes'];
+const PERIOD_KEY_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class AlquileresRestoreService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Valida que un objeto tenga la forma de un backup completo o incremental
+   * El backup se convierte a la versión actual y se valida contra su esquema
+   * @param {Object} backupData - Contenido del archivo de backup
+   * @param {Object} options - Opciones
+   * @param {boolean} options.restoreTimestamps - Convertir createdAt/updatedAt de properties
+   *   y units de un backup 1.0 a Timestamp (default: true)
+   * @returns {Object} Resultado { valid, errors, backup } (backup en la versión actual)
+   */
+  validateBackup(backupData, options = {}) {
+    if (!backupData || typeof backupData !== 'object' || Array.isArray(backupData)) {
+      return { valid: false, errors: ['El backup debe ser un objeto JSON'] };
+    }
+
+    const upgraded = upgradeBackup(backupData, {
+      dateFields: options.restoreTimestamps === false ? [] : undefined
+    });
+
+    if (upgraded.error) {
+      return { valid: false, errors: [upgraded.error] };
+    }
+
+    if (upgraded.backup.type === 'property') {
+      return {
+        valid: false,
+        errors: ['Los backups por propiedad no se pueden restaurar: usar un backup completo con propertyIds']
+      };
+    }
+
+    const errors = validateBackupSchema(upgraded.backup);
+
+    return { valid: errors.length === 0, errors, backup: upgraded.backup };
+  }
+
+  /**
+   * Valida una cadena de backups: un completo seguido de incrementales consecutivos
+   * @param {Array<Object>} backups - Backups en orden de aplicación
+   * @returns {Object} Resultado { valid, errors }
+   */
+  validateChain(backups) {
+    if (!Array.isArray(backups) || backups.length === 0) {
+      return { valid: false, errors: ['chain debe ser un array con al menos un backup'] };
+    }
+
+    const errors = [];
+
+    backups.forEach((backupData, index) => {
+      const validation = this.validateBackup(backupData);
+      validation.errors.forEach(error => errors.push(`chain[${index}]: ${error}`));
+    });
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    if (this._isIncremental(backups[0])) {
+      errors.push('chain[0] debe ser un backup completo');
+    }
+
+    for (let i = 1; i < backups.length; i++) {
+      if (!this._isIncremental(backups[i])) {
+        errors.push(`chain[${i}] debe ser un backup incremental`);
+      } else if (backups[i].baseExportDate !== backups[i - 1].exportDate) {
+        errors.push(`chain[${i}] parte de ${backups[i].baseExportDate}, pero el backup anterior es del ${backups[i - 1].exportDate}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Restaura una cadena de backups (completo + incrementales) en orden
+   * @param {Array<Object>} backups - Backups en orden de aplicación
+   * @param {Object} options - Mismas opciones que restoreBackup
+   * @returns {Promise<Object>} Reporte con el resultado de cada paso
+   */
+  async restoreChain(backups, options = {}) {
+    const validation = this.validateChain(backups);
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: 'Cadena de backups inválida',
+        validationErrors: validation.errors
+      };
+    }
+
+    const steps = [];
+
+    for (const backupData of backups) {
+      const result = await this.restoreBackup(backupData, options);
+      steps.push(result);
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: `Error restaurando backup del ${backupData.exportDate}: ${result.error}`,
+          validationErrors: result.validationErrors,
+          steps
+        };
+      }
+    }
+
+    const summary = {
+      mode: options.mode || 'merge',
+      dryRun: options.dryRun || false,
+      backupsApplied: steps.length,
+      restoredUntil: backups[backups.length - 1].exportDate,
+      timestamp: new Date().toISOString()
+    };
+
+    ['totalWritten', 'totalSkipped', 'totalDeleted'].forEach(field => {
+      summary[field] = steps.reduce((sum, step) => sum + step.summary[field], 0);
+    });
+
+    return {
+      success: true,
+      summary,
+      steps
+    };
+  }
+
+  /**
+   * Restaura un backup completo o incremental en Firestore
+   * Los incrementales también eliminan los documentos listados en deleted
+   * @param {Object} backupData - Contenido del archivo generado por GET /api/backup
+   * @param {Object} options - Opciones de restauración
+   * @param {boolean} options.dryRun - Solo simular, no escribir (default: false)
+   * @param {string} options.mode - 'merge' combina campos con los documentos existentes,
+   *   'overwrite' reemplaza cada documento por el del backup (default: 'merge')
+   * @param {Array<string>} options.propertyIds - Restaurar solo estas propiedades (opcional)
+   * @param {boolean} options.restoreTimestamps - Convertir createdAt/updatedAt de properties
+   *   y units a Timestamp de Firestore en backups 1.0 (default: true). En 2.0 los Timestamps
+   *   vienen marcados como { "$timestamp": "ISO" } y siempre se restauran como Timestamp
+   * @returns {Promise<Object>} Reporte de la restauración
+   */
+  async restoreBackup(backupData, options = {}) {
+    const mode = options.mode || 'merge';
+    const dryRun = options.dryRun || false;
+
+    const validation = this.validateBackup(backupData, options);
+    if (!RESTORE_MODES.includes(mode)) {
+      validation.valid = false;
+      validation.errors.push(`mode debe ser uno de: ${RESTORE_MODES.join(', ')}`);
+    }
+
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: 'Backup inválido',
+        validationErrors: validation.errors
+      };
+    }
+
+    const results = this._createResults(backupData, mode, dryRun);
+    const writer = createBatchWriter(this.db, { dryRun });
+    const context = { writer, results, mode, options };
+    const backup = validation.backup;
+
+    try {
+      console.log(`Iniciando restauración de backup ${backupData.version} (${mode}${dryRun ? ', dry-run' : ''}) exportado el ${backup.exportDate}`);
+
+      if (this._isIncremental(backup)) {
+        await this._applyDeletions(backup.deleted || {}, context);
+      }
+
+      await this._restoreDocuments(backup, context);
+      await writer.flush();
+
+      results.summary.totalWritten = this._sumResults(results, 'written');
+      results.summary.totalSkipped = this._sumResults(results, 'skipped');
+      results.summary.totalDeleted = this._sumResults(results, 'deleted');
+
+      console.log(`Restauración completada. Escritos: ${results.summary.totalWritten}, Omitidos: ${results.summary.totalSkipped}, Eliminados: ${results.summary.totalDeleted}`);
+
+      return {
+        success: true,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Error en restoreBackup:', error);
+      return {
+        success: false,
+        error: error.message,
+        partialResults: results
+      };
+    }
+  }
+
+  /**
+   * Escribe todos los documentos de un backup usando el escritor del contexto
+   * @private
+   */
+  async _restoreDocuments(backupData, context) {
+    const { results, options } = context;
+    const propertyFilter = options.propertyIds && options.propertyIds.length > 0
+      ? new Set(options.propertyIds)
+      : null;
+
+    // 1. Propiedades principales
+    const restoredProperties = new Set();
+
+    for (const property of backupData.properties) {
+      if (!property || !property.id) {
+        this._skip(results, 'properties', null, 'Propiedad sin id');
+        continue;
+      }
+
+      if (propertyFilter && !propertyFilter.has(property.id)) {
+        this._skip(results, 'properties', `properties/${property.id}`, 'Excluida por filtro propertyIds');
+        continue;
+      }
+
+      const { id, ...data } = property;
+      const docRef = getCollection(this.db, 'properties').doc(id);
+      const value = this._validate(results, 'properties', docRef.path, 'property', this._reviveTimestamps(data));
+      if (!value) continue;
+
+      await this._write(context, 'properties', docRef, value);
+      restoredProperties.add(id);
+    }
+
+    // 2. Units (ubicación canónica), combinadas con las versiones guardadas dentro de cada propiedad
+    const propertyUnits = this._collectPropertyUnits(backupData.propertiesData || {});
+
+    for (const unit of backupData.units || []) {
+      if (!unit || !unit.id) {
+        this._skip(results, 'units', null, 'Unidad sin id');
+        continue;
+      }
+
+      if (propertyFilter && !propertyFilter.has(unit.propertyId)) {
+        this._skip(results, 'units', `units/${unit.id}`, 'Excluida por filtro propertyIds');
+        continue;
+      }
+
+      const { id, ...data } = unit;
+      const legacy = propertyUnits.get(id);
+      const merged = legacy && legacy.propertyId === unit.propertyId
+        ? mergeUnitData(data, legacy.data, unit.propertyId)
+        : data;
+
+      const docRef = getCollection(this.db, 'units').doc(id);
+      propertyUnits.delete(id);
+
+      const value = this._validate(results, 'units', docRef.path, 'unit', this._reviveTimestamps(merged));
+      if (value) {
+        await this._write(context, 'units', docRef, value);
+      }
+    }
+
+    // Unidades que solo estaban dentro de su propiedad (backups anteriores a la migración)
+    for (const [unitId, legacy] of propertyUnits) {
+      if (propertyFilter && !propertyFilter.has(legacy.propertyId)) continue;
+      if (!restoredProperties.has(legacy.propertyId) && !this._isIncremental(backupData)) continue;
+
+      const docRef = getCollection(this.db, 'units').doc(unitId);
+      const value = this._validate(results, 'units', docRef.path, 'unit',
+        this._reviveTimestamps(mergeUnitData(null, legacy.data, legacy.propertyId)));
+
+      if (value) {
+        await this._write(context, 'units', docRef, value);
+      }
+    }
+
+    // 3. Contratos (según su propiedad) e inquilinos (no pertenecen a una propiedad)
+    for (const lease of backupData.leases || []) {
+      if (!lease || !lease.id) {
+        this._skip(results, 'leases', null, 'Contrato sin id');
+        continue;
+      }
+
+      if (propertyFilter && !propertyFilter.has(lease.propertyId)) {
+        this._skip(results, 'leases', `leases/${lease.id}`, 'Excluido por filtro propertyIds');
+        continue;
+      }
+
+      const { id, ...data } = lease;
+      const docRef = this.db.collection('leases').doc(id);
+      const value = this._validate(results, 'leases', docRef.path, 'lease', this._reviveTimestamps(data));
+      if (value) {
+        await this._write(context, 'leases', docRef, value);
+      }
+    }
+
+    const tenantContext = backupData.personalData === true ? context : { ...context, mode: 'merge' };
+
+    for (const tenant of backupData.tenants || []) {
+      if (!tenant || !tenant.id) {
+        this._skip(results, 'tenants', null, 'Inquilino sin id');
+        continue;
+      }
+
+      if (propertyFilter) {
+        this._skip(results, 'tenants', `tenants/${tenant.id}`, 'Los inquilinos no se restauran con filtro propertyIds');
+        continue;
+      }
+
+      const { id, ...data } = tenant;
+      const docRef = this.db.collection('tenants').doc(id);
+      const value = this._validate(results, 'tenants', docRef.path, 'tenant', this._reviveTimestamps(data));
+      if (value) {
+        await this._write(tenantContext, 'tenants', docRef, value);
+      }
+    }
+
+    // 4. Datos jerárquicos por propiedad (expenses + units con incomes)
+    // En un incremental la propiedad puede no haber cambiado aunque sí sus expenses o incomes
+    const isIncremental = this._isIncremental(backupData);
+
+    for (const [propertyId, propertyData] of Object.entries(backupData.propertiesData || {})) {
+      const included = !propertyFilter || propertyFilter.has(propertyId);
+
+      if (!restoredProperties.has(propertyId) && !(isIncremental && included)) {
+        // Las excluidas por filtro ya se reportaron en el paso 1
+        if (included) {
+          this._skip(results, 'properties', `properties/${propertyId}`, 'propertiesData de una propiedad ausente en backup.properties');
+        }
+        continue;
+      }
+
+      await this._restorePropertyData(propertyId, propertyData || {}, context);
+    }
+  }
+
+  /**
+   * Restaura expenses por período y unidades con incomes de una propiedad
+   * @private
+   */
+  async _restorePropertyData(propertyId, propertyData, context) {
+    const { results } = context;
+    const propertyReport = {
+      expenses: 0,
+      expensePeriods: 0,
+      units: 0,
+      incomes: 0
+    };
+
+    // Expenses: properties/{propertyId}/expenses/{year-month}/items/{expenseId}
+    for (const [periodKey, items] of Object.entries(propertyData.expenses || {})) {
+      const basePath = `properties/${propertyId}/expenses/${periodKey}`;
+
+      if (!PERIOD_KEY_REGEX.test(periodKey)) {
+        this._skip(results, 'expenses', basePath, 'Período inválido (se espera YYYY-MM)');
+        continue;
+      }
+
+      if (!Array.isArray(items)) {
+        this._skip(results, 'expenses', basePath, 'Los items del período deben ser un array');
+        continue;
+      }
+
+      const [year, month] = periodKey.split('-').map(Number);
+      const itemsRef = getCollection(this.db, 'expenses', propertyId, null, year, month);
+      let periodWritten = 0;
+
+      for (const expense of items) {
+        if (!expense || !expense.id) {
+          this._skip(results, 'expenses', `${basePath}/items`, 'Expense sin id');
+          continue;
+        }
+
+        const { id, ...data } = expense;
+        const docRef = itemsRef.doc(id);
+        const value = this._validate(results, 'expenses', docRef.path, 'expense', this._reviveTimestamps(data));
+        if (!value) continue;
+
+        await this._write(context, 'expenses', docRef, value);
+        periodWritten++;
+      }
+
+      propertyReport.expenses += periodWritten;
+      if (periodWritten > 0) {
+        propertyReport.expensePeriods++;
+      }
+    }
+
+    // Incomes de cada unidad: properties/{propertyId}/units/{unitId}/incomes/{year-month}
+    // (el documento de la unidad ya se restauró en units)
+    for (const unit of propertyData.units || []) {
+      if (!unit || !unit.id) {
+        this._skip(results, 'propertyUnits', `properties/${propertyId}/units`, 'Unidad sin id');
+        continue;
+      }
+
+      const { id: unitId, incomes } = unit;
+      propertyReport.units++;
+
+      for (const [periodKey, income] of Object.entries(incomes || {})) {
+        const incomePath = `properties/${propertyId}/units/${unitId}/incomes/${periodKey}`;
+
+        if (!PERIOD_KEY_REGEX.test(periodKey)) {
+          this._skip(results, 'incomes', incomePath, 'Período inválido (se espera YYYY-MM)');
+          continue;
+        }
+
+        if (!income || typeof income !== 'object') {
+          this._skip(results, 'incomes', incomePath, 'Income vacío');
+          continue;
+        }
+
+        const [year, month] = periodKey.split('-').map(Number);
+        const { id, ...incomeData } = income;
+        const incomeRef = getCollection(this.db, 'incomes', propertyId, unitId, year, month);
+
+        const value = this._validate(results, 'incomes', incomePath, 'income', this._reviveTimestamps(incomeData));
+        if (!value) continue;
+
+        await this._write(context, 'incomes', incomeRef, value);
+        propertyReport.incomes++;
+      }
+    }
+
+    results.propertiesReport[propertyId] = propertyReport;
+  }
+
+  /**
+   * Unidades guardadas dentro de cada propiedad del backup, por unitId
+   * @private
+   */
+  _collectPropertyUnits(propertiesData) {
+    const propertyUnits = new Map();
+
+    for (const [propertyId, propertyData] of Object.entries(propertiesData)) {
+      for (const unit of (propertyData && propertyData.units) || []) {
+        if (!unit || !unit.id) continue;
+
+        const { id, incomes, ...data } = unit;
+        propertyUnits.set(id, { propertyId, data });
+      }
+    }
+
+    return propertyUnits;
+  }
+
+  /**
+   * Elimina los documentos listados en deleted de un backup incremental
+   * @private
+   */
+  async _applyDeletions(deleted, context) {
+    const { writer, results, options } = context;
+    const propertyFilter = options.propertyIds && options.propertyIds.length > 0
+      ? new Set(options.propertyIds)
+      : null;
+    const included = propertyId => !propertyFilter || propertyFilter.has(propertyId);
+
+    const remove = async (type, docRef) => {
+      await writer.delete(docRef);
+      results[type].deleted++;
+    };
+
+    for (const propertyId of deleted.properties || []) {
+      if (included(propertyId)) {
+        await remove('properties', getCollection(this.db, 'properties').doc(propertyId));
+      }
+    }
+
+    // Sin el documento de la unidad no se puede saber a qué propiedad pertenecía
+    for (const unitId of deleted.units || []) {
+      if (!propertyFilter) {
+        await remove('units', getCollection(this.db, 'units').doc(unitId));
+      }
+    }
+
+    // Los contratos eliminados tampoco tienen su propiedad en el backup
+    for (const type of ['leases', 'tenants']) {
+      for (const id of deleted[type] || []) {
+        if (!propertyFilter) {
+          await remove(type, this.db.collection(type).doc(id));
+        }
+      }
+    }
+
+    for (const { propertyId, unitId } of deleted.propertyUnits || []) {
+      if (included(propertyId)) {
+        await remove('propertyUnits', this.db.collection('properties')
+          .doc(propertyId)
+          .collection('units')
+          .doc(unitId));
+      }
+    }
+
+    for (const { propertyId, periodKey, expenseId } of deleted.expenses || []) {
+      if (included(propertyId) && PERIOD_KEY_REGEX.test(periodKey)) {
+        const [year, month] = periodKey.split('-').map(Number);
+        await remove('expenses', getCollection(this.db, 'expenses', propertyId, null, year, month).doc(expenseId));
+      }
+    }
+
+    for (const { propertyId, unitId, periodKey } of deleted.incomes || []) {
+      if (included(propertyId) && PERIOD_KEY_REGEX.test(periodKey)) {
+        const [year, month] = periodKey.split('-').map(Number);
+        await remove('incomes', getCollection(this.db, 'incomes', propertyId, unitId, year, month));
+      }
+    }
+  }
+
+  /**
+   * Escribe un documento según el modo de restauración
+   * @private
+   */
+  async _write(context, type, docRef, data) {
+    const { writer, results, mode } = context;
+
+    if (mode === 'overwrite') {
+      await writer.set(docRef, data);
+    } else {
+      await writer.set(docRef, data, { merge: true });
+    }
+
+    results[type].written++;
+  }
+
+  /**
+   * Registra un documento omitido con su motivo
+   * @private
+   */
+  _skip(results, type, path, reason, errors) {
+    results[type].skipped++;
+    results.skippedDetails.push({ type, path, reason, ...(errors ? { errors } : {}) });
+  }
+
+  /**
+   * Valida un documento contra el esquema de su entidad (modo restore: conserva los campos
+   * que el esquema no declara y acepta los que define el servidor)
+   * Devuelve los datos normalizados, o null si el documento se omitió por inválido
+   * @private
+   */
+  _validate(results, type, path, entity, data) {
+    const validation = validateEntity(entity, data, { mode: 'restore' });
+
+    if (!validation.valid) {
+      this._skip(results, type, path, validation.error, validation.errors);
+      return null;
+    }
+
+    return validation.value;
+  }
+
+  /**
+   * Convierte los Timestamps codificados ({ "$timestamp": "ISO" }) de vuelta a Timestamp
+   * @private
+   */
+  _reviveTimestamps(data) {
+    return decodeTimestamps(data, iso => admin.firestore.Timestamp.fromDate(new Date(iso)));
+  }
+
+  /**
+   * Crea la estructura inicial del reporte
+   * @private
+   */
+  _createResults(backupData, mode, dryRun) {
+    const counter = () => ({ written: 0, skipped: 0, deleted: 0 });
+
+    return {
+      properties: counter(),
+      units: counter(),
+      leases: counter(),
+      tenants: counter(),
+      propertyUnits: counter(),
+      expenses: counter(),
+      incomes: counter(),
+      propertiesReport: {},
+      skippedDetails: [],
+      summary: {
+        mode,
+        dryRun,
+        sourceVersion: backupData.version,
+        sourceType: this._isIncremental(backupData) ? 'incremental' : 'full',
+        sourceExportDate: backupData.exportDate || null,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Suma un contador de todos los tipos de documento
+   * @private
+   */
+  _sumResults(results, field) {
+    return DOCUMENT_TYPES.reduce((sum, type) => sum + results[type][field], 0);
+  }
+
+  /**
+   * @private
+   */
+  _isIncremental(backupData) {
+    return backupData.type === 'incremental';
+  }
+}
+
+module.exports = AlquileresRestoreService;
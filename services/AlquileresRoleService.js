@@ -0,0 +1,173 @@
+/**
+ * Servicio para administrar los roles de los usuarios
+ * Los roles se guardan como custom claims de Firebase Auth ({ role, propertyIds, unitIds })
+ * y se aplican cuando el usuario renueva su ID token (máximo 1 hora)
+ */
+const admin = require('../config/firebase');
+const { normalizeRoleClaims, resolveAccess } = require('../utils/roles');
+
+// Claims que administra este servicio (el resto de los custom claims se conserva)
+const ROLE_CLAIM_KEYS = ['role', 'propertyIds', 'unitIds'];
+
+class AlquileresRoleService {
+  constructor() {
+    this.auth = admin.auth();
+  }
+
+  /**
+   * Lista los usuarios que tienen un rol asignado
+   * @param {Object} options - Opciones
+   * @param {string} options.role - Filtrar por rol
+   * @returns {Promise<Object>} { success, users }
+   */
+  async listRoles(options = {}) {
+    try {
+      const users = [];
+      let pageToken;
+
+      do {
+        const result = await this.auth.listUsers(1000, pageToken);
+
+        result.users.forEach(user => {
+          const entry = this._toRoleEntry(user);
+          if (entry.role && (!options.role || entry.role === options.role)) {
+            users.push(entry);
+          }
+        });
+
+        pageToken = result.pageToken;
+      } while (pageToken);
+
+      return {
+        success: true,
+        count: users.length,
+        users
+      };
+
+    } catch (error) {
+      console.error('Error en listRoles:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene el rol de un usuario
+   * @param {string} uid - UID de Firebase
+   * @returns {Promise<Object>} { success, user } o { success: false, notFound }
+   */
+  async getRole(uid) {
+    try {
+      const user = await this.auth.getUser(uid);
+
+      return {
+        success: true,
+        user: this._toRoleEntry(user)
+      };
+
+    } catch (error) {
+      return this._handleError('getRole', error);
+    }
+  }
+
+  /**
+   * Asigna un rol a un usuario (reemplaza el rol anterior)
+   * @param {string} uid - UID de Firebase
+   * @param {Object} data - { role, propertyIds, unitIds }
+   * @returns {Promise<Object>} { success, user, before } o { success: false, invalid | notFound, error }
+   */
+  async setRole(uid, data) {
+    try {
+      const { claims, error } = normalizeRoleClaims(data);
+      if (error) {
+        return { success: false, invalid: true, error };
+      }
+
+      const user = await this.auth.getUser(uid);
+      const customClaims = { ...this._withoutRoleClaims(user.customClaims), ...claims };
+
+      await this.auth.setCustomUserClaims(uid, customClaims);
+
+      console.log(`Rol ${claims.role} asignado a ${uid}`);
+
+      return {
+        success: true,
+        user: this._toRoleEntry({ ...user, customClaims }),
+        before: this._toRoleEntry(user)
+      };
+
+    } catch (error) {
+      return this._handleError('setRole', error);
+    }
+  }
+
+  /**
+   * Quita el rol de un usuario
+   * @param {string} uid - UID de Firebase
+   * @returns {Promise<Object>} { success, user, before }
+   */
+  async removeRole(uid) {
+    try {
+      const user = await this.auth.getUser(uid);
+      const customClaims = this._withoutRoleClaims(user.customClaims);
+
+      await this.auth.setCustomUserClaims(uid, customClaims);
+
+      console.log(`Rol quitado a ${uid}`);
+
+      return {
+        success: true,
+        user: this._toRoleEntry({ ...user, customClaims }),
+        before: this._toRoleEntry(user)
+      };
+
+    } catch (error) {
+      return this._handleError('removeRole', error);
+    }
+  }
+
+  /**
+   * Custom claims sin los campos de rol
+   * @private
+   */
+  _withoutRoleClaims(customClaims = {}) {
+    const claims = { ...(customClaims || {}) };
+    ROLE_CLAIM_KEYS.forEach(key => delete claims[key]);
+    return claims;
+  }
+
+  /**
+   * Datos públicos del usuario y su rol
+   * @private
+   */
+  _toRoleEntry(user) {
+    const access = resolveAccess(user.uid, user.customClaims || {});
+
+    return {
+      uid: user.uid,
+      email: user.email || null,
+      displayName: user.displayName || null,
+      disabled: user.disabled === true,
+      role: access.role,
+      propertyIds: access.propertyIds,
+      unitIds: access.unitIds
+    };
+  }
+
+  /**
+   * Convierte los errores de Firebase Auth en resultados del servicio
+   * @private
+   */
+  _handleError(operation, error) {
+    if (error.code === 'auth/user-not-found') {
+      return { success: false, notFound: true, error: 'Usuario no encontrado' };
+    }
+
+    console.error(`Error en ${operation}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = AlquileresRoleService;
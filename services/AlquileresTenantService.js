@@ -0,0 +1,360 @@
+/**
+ * Servicio CRUD de los inquilinos
+ * Estructura: tenants/{tenantId}; el inquilino se vincula a las unidades con los contratos
+ * (leases/{leaseId}.tenantIds), por lo que su acceso por propiedad sale de sus contratos
+ */
+const admin = require('../config/firebase');
+const { validateEntity } = require('../utils/entitySchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { computeETag, updateIfMatch } = require('../utils/etag');
+const { findLeasesForPeriod, summarizeLease } = require('../utils/leases');
+const { matchesTenantSearch, isTenantAccessible } = require('../utils/tenants');
+const AlquileresIncomeService = require('./AlquileresIncomeService');
+
+const db = admin.firestore();
+
+// Filtros y orden de listTenants (ver utils/pagination)
+const TENANT_LIST = {
+  sortFields: ['name', 'documentNumber', 'createdAt', 'updatedAt'],
+  defaultSort: 'name',
+  filters: {
+    search: { match: matchesTenantSearch }
+  }
+};
+
+class AlquileresTenantService {
+  constructor() {
+    this.db = db;
+    this.incomeService = new AlquileresIncomeService();
+  }
+
+  /**
+   * Valida los datos de un inquilino contra el esquema de inquilino
+   * @param {Object} data - Body de la request
+   * @param {Object} options - Opciones
+   * @param {boolean} options.partial - Actualización: los campos requeridos son opcionales (default: false)
+   * @returns {Object} { valid, value, errors: [{ field, message }], error }
+   */
+  validateTenant(data, options = {}) {
+    return validateEntity('tenant', data, { partial: options.partial === true });
+  }
+
+  /**
+   * Lista los inquilinos
+   * @param {Object} listQuery - limit, cursor, sort y search (nombre o número de documento)
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.propertyIds - Limitar a los inquilinos con contratos en estas propiedades
+   *   y a los que todavía no tienen contratos (vacío = todos)
+   * @returns {Promise<Object>} { success, count, nextCursor, tenants } o { success: false, invalid, error }
+   */
+  async listTenants(listQuery = {}, options = {}) {
+    const { options: listOptions, error } = parseListQuery(listQuery, TENANT_LIST);
+    if (error) {
+      return { success: false, invalid: true, error };
+    }
+
+    try {
+      const snapshot = await this.db.collection('tenants').get();
+      let tenants = [];
+      snapshot.forEach(doc => tenants.push({ id: doc.id, ...doc.data() }));
+
+      const propertyIds = options.propertyIds || [];
+      if (propertyIds.length > 0) {
+        const leasesByTenant = new Map();
+        (await this._getLeases(this.db.collection('leases'))).forEach(lease => {
+          (lease.tenantIds || []).forEach(tenantId => {
+            if (!leasesByTenant.has(tenantId)) leasesByTenant.set(tenantId, []);
+            leasesByTenant.get(tenantId).push(lease);
+          });
+        });
+
+        tenants = tenants.filter(tenant => isTenantAccessible(leasesByTenant.get(tenant.id) || [], propertyIds));
+      }
+
+      const page = paginate(tenants, listOptions);
+
+      return {
+        success: true,
+        count: page.items.length,
+        nextCursor: page.nextCursor,
+        tenants: page.items
+      };
+
+    } catch (error) {
+      console.error('Error en listTenants:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtiene un inquilino
+   * @param {string} tenantId - ID del inquilino
+   * @returns {Promise<Object>} { success, tenant, etag } o { success: false, notFound, error }
+   */
+  async getTenant(tenantId) {
+    try {
+      const tenantDoc = await this.db.collection('tenants').doc(tenantId).get();
+
+      if (!tenantDoc.exists) {
+        return { success: false, notFound: true, error: 'Inquilino no encontrado' };
+      }
+
+      return {
+        success: true,
+        tenant: { id: tenantDoc.id, ...tenantDoc.data() },
+        etag: computeETag(tenantDoc.data())
+      };
+
+    } catch (error) {
+      console.error('Error en getTenant:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Contratos en los que figura un inquilino
+   * @param {string} tenantId - ID del inquilino
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTenantLeases(tenantId) {
+    return this._getLeases(this.db.collection('leases').where('tenantIds', 'array-contains', tenantId));
+  }
+
+  /**
+   * Crea un inquilino
+   * @param {Object} data - { name, documentNumber, phone, email, emergencyContact, notes }
+   * @returns {Promise<Object>} { success, tenant, path, after } o { success: false, invalid, error }
+   */
+  async createTenant(data) {
+    const validation = this.validateTenant(data);
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    try {
+      const tenantRef = await this.db.collection('tenants').add({
+        ...validation.value,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const created = await tenantRef.get();
+
+      return {
+        success: true,
+        path: tenantRef.path,
+        after: created.data(),
+        tenant: { id: created.id, ...created.data() }
+      };
+
+    } catch (error) {
+      console.error('Error en createTenant:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Actualiza los campos de un inquilino (solo los enviados)
+   * @param {string} tenantId - ID del inquilino
+   * @param {Object} data - Campos a actualizar
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - ETag que debe tener el inquilino (header If-Match)
+   * @returns {Promise<Object>} { success, tenant, path, before, after, etag }
+   *   o { success: false, invalid | notFound | preconditionFailed, error }
+   */
+  async updateTenant(tenantId, data, options = {}) {
+    const validation = this.validateTenant(data, { partial: true });
+    if (!validation.valid) {
+      return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+    }
+
+    try {
+      const tenantRef = this.db.collection('tenants').doc(tenantId);
+
+      const result = await updateIfMatch(this.db, tenantRef, options.ifMatch, () => ({
+        ...validation.value,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+
+      if (!result.success) {
+        return result.notFound
+          ? { success: false, notFound: true, error: 'Inquilino no encontrado' }
+          : result;
+      }
+
+      return {
+        success: true,
+        path: tenantRef.path,
+        before: result.before,
+        after: result.after,
+        etag: result.etag,
+        tenant: { id: tenantId, ...result.after }
+      };
+
+    } catch (error) {
+      console.error('Error en updateTenant:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Elimina un inquilino; no se permite si figura en algún contrato (el historial se conserva)
+   * @param {string} tenantId - ID del inquilino
+   * @returns {Promise<Object>} { success, path, before } o { success: false, notFound | conflict, error }
+   */
+  async deleteTenant(tenantId) {
+    try {
+      const tenantRef = this.db.collection('tenants').doc(tenantId);
+      const tenantDoc = await tenantRef.get();
+
+      if (!tenantDoc.exists) {
+        return { success: false, notFound: true, error: 'Inquilino no encontrado' };
+      }
+
+      const leases = await this.getTenantLeases(tenantId);
+      if (leases.length > 0) {
+        return {
+          success: false,
+          conflict: true,
+          error: `El inquilino figura en ${leases.length} contratos; quítalo de los contratos antes de eliminarlo`,
+          leases: leases.map(summarizeLease)
+        };
+      }
+
+      await tenantRef.delete();
+
+      return {
+        success: true,
+        path: tenantRef.path,
+        before: tenantDoc.data()
+      };
+
+    } catch (error) {
+      console.error('Error en deleteTenant:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Historial de un inquilino: cada contrato con su unidad y los pagos de los períodos del contrato
+   * Un período se asigna al último contrato vigente de la unidad en ese mes (el mismo criterio que
+   * el lease de los listados de incomes)
+   * @param {string} tenantId - ID del inquilino
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.propertyIds - Limitar a los contratos de estas propiedades (vacío = todos)
+   * @returns {Promise<Object>} { success, tenantId, leases: [{ ...lease, propertyId, unitId, unit, incomes, totals }], totals }
+   */
+  async getTenantHistory(tenantId, options = {}) {
+    try {
+      const propertyIds = options.propertyIds || [];
+      const leases = (await this.getTenantLeases(tenantId))
+        .filter(lease => propertyIds.length === 0 || propertyIds.includes(lease.propertyId))
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+      const unitCache = new Map();
+      const history = [];
+
+      for (const lease of leases) {
+        if (!unitCache.has(lease.unitId)) {
+          unitCache.set(lease.unitId, await this._getUnitHistory(lease.propertyId, lease.unitId));
+        }
+        const { unit, unitLeases, incomes } = unitCache.get(lease.unitId);
+
+        const leaseIncomes = incomes.filter(income => {
+          const periodLeases = findLeasesForPeriod(unitLeases, income.periodKey);
+          return periodLeases.length > 0 && periodLeases[periodLeases.length - 1].id === lease.id;
+        });
+
+        history.push({
+          ...summarizeLease(lease),
+          propertyId: lease.propertyId,
+          unitId: lease.unitId,
+          unit,
+          incomes: leaseIncomes,
+          totals: this._sumIncomes(leaseIncomes)
+        });
+      }
+
+      return {
+        success: true,
+        tenantId,
+        leases: history,
+        totals: this._sumIncomes(history.flatMap(lease => lease.incomes))
+      };
+
+    } catch (error) {
+      console.error('Error en getTenantHistory:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lee los contratos de una consulta
+   * @private
+   */
+  async _getLeases(query) {
+    const snapshot = await query.get();
+    const leases = [];
+
+    snapshot.forEach(doc => {
+      leases.push({ id: doc.id, ...doc.data() });
+    });
+
+    return leases;
+  }
+
+  /**
+   * Unidad, contratos e incomes de una unidad (la unidad puede haberse eliminado: unit null)
+   * @private
+   */
+  async _getUnitHistory(propertyId, unitId) {
+    const unitDoc = await this.db.collection('units').doc(unitId).get();
+    const unitLeases = await this._getLeases(this.db.collection('leases').where('unitId', '==', unitId));
+    const result = await this.incomeService.listIncomes(propertyId, unitId);
+
+    return {
+      unit: unitDoc.exists
+        ? { id: unitDoc.id, name: unitDoc.data().name, archived: unitDoc.data().archived === true }
+        : null,
+      unitLeases,
+      incomes: result.success ? result.incomes : []
+    };
+  }
+
+  /**
+   * Totales de un conjunto de incomes
+   * @private
+   */
+  _sumIncomes(incomes) {
+    const amount = incomes.reduce((sum, income) => sum + income.amount, 0);
+    const paidAmount = incomes.reduce((sum, income) => sum + income.paidAmount, 0);
+
+    return {
+      periods: incomes.length,
+      paidPeriods: incomes.filter(income => income.paid).length,
+      amount,
+      paidAmount,
+      pendingAmount: amount - paidAmount
+    };
+  }
+}
+
+module.exports = AlquileresTenantService;
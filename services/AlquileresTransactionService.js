@@ -0,0 +1,287 @@
+/**
+ * Servicio de transacciones: vista unificada de expenses e incomes de un período
+ * No tiene colección propia, lee y escribe la estructura real:
+ * - expense: properties/{propertyId}/expenses/{year-month}/items/{expenseId}
+ * - income: items de properties/{propertyId}/units/{unitId}/incomes/{year-month} (un documento por unidad y período)
+ */
+const admin = require('../config/firebase');
+const {
+  parsePeriod,
+  getCollection,
+  getPropertyUnits,
+  getExpenses,
+  getIncomes
+} = require('../utils/hierarchicalPath');
+const { isLegacyIncome, isPaid } = require('../utils/incomeItems');
+const { formatErrors } = require('../utils/entitySchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const AlquileresExpenseService = require('./AlquileresExpenseService');
+const AlquileresIncomeService = require('./AlquileresIncomeService');
+
+const db = admin.firestore();
+
+const TRANSACTION_TYPES = ['income', 'expense'];
+
+// Filtros y orden de listTransactions, además de propertyIds, unitIds y type (ver utils/pagination)
+const TRANSACTION_LIST = {
+  sortFields: ['propertyId', 'type', 'amount', 'description', 'category', 'unitId'],
+  defaultSort: 'propertyId',
+  filters: {
+    category: { type: 'string' },
+    // Los documentos anteriores indican el pago con isPaid, status o la fecha de pago
+    paid: { values: ['true', 'false'], match: (transaction, paid) => isPaid(transaction) === (paid === 'true') }
+  }
+};
+
+// Campos que define el servidor (no se aceptan en el body)
+const RESERVED_FIELDS = ['id', 'path', 'period', 'year', 'month', 'createdAt', 'updatedAt'];
+
+class AlquileresTransactionService {
+  constructor() {
+    this.db = db;
+    this.expenseService = new AlquileresExpenseService();
+    this.incomeService = new AlquileresIncomeService();
+  }
+
+  /**
+   * Lista las transacciones de un período
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} filters - Filtros
+   * @param {Array<string>} filters.propertyIds - Propiedades (vacío = todas las no archivadas)
+   * @param {Array<string>} filters.unitIds - Unidades (los expenses se incluyen solo si tienen ese unitId)
+   * @param {string} filters.type - 'income' | 'expense' (opcional)
+   * @param {Object} listQuery - limit, cursor, sort y filtros (category, paid)
+   * @returns {Promise<Object>} { success, period, count, totals, nextCursor, transactions } o { success: false, invalid, error }
+   *   totals suma las transacciones de todas las páginas que cumplen los filtros
+   */
+  async listTransactions(year, month, filters = {}, listQuery = {}) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    const { options, error } = parseListQuery(listQuery, TRANSACTION_LIST);
+    if (error) {
+      return { success: false, invalid: true, error };
+    }
+
+    const propertyIds = filters.propertyIds || [];
+    const unitIds = filters.unitIds || [];
+    const type = filters.type || null;
+
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+      return { success: false, invalid: true, error: `type debe ser uno de: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+
+    try {
+      const unitMatches = unitId => unitIds.length === 0 || unitIds.includes(unitId);
+      const properties = await this._getPropertyIds(propertyIds);
+      const transactions = [];
+
+      for (const propertyId of properties) {
+        if (type !== 'income') {
+          const expenses = await getExpenses(this.db, propertyId, period.year, period.month);
+
+          expenses
+            .filter(expense => unitMatches(expense.unitId))
+            .forEach(expense => {
+              const path = getCollection(this.db, 'expenses', propertyId, null, period.year, period.month).doc(expense.id).path;
+              transactions.push(this.normalize('expense', propertyId, expense.unitId || null, period.periodKey, path, expense));
+            });
+        }
+
+        if (type !== 'expense') {
+          const units = (await getPropertyUnits(this.db, propertyId)).filter(unit => unitMatches(unit.id));
+
+          for (const unit of units) {
+            const income = await getIncomes(this.db, propertyId, unit.id, period.year, period.month);
+            if (!income) continue;
+
+            // Una transacción por item (los documentos anteriores a los items son una sola)
+            const path = getCollection(this.db, 'incomes', propertyId, unit.id, period.year, period.month).path;
+            const records = isLegacyIncome(income) ? [income] : income.items;
+
+            records.forEach(record => {
+              transactions.push(this.normalize('income', propertyId, unit.id, period.periodKey, path, record));
+            });
+          }
+        }
+      }
+
+      // Los items de un mismo income comparten path: la clave del cursor es path + id
+      const page = paginate(transactions, options, transaction => `${transaction.path}#${transaction.id}`);
+
+      const sumOf = transactionType => page.filtered
+        .filter(transaction => transaction.type === transactionType)
+        .reduce((sum, transaction) => sum + (transaction.amount || 0), 0);
+
+      const totals = { income: sumOf('income'), expense: sumOf('expense') };
+      totals.net = totals.income - totals.expense;
+
+      return {
+        success: true,
+        period: period.periodKey,
+        count: page.items.length,
+        totals,
+        nextCursor: page.nextCursor,
+        transactions: page.items
+      };
+
+    } catch (error) {
+      console.error('Error en listTransactions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Valida los datos de una transacción nueva
+   * Los campos de un expense o de un item de income los validan AlquileresExpenseService y
+   * AlquileresIncomeService al crearlos
+   * @param {Object} data - Body de la request
+   * @returns {Array<Object>} Errores { field, message } (vacío si es válido)
+   */
+  validateTransaction(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return [{ field: '', message: 'se espera un objeto' }];
+    }
+
+    const errors = [];
+
+    if (!TRANSACTION_TYPES.includes(data.type)) {
+      errors.push({ field: 'type', message: `debe ser uno de: ${TRANSACTION_TYPES.join(', ')}` });
+    }
+
+    if (!data.propertyId || typeof data.propertyId !== 'string') {
+      errors.push({ field: 'propertyId', message: 'es requerido' });
+    }
+
+    Object.keys(data)
+      .filter(field => RESERVED_FIELDS.includes(field))
+      .forEach(field => errors.push({ field, message: 'lo define el servidor' }));
+
+    if (data.type === 'income' && (!data.unitId || typeof data.unitId !== 'string')) {
+      errors.push({ field: 'unitId', message: 'es requerido para incomes' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Crea una transacción en el período
+   * - expense: nuevo item en expenses/{year-month}/items
+   * - income: nuevo item en el documento incomes/{year-month} de la unidad (lo crea si no existe)
+   * @param {number|string} year - Año
+   * @param {number|string} month - Mes (1-12)
+   * @param {Object} data - { type, propertyId, unitId, amount, description, ...otros campos }
+   *   (un income requiere unitId y category)
+   * @returns {Promise<Object>} { success, transaction, path, before, after }
+   *   o { success: false, invalid | notFound, error }
+   */
+  async createTransaction(year, month, data) {
+    const period = parsePeriod(year, month);
+    if (period.error) {
+      return { success: false, invalid: true, error: period.error };
+    }
+
+    const errors = this.validateTransaction(data);
+    if (errors.length > 0) {
+      return { success: false, invalid: true, error: formatErrors(errors), errors };
+    }
+
+    try {
+      const { type, propertyId, unitId, ...fields } = data;
+
+      if (type === 'expense') {
+        const result = await this.expenseService.createExpense(propertyId, year, month, {
+          ...fields,
+          ...(unitId ? { unitId } : {})
+        });
+
+        if (!result.success) {
+          return result;
+        }
+
+        return {
+          success: true,
+          path: result.path,
+          after: result.after,
+          transaction: this.normalize(type, propertyId, unitId || null, period.periodKey, result.path, result.expense)
+        };
+      }
+
+      const propertyDoc = await this.db.collection('properties').doc(propertyId).get();
+      if (!propertyDoc.exists) {
+        return { success: false, notFound: true, error: 'Propiedad no encontrada' };
+      }
+
+      const result = await this.incomeService.addItem(propertyId, unitId, year, month, fields);
+
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        path: result.path,
+        before: result.before,
+        after: result.after,
+        transaction: this.normalize(type, propertyId, unitId, period.periodKey, result.path, result.item)
+      };
+
+    } catch (error) {
+      console.error('Error en createTransaction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Convierte un expense o income en una transacción normalizada
+   * Los campos comunes (type, propertyId, unitId, period, amount, description, path) tienen prioridad
+   * sobre los del documento; el resto de los campos se conserva
+   * @param {string} type - 'income' | 'expense'
+   * @param {string} propertyId - ID de la propiedad
+   * @param {string} unitId - ID de la unidad (null si el expense no tiene)
+   * @param {string} periodKey - Período YYYY-MM
+   * @param {string} path - Ruta del documento
+   * @param {Object} doc - Datos del documento (con id)
+   * @returns {Object} Transacción
+   */
+  normalize(type, propertyId, unitId, periodKey, path, doc) {
+    const amount = Number(doc.amount);
+
+    return {
+      ...doc,
+      type,
+      propertyId,
+      unitId,
+      period: periodKey,
+      amount: Number.isFinite(amount) ? amount : null,
+      description: doc.description || null,
+      path
+    };
+  }
+
+  /**
+   * IDs de las propiedades a incluir (todas las no archivadas si no se indican)
+   * @private
+   */
+  async _getPropertyIds(propertyIds) {
+    if (propertyIds.length > 0) {
+      return propertyIds;
+    }
+
+    const snapshot = await this.db.collection('properties').get();
+    return snapshot.docs
+      .filter(doc => doc.data().archived !== true)
+      .map(doc => doc.id);
+  }
+}
+
+module.exports = AlquileresTransactionService;
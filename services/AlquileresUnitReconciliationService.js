@@ -0,0 +1,204 @@
+/**
+ * Servicio para reconciliar las dos ubicaciones históricas de las unidades
+ * - units/{unitId}: ubicación canónica (API de units, backup, export)
+ * - properties/{propertyId}/units/{unitId}: documento legado; solo debe contener la subcolección incomes
+ *
+ * analyze detecta unidades presentes en un solo lugar, con campos distintos o asignadas a otra propiedad.
+ * migrate copia los documentos legados a units (combinando campos) y los elimina de la propiedad;
+ * los incomes no se mueven.
+ */
+const admin = require('../config/firebase');
+const { createBatchWriter } = require('../utils/batchWriter');
+const {
+  UNIT_PREFERENCES,
+  compareUnitData,
+  mergeUnitData,
+  buildReconciliationReport
+} = require('../utils/unitRecords');
+
+const db = admin.firestore();
+
+class AlquileresUnitReconciliationService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Analiza el estado de las unidades en las dos ubicaciones
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.propertyIds - Analizar solo estas propiedades (opcional)
+   * @returns {Promise<Object>} { success, inSync, summary, onlyInProperty, diverging, propertyMismatch,
+   *   duplicated, orphanedIncomes, missingProperty, onlyInUnits }
+   */
+  async analyze(options = {}) {
+    try {
+      const state = await this._loadState(options.propertyIds || []);
+      const report = buildReconciliationReport(state);
+
+      return {
+        success: true,
+        ...report
+      };
+
+    } catch (error) {
+      console.error('Error en analyze de unidades:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Migra los documentos legados de properties/{propertyId}/units a units
+   * Las unidades con conflictos (otra propiedad o duplicadas) no se migran y se informan en skipped
+   * @param {Object} options - Opciones
+   * @param {boolean} options.dryRun - Solo simular (default: false)
+   * @param {string} options.prefer - Versión que gana en los campos que difieren: 'units' (default) | 'property'
+   * @param {Array<string>} options.propertyIds - Migrar solo estas propiedades (opcional)
+   * @returns {Promise<Object>} { success, dryRun, prefer, migrated, skipped, stats, changes }
+   *   o { success: false, invalid, error }
+   */
+  async migrate(options = {}) {
+    const prefer = options.prefer || 'units';
+    const dryRun = options.dryRun || false;
+
+    if (!UNIT_PREFERENCES.includes(prefer)) {
+      return { success: false, invalid: true, error: `prefer debe ser uno de: ${UNIT_PREFERENCES.join(', ')}` };
+    }
+
+    try {
+      const state = await this._loadState(options.propertyIds || []);
+      const report = buildReconciliationReport(state);
+      const conflicted = new Set([
+        ...report.propertyMismatch.map(item => item.unitId),
+        ...report.duplicated.map(item => item.unitId)
+      ]);
+
+      const writer = createBatchWriter(this.db, { dryRun });
+      const migrated = [];
+      const skipped = [];
+      const changes = [];
+
+      for (const legacy of state.legacyUnits) {
+        const { unitId, propertyId, ref, data } = legacy;
+
+        if (conflicted.has(unitId)) {
+          skipped.push({ unitId, propertyId, reason: 'Conflicto: resolver manualmente (ver propertyMismatch / duplicated)' });
+          continue;
+        }
+
+        const canonical = state.canonicalUnits.get(unitId);
+
+        const canonicalRef = this.db.collection('units').doc(unitId);
+        const differences = canonical ? compareUnitData(canonical.data, data) : [];
+        const merged = mergeUnitData(canonical ? canonical.data : null, data, propertyId, prefer);
+
+        // Solo se escribe units/{unitId} si cambia algo (unidad nueva, campos que faltan o que difieren)
+        const needsWrite = !canonical ||
+          Object.keys(merged).some(field => !(field in canonical.data)) ||
+          (prefer === 'property' && differences.length > 0);
+
+        if (needsWrite) {
+          await writer.set(canonicalRef, {
+            ...merged,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          changes.push({
+            action: canonical ? 'update' : 'create',
+            path: canonicalRef.path,
+            before: canonical ? canonical.data : null,
+            after: merged
+          });
+        }
+
+        // El documento legado se elimina; la subcolección incomes no se toca
+        await writer.delete(ref);
+        changes.push({ action: 'delete', path: ref.path, before: data });
+
+        migrated.push({
+          unitId,
+          propertyId,
+          result: !canonical ? 'created' : (needsWrite ? 'merged' : 'unchanged'),
+          differences
+        });
+      }
+
+      await writer.flush();
+
+      console.log(`Reconciliación de unidades${dryRun ? ' (dry-run)' : ''}: ${migrated.length} migradas, ${skipped.length} con conflictos`);
+
+      return {
+        success: true,
+        dryRun,
+        prefer,
+        migrated,
+        skipped,
+        stats: {
+          created: migrated.filter(item => item.result === 'created').length,
+          merged: migrated.filter(item => item.result === 'merged').length,
+          unchanged: migrated.filter(item => item.result === 'unchanged').length,
+          skipped: skipped.length,
+          writes: writer.stats
+        },
+        changes: dryRun ? [] : changes
+      };
+
+    } catch (error) {
+      console.error('Error en migrate de unidades:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Lee las unidades de las dos ubicaciones
+   * @private
+   */
+  async _loadState(propertyIds) {
+    const filter = propertyIds.length > 0 ? new Set(propertyIds) : null;
+
+    // Se listan también las propiedades sin documento (pueden tener units con incomes)
+    const propertyRefs = (await this.db.collection('properties').listDocuments())
+      .filter(ref => !filter || filter.has(ref.id));
+
+    const existingProperties = new Set();
+    const legacyUnits = [];
+    const incomeOnlyUnits = [];
+
+    for (const propertyRef of propertyRefs) {
+      const propertyDoc = await propertyRef.get();
+      if (propertyDoc.exists) {
+        existingProperties.add(propertyRef.id);
+      }
+
+      const unitRefs = await propertyRef.collection('units').listDocuments();
+      for (const unitRef of unitRefs) {
+        const unitDoc = await unitRef.get();
+
+        if (unitDoc.exists) {
+          legacyUnits.push({ unitId: unitRef.id, propertyId: propertyRef.id, ref: unitRef, data: unitDoc.data() });
+        } else {
+          // Sin documento: solo es el contenedor de la subcolección incomes
+          incomeOnlyUnits.push({ unitId: unitRef.id, propertyId: propertyRef.id });
+        }
+      }
+    }
+
+    // Se leen todas las unidades canónicas aunque haya filtro: un ID legado puede existir en units
+    // con una propiedad fuera del filtro (conflicto que no se debe sobrescribir)
+    const canonicalUnits = new Map();
+    const unitsSnapshot = await this.db.collection('units').get();
+
+    unitsSnapshot.forEach(doc => {
+      const data = doc.data();
+      canonicalUnits.set(doc.id, { unitId: doc.id, propertyId: data.propertyId || null, data });
+    });
+
+    return { legacyUnits, incomeOnlyUnits, canonicalUnits, existingProperties, propertyIds };
+  }
+}
+
+module.exports = AlquileresUnitReconciliationService;
@@ -0,0 +1,285 @@
+/**
+ * Servicio para leer, actualizar, archivar y eliminar unidades
+ * La unidad vive en la colección units (ubicación canónica, con su propertyId) y sus incomes en
+ * properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM}
+ * - archive: marca la unidad como archived y conserva sus incomes
+ * - hard: elimina la unidad; solo se permite si no tiene incomes ni contratos (el historial se conserva)
+ */
+const admin = require('../config/firebase');
+const { validateEntity, formatErrors } = require('../utils/entitySchemas');
+const { computeETag, updateIfMatch } = require('../utils/etag');
+
+const db = admin.firestore();
+
+const DELETE_MODES = ['archive', 'hard'];
+
+class AlquileresUnitService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Obtiene una unidad
+   * @param {string} unitId - ID de la unidad
+   * @returns {Promise<Object>} { success, unit, etag } o { success: false, notFound, error }
+   */
+  async getUnit(unitId) {
+    try {
+      const unitDoc = await this.db.collection('units').doc(unitId).get();
+
+      if (!unitDoc.exists) {
+        return { success: false, notFound: true, error: 'Unidad no encontrada' };
+      }
+
+      return {
+        success: true,
+        unit: { id: unitDoc.id, ...unitDoc.data() },
+        etag: computeETag(unitDoc.data())
+      };
+
+    } catch (error) {
+      console.error('Error en getUnit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Valida los datos de actualización de una unidad contra el esquema de unidad
+   * @param {Object} data - Campos a actualizar
+   * @returns {Object} { valid, value, errors: [{ field, message }], error }
+   */
+  validateUpdate(data) {
+    const validation = validateEntity('unit', data, { partial: true });
+
+    if (data && typeof data === 'object' && 'propertyId' in data) {
+      validation.errors.push({ field: 'propertyId', message: 'no se puede modificar' });
+      validation.valid = false;
+      validation.error = formatErrors(validation.errors);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Actualiza los campos de una unidad
+   * @param {string} unitId - ID de la unidad
+   * @param {Object} data - Campos a actualizar (no incluye propertyId: los incomes dependen de él)
+   * @param {Object} options - Opciones
+   * @param {string} options.ifMatch - ETag que debe tener la unidad (header If-Match)
+   * @returns {Promise<Object>} { success, before, after, etag } o { success: false, invalid | notFound | preconditionFailed, error }
+   */
+  async updateUnit(unitId, data, options = {}) {
+    try {
+      const validation = this.validateUpdate(data);
+      if (!validation.valid) {
+        return { success: false, invalid: true, error: validation.error, errors: validation.errors };
+      }
+
+      const unitRef = this.db.collection('units').doc(unitId);
+
+      const result = await updateIfMatch(this.db, unitRef, options.ifMatch, () => ({
+        ...validation.value,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+
+      if (!result.success) {
+        return result.notFound
+          ? { success: false, notFound: true, error: 'Unidad no encontrada' }
+          : result;
+      }
+
+      return {
+        success: true,
+        path: unitRef.path,
+        before: result.before,
+        after: result.after,
+        etag: result.etag
+      };
+
+    } catch (error) {
+      console.error('Error en updateUnit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cuenta los documentos de una unidad (documento, incomes y contratos)
+   * @param {Object} unit - Unidad ({ id, propertyId })
+   * @returns {Promise<Object>} counts
+   */
+  async getDeletionPreview(unit) {
+    const counts = { unit: 1, incomes: 0, leases: 0 };
+
+    if (unit.propertyId) {
+      const incomesSnapshot = await this._incomesRef(unit).count().get();
+      counts.incomes = incomesSnapshot.data().count;
+    }
+
+    const leasesSnapshot = await this.db.collection('leases').where('unitId', '==', unit.id).count().get();
+    counts.leases = leasesSnapshot.data().count;
+
+    return counts;
+  }
+
+  /**
+   * Archiva o elimina una unidad
+   * @param {string} unitId - ID de la unidad
+   * @param {Object} options - Opciones
+   * @param {string} options.mode - 'archive' (default) | 'hard'
+   * @param {boolean} options.dryRun - Solo devolver los documentos afectados (default: false)
+   * @param {string} options.actorId - Quién realiza la operación (se guarda en archivedBy)
+   * @returns {Promise<Object>} { success, mode, dryRun, counts, changes } o { success: false, invalid | notFound | conflict, error }
+   */
+  async removeUnit(unitId, options = {}) {
+    const mode = options.mode || 'archive';
+
+    if (!DELETE_MODES.includes(mode)) {
+      return { success: false, invalid: true, error: `mode debe ser uno de: ${DELETE_MODES.join(', ')}` };
+    }
+
+    try {
+      const found = await this.getUnit(unitId);
+      if (!found.success) {
+        return found;
+      }
+
+      const unit = found.unit;
+      const counts = await this.getDeletionPreview(unit);
+
+      if (mode === 'archive' && unit.archived === true) {
+        return { success: false, invalid: true, error: 'La unidad ya está archivada' };
+      }
+
+      // El historial de incomes solo se elimina junto con la propiedad (DELETE de la propiedad en modo hard)
+      if (mode === 'hard' && counts.incomes > 0) {
+        return {
+          success: false,
+          conflict: true,
+          error: `La unidad tiene ${counts.incomes} incomes registrados; archívala (mode=archive) para conservar el historial`,
+          counts
+        };
+      }
+
+      if (mode === 'hard' && counts.leases > 0) {
+        return {
+          success: false,
+          conflict: true,
+          error: `La unidad tiene ${counts.leases} contratos; elimínalos o archiva la unidad (mode=archive)`,
+          counts
+        };
+      }
+
+      const result = {
+        success: true,
+        unitId,
+        propertyId: unit.propertyId || null,
+        mode,
+        dryRun: options.dryRun || false,
+        counts,
+        changes: []
+      };
+
+      if (result.dryRun) {
+        return result;
+      }
+
+      result.changes = mode === 'archive'
+        ? await this._setArchived(unit, true, options.actorId)
+        : await this._deleteUnit(unit);
+
+      console.log(`Unidad ${unitId} ${mode === 'archive' ? 'archivada' : 'eliminada'}`);
+
+      return result;
+
+    } catch (error) {
+      console.error('Error en removeUnit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Restaura una unidad archivada
+   * @param {string} unitId - ID de la unidad
+   * @returns {Promise<Object>} { success, changes } o { success: false, invalid | notFound, error }
+   */
+  async unarchiveUnit(unitId) {
+    try {
+      const found = await this.getUnit(unitId);
+      if (!found.success) {
+        return found;
+      }
+
+      if (found.unit.archived !== true) {
+        return { success: false, invalid: true, error: 'La unidad no está archivada' };
+      }
+
+      const changes = await this._setArchived(found.unit, false);
+
+      console.log(`Unidad ${unitId} restaurada del archivo`);
+
+      return {
+        success: true,
+        unitId,
+        changes
+      };
+
+    } catch (error) {
+      console.error('Error en unarchiveUnit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Referencia a la subcolección incomes de la unidad (properties/{propertyId}/units/{unitId}/incomes)
+   * @private
+   */
+  _incomesRef(unit) {
+    return this.db.collection('properties').doc(unit.propertyId).collection('units').doc(unit.id).collection('incomes');
+  }
+
+  /**
+   * Marca o desmarca como archivada la unidad
+   * @private
+   */
+  async _setArchived(unit, archived, actorId = null) {
+    const FieldValue = admin.firestore.FieldValue;
+    const unitRef = this.db.collection('units').doc(unit.id);
+
+    const data = archived
+      ? { archived: true, archivedAt: new Date().toISOString(), archivedBy: actorId, updatedAt: FieldValue.serverTimestamp() }
+      : { archived: FieldValue.delete(), archivedAt: FieldValue.delete(), archivedBy: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() };
+
+    const before = (await unitRef.get()).data();
+    await unitRef.update(data);
+    const after = (await unitRef.get()).data();
+
+    return [{ action: 'update', path: unitRef.path, before, after }];
+  }
+
+  /**
+   * Elimina la unidad (solo se llama si no tiene incomes)
+   * @private
+   */
+  async _deleteUnit(unit) {
+    const unitRef = this.db.collection('units').doc(unit.id);
+    const before = (await unitRef.get()).data();
+
+    await unitRef.delete();
+
+    return [{ action: 'delete', path: unitRef.path, before }];
+  }
+}
+
+module.exports = AlquileresUnitService;
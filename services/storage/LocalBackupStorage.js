@@ -0,0 +1,149 @@
+/**
+ * Adaptador de almacenamiento de backups en un directorio local
+ * Cada backup se guarda como {id}.json junto a un archivo {id}.meta.json con su metadata
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ID_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+class LocalBackupStorage {
+  /**
+   * @param {Object} options - Opciones del adaptador
+   * @param {string} options.directory - Directorio donde se guardan los backups
+   */
+  constructor(options = {}) {
+    this.type = 'local';
+    this.directory = path.resolve(options.directory || 'backups');
+  }
+
+  /**
+   * Guarda un backup y su metadata
+   * @param {string} id - Identificador del backup (solo letras, números, - y _)
+   * @param {string|Buffer} content - Contenido del backup
+   * @param {Object} metadata - Metadata a guardar junto al backup
+   * @returns {Promise<Object>} Metadata guardada (incluye size)
+   */
+  async save(id, content, metadata = {}) {
+    const { dataPath, metaPath } = this._paths(id);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const fullMetadata = {
+      ...metadata,
+      id,
+      size: Buffer.byteLength(content),
+      storage: this.type
+    };
+
+    // Escribir primero a un temporal para no dejar backups truncados
+    await fs.promises.writeFile(`${dataPath}.tmp`, content);
+    await fs.promises.rename(`${dataPath}.tmp`, dataPath);
+    await fs.promises.writeFile(metaPath, JSON.stringify(fullMetadata, null, 2));
+
+    return fullMetadata;
+  }
+
+  /**
+   * Lista la metadata de todos los backups guardados
+   * @returns {Promise<Array>} Metadata de cada backup
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files.filter(name => name.endsWith('.meta.json'))) {
+      try {
+        const content = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+        backups.push(JSON.parse(content));
+      } catch (error) {
+        console.warn(`Metadata de backup ilegible (${file}):`, error.message);
+      }
+    }
+
+    return backups;
+  }
+
+  /**
+   * Obtiene la metadata de un backup
+   * @param {string} id - Identificador del backup
+   * @returns {Promise<Object|null>} Metadata o null si no existe
+   */
+  async getMetadata(id) {
+    const { metaPath } = this._paths(id);
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Lee el contenido completo de un backup
+   * @param {string} id - Identificador del backup
+   * @returns {Promise<Buffer|null>} Contenido o null si no existe
+   */
+  async read(id) {
+    const { dataPath } = this._paths(id);
+    try {
+      return await fs.promises.readFile(dataPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Abre un stream de lectura del backup (para descargas sin cargarlo en memoria)
+   * @param {string} id - Identificador del backup
+   * @returns {ReadStream}
+   */
+  createReadStream(id) {
+    const { dataPath } = this._paths(id);
+    return fs.createReadStream(dataPath);
+  }
+
+  /**
+   * Elimina un backup y su metadata
+   * @param {string} id - Identificador del backup
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(id) {
+    const { dataPath, metaPath } = this._paths(id);
+    let existed = false;
+
+    for (const filePath of [dataPath, metaPath]) {
+      try {
+        await fs.promises.unlink(filePath);
+        existed = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return existed;
+  }
+
+  /**
+   * Construye las rutas de un backup validando el id (evita path traversal)
+   * @private
+   */
+  _paths(id) {
+    if (!ID_REGEX.test(id || '')) {
+      throw new Error(`ID de backup inválido: ${id}`);
+    }
+
+    return {
+      dataPath: path.join(this.directory, `${id}.json`),
+      metaPath: path.join(this.directory, `${id}.meta.json`)
+    };
+  }
+}
+
+module.exports = LocalBackupStorage;
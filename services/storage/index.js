@@ -0,0 +1,34 @@
+/**
+ * Fábrica de adaptadores de almacenamiento de backups
+ * El adaptador se elige con BACKUP_STORAGE_TYPE (por ahora solo 'local')
+ *
+ * Todo adaptador debe implementar:
+ *   save(id, content, metadata), list(), getMetadata(id), read(id),
+ *   createReadStream(id) y delete(id)
+ */
+const LocalBackupStorage = require('./LocalBackupStorage');
+
+const adapters = {
+  local: () => new LocalBackupStorage({
+    directory: process.env.BACKUP_STORAGE_DIR || 'backups'
+  })
+};
+
+/**
+ * Crea el adaptador configurado
+ * @param {string} type - Tipo de adaptador (default: BACKUP_STORAGE_TYPE o 'local')
+ * @returns {Object} Adaptador de almacenamiento
+ */
+function createBackupStorage(type = process.env.BACKUP_STORAGE_TYPE || 'local') {
+  const factory = adapters[type];
+
+  if (!factory) {
+    throw new Error(`Tipo de almacenamiento de backups no soportado: ${type} (soportados: ${Object.keys(adapters).join(', ')})`);
+  }
+
+  return factory();
+}
+
+module.exports = {
+  createBackupStorage
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReconciliationReport } = require('../utils/unitRecords');
+
+// Estado mínimo: p1 y p2 existen; units/u1 pertenece a p1
+function buildState(overrides = {}) {
+  return {
+    legacyUnits: [],
+    incomeOnlyUnits: [],
+    canonicalUnits: new Map([
+      ['u1', { unitId: 'u1', propertyId: 'p1', data: { name: 'A', propertyId: 'p1' } }]
+    ]),
+    existingProperties: new Set(['p1', 'p2']),
+    propertyIds: [],
+    ...overrides
+  };
+}
+
+test('una unidad legada con el ID de una unidad de otra propiedad es propertyMismatch aunque esa propiedad quede fuera del filtro', () => {
+  const report = buildReconciliationReport(buildState({
+    legacyUnits: [{ unitId: 'u1', propertyId: 'p2', data: { name: 'B' } }],
+    existingProperties: new Set(['p2']),
+    propertyIds: ['p2']
+  }));
+
+  assert.deepStrictEqual(report.onlyInProperty, []);
+  assert.deepStrictEqual(report.propertyMismatch, [{ unitId: 'u1', unitsPropertyId: 'p1', propertyId: 'p2' }]);
+  assert.strictEqual(report.inSync, false);
+});
+
+test('con filtro solo se informan las unidades canónicas de las propiedades pedidas', () => {
+  const report = buildReconciliationReport(buildState({
+    existingProperties: new Set(['p2']),
+    propertyIds: ['p2']
+  }));
+
+  assert.strictEqual(report.summary.units, 0);
+  assert.deepStrictEqual(report.onlyInUnits, []);
+  assert.deepStrictEqual(report.missingProperty, []);
+  assert.strictEqual(report.inSync, true);
+});
+
+test('una unidad legada sin versión canónica es onlyInProperty', () => {
+  const report = buildReconciliationReport(buildState({
+    legacyUnits: [{ unitId: 'u2', propertyId: 'p2', data: { name: 'B' } }]
+  }));
+
+  assert.deepStrictEqual(report.onlyInProperty, [{ unitId: 'u2', propertyId: 'p2' }]);
+  assert.deepStrictEqual(report.propertyMismatch, []);
+});
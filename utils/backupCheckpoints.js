@@ -0,0 +1,125 @@
+/**
+ * Utilidades para guardar y leer checkpoints de backup en Firestore
+ * Un checkpoint registra la fecha de un export y el inventario de rutas de documentos
+ * que existían en ese momento, para que un backup incremental pueda detectar eliminaciones
+ * Estructura: backupCheckpoints/{checkpointId}/inventory/{chunk}
+ */
+
+const CHECKPOINTS_COLLECTION = 'backupCheckpoints';
+const INVENTORY_CHUNK_SIZE = 2000; // Mantiene cada documento lejos del límite de 1MB
+
+/**
+ * Guarda un checkpoint con su inventario dividido en chunks
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {Object} checkpoint - Datos del checkpoint
+ * @param {string} checkpoint.exportDate - Fecha ISO del export
+ * @param {string} checkpoint.type - 'full' | 'incremental'
+ * @param {string} checkpoint.baseCheckpointId - Checkpoint base (solo incrementales)
+ * @param {Array<string>} checkpoint.inventory - Rutas de todos los documentos existentes
+ * @returns {Promise<string>} - ID del checkpoint creado
+ */
+async function saveCheckpoint(db, checkpoint) {
+  const { inventory = [], ...metadata } = checkpoint;
+  const checkpointRef = db.collection(CHECKPOINTS_COLLECTION).doc();
+  const chunks = Math.ceil(inventory.length / INVENTORY_CHUNK_SIZE);
+
+  const batch = db.batch();
+  batch.set(checkpointRef, {
+    ...metadata,
+    baseCheckpointId: metadata.baseCheckpointId || null,
+    documentCount: inventory.length,
+    chunks,
+    createdAt: new Date().toISOString()
+  });
+
+  for (let i = 0; i < chunks; i++) {
+    const paths = inventory.slice(i * INVENTORY_CHUNK_SIZE, (i + 1) * INVENTORY_CHUNK_SIZE);
+    batch.set(checkpointRef.collection('inventory').doc(i.toString().padStart(4, '0')), { paths });
+  }
+
+  await batch.commit();
+  return checkpointRef.id;
+}
+
+/**
+ * Obtiene un checkpoint por ID, con su inventario completo
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {string} checkpointId - ID del checkpoint
+ * @returns {Promise<Object|null>} - Checkpoint con inventory o null si no existe
+ */
+async function getCheckpoint(db, checkpointId) {
+  const checkpointRef = db.collection(CHECKPOINTS_COLLECTION).doc(checkpointId);
+  const doc = await checkpointRef.get();
+
+  if (!doc.exists) {
+    return null;
+  }
+
+  const chunksSnapshot = await checkpointRef.collection('inventory').get();
+  const inventory = [];
+
+  chunksSnapshot.docs
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach(chunk => inventory.push(...(chunk.data().paths || [])));
+
+  return {
+    id: doc.id,
+    ...doc.data(),
+    inventory
+  };
+}
+
+/**
+ * Busca el checkpoint más reciente, o el que corresponde a una fecha de export
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {string} exportDate - Fecha ISO exacta del export (opcional)
+ * @returns {Promise<Object|null>} - Checkpoint con inventory o null si no existe
+ */
+async function findCheckpoint(db, exportDate) {
+  let query = db.collection(CHECKPOINTS_COLLECTION);
+
+  if (exportDate) {
+    query = query.where('exportDate', '==', exportDate);
+  } else {
+    query = query.orderBy('exportDate', 'desc');
+  }
+
+  const snapshot = await query.limit(1).get();
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  return getCheckpoint(db, snapshot.docs[0].id);
+}
+
+/**
+ * Lista los checkpoints más recientes (sin inventario)
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {number} limit - Cantidad máxima (default: 20)
+ * @returns {Promise<Array>} - Array de checkpoints
+ */
+async function listCheckpoints(db, limit = 20) {
+  const snapshot = await db.collection(CHECKPOINTS_COLLECTION)
+    .orderBy('exportDate', 'desc')
+    .limit(limit)
+    .get();
+
+  const checkpoints = [];
+  snapshot.forEach(doc => {
+    checkpoints.push({
+      id: doc.id,
+      ...doc.data()
+    });
+  });
+
+  return checkpoints;
+}
+
+module.exports = {
+  CHECKPOINTS_COLLECTION,
+  saveCheckpoint,
+  getCheckpoint,
+  findCheckpoint,
+  listCheckpoints
+};
@@ -0,0 +1,243 @@
+/**
+ * Utilidades para comparar dos backups con la forma { properties, units, leases, tenants, propertiesData }
+ * Devuelve los documentos agregados, eliminados y modificados por tipo
+ * (properties, units, leases, tenants, propertyUnits, expenses por período e incomes por período),
+ * con el valor anterior y posterior de cada campo modificado
+ */
+const { canonicalStringify } = require('./backupManifest');
+
+const DIFF_TYPES = ['properties', 'units', 'leases', 'tenants', 'propertyUnits', 'expenses', 'incomes'];
+
+// Colecciones principales que se comparan solo si las incluyen los dos backups
+const ROOT_COLLECTIONS = ['units', 'leases', 'tenants'];
+
+/**
+ * Indica si un valor es un objeto plano (no array ni null)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compara dos valores sin depender del orden de las claves
+ * @private
+ */
+function isEqual(a, b) {
+  return canonicalStringify(a) === canonicalStringify(b);
+}
+
+/**
+ * Compara dos documentos campo a campo
+ * Los objetos anidados se recorren (field con notación "a.b"); los arrays se comparan enteros
+ * @param {Object} before - Documento anterior
+ * @param {Object} after - Documento posterior
+ * @param {Array<string>} ignoreFields - Campos a omitir (ej: campos anidados del backup)
+ * @returns {Array<Object>} - Cambios { field, before, after }
+ */
+function diffFields(before, after, ignoreFields = [], prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+
+  for (const key of keys) {
+    if (!prefix && (key === 'id' || ignoreFields.includes(key))) {
+      continue;
+    }
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const beforeValue = before ? before[key] : undefined;
+    const afterValue = after ? after[key] : undefined;
+
+    if (isPlainObject(beforeValue) && isPlainObject(afterValue)) {
+      changes.push(...diffFields(beforeValue, afterValue, [], field));
+    } else if (!isEqual(beforeValue, afterValue)) {
+      changes.push({
+        field,
+        before: beforeValue === undefined ? null : beforeValue,
+        after: afterValue === undefined ? null : afterValue
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Crea el acumulador vacío de cambios
+ * @private
+ */
+function createChanges() {
+  const changes = {};
+  DIFF_TYPES.forEach(type => {
+    changes[type] = { added: [], removed: [], modified: [] };
+  });
+  return changes;
+}
+
+/**
+ * Compara dos conjuntos de documentos indexados por ID y registra los cambios
+ * @private
+ */
+function diffDocumentMaps(target, beforeMap, afterMap, location, ignoreFields = []) {
+  const ids = [...new Set([...Object.keys(beforeMap), ...Object.keys(afterMap)])].sort();
+
+  for (const id of ids) {
+    const before = beforeMap[id];
+    const after = afterMap[id];
+
+    if (!before) {
+      target.added.push({ ...location, id, after: stripFields(after, ignoreFields) });
+    } else if (!after) {
+      target.removed.push({ ...location, id, before: stripFields(before, ignoreFields) });
+    } else {
+      const fieldChanges = diffFields(before, after, ignoreFields);
+      if (fieldChanges.length > 0) {
+        target.modified.push({ ...location, id, changes: fieldChanges });
+      }
+    }
+  }
+}
+
+/**
+ * Copia un documento sin los campos indicados
+ * @private
+ */
+function stripFields(doc, fields) {
+  if (!fields.length) return doc;
+  const clean = { ...doc };
+  fields.forEach(field => delete clean[field]);
+  return clean;
+}
+
+/**
+ * Indexa un array de documentos por ID
+ * @private
+ */
+function indexById(docs) {
+  const map = {};
+  (docs || []).forEach(doc => {
+    if (doc && doc.id) map[doc.id] = doc;
+  });
+  return map;
+}
+
+/**
+ * Compara los datos jerárquicos (expenses, units e incomes) de una propiedad
+ * @private
+ */
+function diffPropertyData(changes, propertyId, before = {}, after = {}) {
+  // Expenses por período
+  const beforeExpenses = before.expenses || {};
+  const afterExpenses = after.expenses || {};
+  const periods = [...new Set([...Object.keys(beforeExpenses), ...Object.keys(afterExpenses)])].sort();
+
+  for (const periodKey of periods) {
+    diffDocumentMaps(
+      changes.expenses,
+      indexById(beforeExpenses[periodKey]),
+      indexById(afterExpenses[periodKey]),
+      { propertyId, periodKey }
+    );
+  }
+
+  // Units de la propiedad (sin incomes)
+  const beforeUnits = indexById(before.units);
+  const afterUnits = indexById(after.units);
+  diffDocumentMaps(changes.propertyUnits, beforeUnits, afterUnits, { propertyId }, ['incomes']);
+
+  // Incomes por unidad y período (un documento por período)
+  const unitIds = [...new Set([...Object.keys(beforeUnits), ...Object.keys(afterUnits)])].sort();
+
+  for (const unitId of unitIds) {
+    const beforeIncomes = (beforeUnits[unitId] && beforeUnits[unitId].incomes) || {};
+    const afterIncomes = (afterUnits[unitId] && afterUnits[unitId].incomes) || {};
+    const incomePeriods = [...new Set([...Object.keys(beforeIncomes), ...Object.keys(afterIncomes)])].sort();
+
+    for (const periodKey of incomePeriods) {
+      const beforeIncome = beforeIncomes[periodKey];
+      const afterIncome = afterIncomes[periodKey];
+      const location = { propertyId, unitId, periodKey };
+
+      if (!beforeIncome) {
+        changes.incomes.added.push({ ...location, after: afterIncome });
+      } else if (!afterIncome) {
+        changes.incomes.removed.push({ ...location, before: beforeIncome });
+      } else {
+        const fieldChanges = diffFields(beforeIncome, afterIncome);
+        if (fieldChanges.length > 0) {
+          changes.incomes.modified.push({ ...location, changes: fieldChanges });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Compara dos backups
+ * Si alguno no incluye propertiesData (includeDetails=false), solo se comparan
+ * properties y units, y se informa en warnings
+ * @param {Object} before - { properties, units, leases, tenants, propertiesData } del backup anterior
+ * @param {Object} after - { properties, units, leases, tenants, propertiesData } del backup posterior
+ * @returns {Object} - { changes, summary, warnings }
+ */
+function diffBackups(before, after) {
+  const changes = createChanges();
+  const warnings = [];
+
+  // Properties: los campos salen del array properties o, si no está, de propertiesData
+  const propertyFields = content => {
+    if (Array.isArray(content.properties)) {
+      return indexById(content.properties);
+    }
+    const map = {};
+    for (const [propertyId, data] of Object.entries(content.propertiesData || {})) {
+      map[propertyId] = stripFields({ id: propertyId, ...data }, ['expenses', 'units']);
+    }
+    return map;
+  };
+
+  diffDocumentMaps(changes.properties, propertyFields(before), propertyFields(after), {});
+
+  // Units independientes, contratos e inquilinos (los backups anteriores no tienen leases ni tenants)
+  for (const collection of ROOT_COLLECTIONS) {
+    if (Array.isArray(before[collection]) && Array.isArray(after[collection])) {
+      diffDocumentMaps(changes[collection], indexById(before[collection]), indexById(after[collection]), {});
+    } else if (Array.isArray(before[collection]) || Array.isArray(after[collection])) {
+      warnings.push(`Solo uno de los backups incluye la collection ${collection}: no se comparó`);
+    }
+  }
+
+  // Datos jerárquicos por propiedad
+  if (before.propertiesData && after.propertiesData) {
+    const propertyIds = [...new Set([
+      ...Object.keys(before.propertiesData),
+      ...Object.keys(after.propertiesData)
+    ])].sort();
+
+    for (const propertyId of propertyIds) {
+      diffPropertyData(changes, propertyId, before.propertiesData[propertyId], after.propertiesData[propertyId]);
+    }
+  } else if (before.propertiesData || after.propertiesData) {
+    warnings.push('Solo uno de los backups incluye propertiesData (includeDetails): no se compararon expenses, units de propiedad ni incomes');
+  } else {
+    warnings.push('Ningún backup incluye propertiesData (includeDetails): solo se compararon properties y units');
+  }
+
+  const summary = { totalChanges: 0 };
+  DIFF_TYPES.forEach(type => {
+    summary[type] = {
+      added: changes[type].added.length,
+      removed: changes[type].removed.length,
+      modified: changes[type].modified.length
+    };
+    summary.totalChanges += summary[type].added + summary[type].removed + summary[type].modified;
+  });
+
+  return { changes, summary, warnings };
+}
+
+module.exports = {
+  DIFF_TYPES,
+  diffFields,
+  diffBackups
+};
@@ -0,0 +1,177 @@
+/**
+ * Utilidades para encriptar y desencriptar exports de backup
+ * Usa AES-256-GCM (encriptación autenticada). El resultado es un JSON con un header
+ * en texto plano (algoritmo, keyId, iv, authTag) y el contenido encriptado en base64
+ * El header se usa como AAD, así que modificarlo también invalida el backup
+ *
+ * Claves: BACKUP_ENCRYPTION_KEYS="keyId:claveBase64,keyIdAnterior:claveBase64"
+ * (32 bytes cada una). Se encripta con BACKUP_ENCRYPTION_KEY_ID o, si no está definida,
+ * con la primera clave; las demás se conservan para desencriptar backups anteriores
+ */
+const crypto = require('crypto');
+const { canonicalStringify } = require('./backupManifest');
+
+const ENCRYPTION_FORMAT = 'alquileres-backup-encrypted';
+const ENCRYPTION_VERSION = '1.0';
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Lee las claves configuradas en el entorno
+ * @returns {Object} - { keys: Map<keyId, Buffer>, activeKeyId }
+ */
+function loadEncryptionKeys() {
+  const keys = new Map();
+  const rawKeys = (process.env.BACKUP_ENCRYPTION_KEYS || '').trim();
+
+  if (rawKeys) {
+    rawKeys.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('Entrada inválida en BACKUP_ENCRYPTION_KEYS: se espera keyId:clave');
+      }
+
+      const keyId = entry.slice(0, separator).trim();
+      const rawKey = entry.slice(separator + 1).trim();
+      const key = /^[0-9a-fA-F]{64}$/.test(rawKey)
+        ? Buffer.from(rawKey, 'hex')
+        : Buffer.from(rawKey, 'base64');
+
+      if (key.length !== KEY_LENGTH) {
+        throw new Error(`La clave ${keyId} debe tener ${KEY_LENGTH} bytes (base64 o hex)`);
+      }
+
+      keys.set(keyId, key);
+    });
+  }
+
+  const activeKeyId = process.env.BACKUP_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+
+  if (activeKeyId && keys.size > 0 && !keys.has(activeKeyId)) {
+    throw new Error(`BACKUP_ENCRYPTION_KEY_ID (${activeKeyId}) no está en BACKUP_ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+/**
+ * Indica si hay una clave configurada para encriptar
+ * @returns {boolean}
+ */
+function isEncryptionConfigured() {
+  return Boolean((process.env.BACKUP_ENCRYPTION_KEYS || '').trim());
+}
+
+/**
+ * Indica si un objeto es un backup encriptado
+ * @param {Object} data - Objeto recibido
+ * @returns {boolean}
+ */
+function isEncryptedBackup(data) {
+  return Boolean(data && typeof data === 'object' &&
+    data.encryption && data.encryption.format === ENCRYPTION_FORMAT &&
+    typeof data.ciphertext === 'string');
+}
+
+/**
+ * Datos autenticados del header (todo excepto el authTag)
+ * @private
+ */
+function headerAad(header) {
+  const { authTag, ...authenticated } = header;
+  return Buffer.from(canonicalStringify(authenticated));
+}
+
+/**
+ * Encripta un objeto JSON con la clave activa
+ * @param {Object} data - Backup a encriptar
+ * @param {Object} options - { keyId } para forzar una clave concreta
+ * @returns {Object} - { encryption: header, ciphertext }
+ */
+function encryptBackup(data, options = {}) {
+  const { keys, activeKeyId } = loadEncryptionKeys();
+  const keyId = options.keyId || activeKeyId;
+
+  if (!keyId || !keys.has(keyId)) {
+    throw new Error('No hay clave de encriptación configurada (BACKUP_ENCRYPTION_KEYS)');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const header = {
+    format: ENCRYPTION_FORMAT,
+    version: ENCRYPTION_VERSION,
+    algorithm: ENCRYPTION_ALGORITHM,
+    keyId,
+    iv: iv.toString('base64'),
+    contentType: 'application/json',
+    encryptedAt: new Date().toISOString()
+  };
+
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, keys.get(keyId), iv);
+  cipher.setAAD(headerAad(header));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(data), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    encryption: {
+      ...header,
+      authTag: cipher.getAuthTag().toString('base64')
+    },
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Desencripta un backup encriptado con encryptBackup
+ * Lanza un error si la clave no está disponible o el contenido fue modificado
+ * @param {Object} envelope - { encryption, ciphertext }
+ * @returns {Object} - Backup original
+ */
+function decryptBackup(envelope) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new Error('El contenido no es un backup encriptado');
+  }
+
+  const header = envelope.encryption;
+
+  if (header.algorithm !== ENCRYPTION_ALGORITHM) {
+    throw new Error(`Algoritmo de encriptación no soportado: ${header.algorithm}`);
+  }
+
+  const { keys } = loadEncryptionKeys();
+  if (!keys.has(header.keyId)) {
+    throw new Error(`Clave de encriptación no disponible: ${header.keyId}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ENCRYPTION_ALGORITHM,
+      keys.get(header.keyId),
+      Buffer.from(header.iv, 'base64')
+    );
+    decipher.setAAD(headerAad(header));
+    decipher.setAuthTag(Buffer.from(header.authTag || '', 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new Error('No se pudo desencriptar el backup: clave incorrecta o contenido modificado');
+  }
+}
+
+module.exports = {
+  ENCRYPTION_FORMAT,
+  ENCRYPTION_ALGORITHM,
+  isEncryptionConfigured,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup
+};
@@ -0,0 +1,456 @@
+/**
+ * Formato versionado de los backups de Alquileres
+ * Define el esquema del documento de backup, la codificación de Timestamps
+ * y los conversores entre versiones
+ *
+ * Versiones:
+ * - 1.0: properties y units con Timestamps convertidos a ISO string, expenses/incomes/units
+ *   de propiedad con Timestamps serializados como { _seconds, _nanoseconds } y
+ *   totalIncomes contando un income por período. El backup por propiedad no tiene version
+ * - 2.0: todos los Timestamps como { "$timestamp": "ISO" } (los strings quedan como strings),
+ *   type explícito (full | incremental | property) y totalIncomes contando cada item del período.
+ *   Los backups completos e incrementales agregan después leases y tenants (opcionales: los
+ *   anteriores no los tienen) y personalData (si tenants incluye los datos personales)
+ */
+const { validateSchema } = require('./jsonSchema');
+
+const CURRENT_BACKUP_VERSION = '2.0';
+const BACKUP_VERSIONS = ['1.0', '2.0'];
+const TIMESTAMP_KEY = '$timestamp';
+const PERIOD_KEY_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])$';
+
+// Campos que el export 1.0 convertía de Timestamp a ISO string en properties y units
+const V1_DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const TIMESTAMP_SCHEMA = {
+  type: 'object',
+  required: [TIMESTAMP_KEY],
+  properties: {
+    [TIMESTAMP_KEY]: { type: 'string', format: 'date-time' }
+  },
+  additionalProperties: false
+};
+
+const DOCUMENT_SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', minLength: 1 }
+  }
+};
+
+const PROPERTY_DATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    expenses: {
+      type: 'object',
+      propertyNames: { pattern: PERIOD_KEY_PATTERN },
+      additionalProperties: { type: 'array', items: DOCUMENT_SCHEMA }
+    },
+    units: {
+      type: 'array',
+      items: {
+        allOf: [DOCUMENT_SCHEMA],
+        properties: {
+          incomes: {
+            type: 'object',
+            propertyNames: { pattern: PERIOD_KEY_PATTERN },
+            additionalProperties: { type: 'object' }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Esquema (JSON Schema draft-07) del backup completo o incremental, versión 2.0
+ */
+const BACKUP_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Backup de Alquileres (completo o incremental)',
+  description: `Los Timestamps de Firestore se codifican como { "${TIMESTAMP_KEY}": "ISO 8601" }`,
+  type: 'object',
+  required: ['version', 'type', 'exportDate', 'structure', 'properties', 'units', 'stats'],
+  properties: {
+    version: { const: CURRENT_BACKUP_VERSION },
+    type: { enum: ['full', 'incremental'] },
+    exportDate: { type: 'string', format: 'date-time' },
+    structure: { const: 'real' },
+    properties: { type: 'array', items: DOCUMENT_SCHEMA },
+    units: { type: 'array', items: DOCUMENT_SCHEMA },
+    leases: { type: 'array', items: DOCUMENT_SCHEMA },
+    tenants: { type: 'array', items: DOCUMENT_SCHEMA },
+    personalData: { type: 'boolean' },
+    propertiesData: { type: 'object', additionalProperties: PROPERTY_DATA_SCHEMA },
+    stats: { type: 'object' },
+    detailedStats: { type: 'object' },
+    manifest: { type: 'object' },
+    checkpointId: { type: 'string' },
+    baseExportDate: { type: 'string', format: 'date-time' },
+    baseCheckpointId: { type: ['string', 'null'] },
+    deleted: {
+      type: ['object', 'null'],
+      properties: {
+        properties: { type: 'array', items: { type: 'string' } },
+        units: { type: 'array', items: { type: 'string' } },
+        leases: { type: 'array', items: { type: 'string' } },
+        tenants: { type: 'array', items: { type: 'string' } },
+        propertyUnits: { type: 'array', items: { type: 'object', required: ['propertyId', 'unitId'] } },
+        expenses: { type: 'array', items: { type: 'object', required: ['propertyId', 'periodKey', 'expenseId'] } },
+        incomes: { type: 'array', items: { type: 'object', required: ['propertyId', 'unitId', 'periodKey'] } }
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' } },
+    convertedFrom: { type: 'string' }
+  },
+  if: { properties: { type: { const: 'incremental' } } },
+  then: { required: ['baseExportDate', 'deleted'] }
+};
+
+/**
+ * Esquema (JSON Schema draft-07) del backup de una propiedad, versión 2.0
+ */
+const PROPERTY_BACKUP_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Backup de una propiedad de Alquileres',
+  description: `Los Timestamps de Firestore se codifican como { "${TIMESTAMP_KEY}": "ISO 8601" }`,
+  type: 'object',
+  required: ['version', 'type', 'propertyId', 'exportDate', 'data'],
+  properties: {
+    version: { const: CURRENT_BACKUP_VERSION },
+    type: { const: 'property' },
+    propertyId: { type: 'string', minLength: 1 },
+    exportDate: { type: 'string', format: 'date-time' },
+    data: { allOf: [DOCUMENT_SCHEMA, PROPERTY_DATA_SCHEMA] },
+    stats: { type: 'object' },
+    manifest: { type: 'object' },
+    convertedFrom: { type: 'string' }
+  }
+};
+
+/**
+ * Indica si un valor es un Timestamp de Firestore
+ * @private
+ */
+function isFirestoreTimestamp(value) {
+  return Boolean(value && typeof value === 'object' &&
+    typeof value.toDate === 'function' &&
+    typeof value.seconds === 'number' && typeof value.nanoseconds === 'number');
+}
+
+/**
+ * Indica si un valor es un Timestamp codificado ({ "$timestamp": "ISO" })
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+function isEncodedTimestamp(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value[TIMESTAMP_KEY] === 'string');
+}
+
+/**
+ * Codifica un ISO string como Timestamp del backup
+ * @param {string|Date} value - Fecha
+ * @returns {Object} - { "$timestamp": "ISO" }
+ */
+function encodeTimestamp(value) {
+  return { [TIMESTAMP_KEY]: new Date(value).toISOString() };
+}
+
+/**
+ * Recorre un valor y reemplaza cada objeto para el que match devuelve true
+ * @private
+ */
+function mapDeep(data, match, replace) {
+  if (data === null || data === undefined || typeof data !== 'object') {
+    return data;
+  }
+
+  if (match(data)) {
+    return replace(data);
+  }
+
+  if (Array.isArray(data)) {
+    return data.map(item => mapDeep(item, match, replace));
+  }
+
+  const mapped = {};
+  for (const key of Object.keys(data)) {
+    mapped[key] = mapDeep(data[key], match, replace);
+  }
+  return mapped;
+}
+
+/**
+ * Convierte los datos de un documento de Firestore al formato del backup
+ * (Timestamps como { "$timestamp": "ISO" })
+ * @param {Object} data - Datos del documento
+ * @returns {Object} - Datos codificados
+ */
+function encodeFirestoreData(data) {
+  return mapDeep(data, isFirestoreTimestamp, value => ({ [TIMESTAMP_KEY]: value.toDate().toISOString() }));
+}
+
+/**
+ * Reemplaza los Timestamps codificados de un valor
+ * @param {*} data - Datos del backup
+ * @param {Function} decode - Recibe el ISO string y devuelve el valor final
+ *   (ej: Timestamp.fromDate para restaurar, o el mismo string para comparar)
+ * @returns {*} - Datos decodificados
+ */
+function decodeTimestamps(data, decode) {
+  return mapDeep(data, isEncodedTimestamp, value => decode(value[TIMESTAMP_KEY]));
+}
+
+/**
+ * Cantidad de entradas de income de un período
+ * Un período puede tener varios items; si no, el documento es un único income
+ * @param {Object} income - Documento del período
+ * @returns {number}
+ */
+function countIncomeEntries(income) {
+  if (!income || typeof income !== 'object') return 0;
+  return Array.isArray(income.items) ? income.items.length : 1;
+}
+
+/**
+ * Cuenta expenses, units de propiedad e incomes de los datos completos de una propiedad
+ * @param {Object} completeData - Datos de propertiesData
+ * @returns {Object} - { expensePeriods, expenseItems, units, incomes, incomePeriods }
+ */
+function countPropertyData(completeData) {
+  const expensePeriods = Object.keys(completeData.expenses || {}).length;
+  const expenseItems = Object.values(completeData.expenses || {}).reduce((sum, items) =>
+    sum + (Array.isArray(items) ? items.length : 0), 0);
+
+  let incomes = 0;
+  let incomePeriods = 0;
+
+  (completeData.units || []).forEach(unit => {
+    Object.values(unit.incomes || {}).forEach(income => {
+      incomePeriods++;
+      incomes += countIncomeEntries(income);
+    });
+  });
+
+  return {
+    expensePeriods,
+    expenseItems,
+    units: (completeData.units || []).length,
+    incomes,
+    incomePeriods
+  };
+}
+
+/**
+ * Calcula las estadísticas detalladas de propertiesData
+ * @param {Object} propertiesData - Datos completos por propiedad
+ * @returns {Object} - Estadísticas
+ */
+function buildDetailedStats(propertiesData) {
+  const detailedStats = {
+    totalExpenses: 0,
+    totalIncomes: 0,
+    totalExpensePeriods: 0,
+    totalIncomePeriods: 0,
+    totalPropertyUnits: 0,
+    propertiesWithData: Object.keys(propertiesData).length
+  };
+
+  for (const completeData of Object.values(propertiesData)) {
+    const propertyStats = countPropertyData(completeData);
+    detailedStats.totalExpenses += propertyStats.expenseItems;
+    detailedStats.totalIncomes += propertyStats.incomes;
+    detailedStats.totalExpensePeriods += propertyStats.expensePeriods;
+    detailedStats.totalIncomePeriods += propertyStats.incomePeriods;
+    detailedStats.totalPropertyUnits += propertyStats.units;
+  }
+
+  return detailedStats;
+}
+
+/**
+ * Detecta la versión de un backup (el backup por propiedad 1.0 no tenía version)
+ * @param {Object} backupData - Contenido del archivo
+ * @returns {string|null} - Versión o null si no se reconoce
+ */
+function detectBackupVersion(backupData) {
+  if (!backupData || typeof backupData !== 'object' || Array.isArray(backupData)) {
+    return null;
+  }
+
+  if (backupData.version) {
+    return String(backupData.version);
+  }
+
+  if (backupData.propertyId && backupData.data && typeof backupData.data === 'object') {
+    return '1.0';
+  }
+
+  return null;
+}
+
+/**
+ * Convierte un documento 1.0 a 2.0
+ * @private
+ */
+function convertDocumentV1(doc, dateFields) {
+  const converted = mapDeep(
+    doc,
+    value => !Array.isArray(value) && Object.keys(value).length === 2 &&
+      typeof value._seconds === 'number' && typeof value._nanoseconds === 'number',
+    value => ({ [TIMESTAMP_KEY]: new Date(value._seconds * 1000 + Math.floor(value._nanoseconds / 1e6)).toISOString() })
+  );
+
+  for (const field of dateFields) {
+    const value = converted && converted[field];
+    if (typeof value === 'string' && !isNaN(Date.parse(value))) {
+      converted[field] = encodeTimestamp(value);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convierte los datos completos de una propiedad 1.0 a 2.0
+ * Los campos de la propiedad vienen del export procesado (ISO string); expenses y units no
+ * @private
+ */
+function convertPropertyDataV1(propertyData, dateFields) {
+  const { expenses, units, ...fields } = propertyData || {};
+  const converted = convertDocumentV1(fields, dateFields);
+
+  if (expenses !== undefined) {
+    converted.expenses = convertDocumentV1(expenses, []);
+  }
+
+  if (units !== undefined) {
+    converted.units = convertDocumentV1(units, []);
+  }
+
+  return converted;
+}
+
+/**
+ * Convierte un backup 1.0 (completo, incremental o por propiedad) a 2.0
+ * @private
+ */
+function convertV1toV2(backupData, options) {
+  const dateFields = options.dateFields || V1_DATE_FIELDS;
+
+  if (backupData.propertyId && backupData.data) {
+    const data = convertPropertyDataV1(backupData.data, dateFields);
+    const { manifest, ...rest } = backupData;
+
+    return {
+      ...rest,
+      version: '2.0',
+      type: 'property',
+      data,
+      stats: buildDetailedStats({ [backupData.propertyId]: data })
+    };
+  }
+
+  const { manifest, detailedStats, ...rest } = backupData;
+  const converted = {
+    ...rest,
+    version: '2.0',
+    type: backupData.type === 'incremental' ? 'incremental' : 'full',
+    properties: (backupData.properties || []).map(property => convertDocumentV1(property, dateFields)),
+    units: (backupData.units || []).map(unit => convertDocumentV1(unit, dateFields))
+  };
+
+  if (backupData.propertiesData) {
+    converted.propertiesData = {};
+    for (const [propertyId, propertyData] of Object.entries(backupData.propertiesData)) {
+      converted.propertiesData[propertyId] = convertPropertyDataV1(propertyData, dateFields);
+    }
+
+    const newDetailedStats = buildDetailedStats(converted.propertiesData);
+    if (detailedStats) {
+      converted.detailedStats = newDetailedStats;
+    }
+    converted.stats = { ...(backupData.stats || {}), ...newDetailedStats };
+  }
+
+  if (converted.type === 'incremental' && converted.deleted === undefined) {
+    converted.deleted = null;
+  }
+
+  return converted;
+}
+
+// Conversor de cada versión a la siguiente
+const CONVERTERS = {
+  '1.0': { to: '2.0', convert: convertV1toV2 }
+};
+
+/**
+ * Convierte un backup de cualquier versión soportada a la versión actual
+ * El manifest original no se conserva (los hashes corresponden al archivo original:
+ * verificarlo antes de convertir) y se agrega convertedFrom con la versión de origen
+ * @param {Object} backupData - Contenido del archivo
+ * @param {Object} options - Opciones
+ * @param {Array<string>} options.dateFields - Campos ISO string de properties/units 1.0
+ *   a convertir en Timestamp (default: createdAt, updatedAt)
+ * @returns {Object} - { backup, fromVersion, converted } o { error }
+ */
+function upgradeBackup(backupData, options = {}) {
+  const fromVersion = detectBackupVersion(backupData);
+
+  if (!fromVersion) {
+    return { error: 'Formato de backup no reconocido' };
+  }
+
+  if (!BACKUP_VERSIONS.includes(fromVersion)) {
+    return { error: `Versión de backup no soportada: ${fromVersion} (soportadas: ${BACKUP_VERSIONS.join(', ')})` };
+  }
+
+  let backup = backupData;
+  let version = fromVersion;
+
+  while (version !== CURRENT_BACKUP_VERSION) {
+    const converter = CONVERTERS[version];
+    backup = converter.convert(backup, options);
+    version = converter.to;
+  }
+
+  if (fromVersion !== CURRENT_BACKUP_VERSION) {
+    backup.convertedFrom = fromVersion;
+  }
+
+  return {
+    backup,
+    fromVersion,
+    converted: fromVersion !== CURRENT_BACKUP_VERSION
+  };
+}
+
+/**
+ * Valida un backup 2.0 contra su esquema (completo/incremental o por propiedad)
+ * @param {Object} backupData - Backup en la versión actual
+ * @returns {Array<string>} - Errores (vacío si es válido)
+ */
+function validateBackupSchema(backupData) {
+  const isPropertyBackup = backupData && typeof backupData === 'object' && backupData.type === 'property';
+  return validateSchema(backupData, isPropertyBackup ? PROPERTY_BACKUP_SCHEMA : BACKUP_SCHEMA);
+}
+
+module.exports = {
+  CURRENT_BACKUP_VERSION,
+  BACKUP_VERSIONS,
+  TIMESTAMP_KEY,
+  BACKUP_SCHEMA,
+  PROPERTY_BACKUP_SCHEMA,
+  isEncodedTimestamp,
+  encodeFirestoreData,
+  decodeTimestamps,
+  countIncomeEntries,
+  countPropertyData,
+  buildDetailedStats,
+  detectBackupVersion,
+  upgradeBackup,
+  validateBackupSchema
+};
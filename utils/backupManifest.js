@@ -0,0 +1,369 @@
+/**
+ * Utilidades para el manifest de integridad de los backups
+ * El manifest registra hashes SHA-256 y cantidad de documentos por colección,
+ * por propiedad y por período, calculados sobre el JSON canónico (claves ordenadas)
+ * de cada documento tal como queda en el archivo de backup
+ */
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = '1.0';
+const HASH_ALGORITHM = 'sha256';
+
+// Colecciones principales del backup que se registran en manifest.collections
+const MANIFEST_COLLECTIONS = ['properties', 'units', 'leases', 'tenants'];
+
+/**
+ * Serializa un valor a JSON con las claves de los objetos ordenadas
+ * Produce el mismo resultado antes y después de pasar por JSON.stringify/JSON.parse
+ * (los Timestamps de Firestore se serializan como { _seconds, _nanoseconds })
+ * @param {*} value - Valor a serializar
+ * @returns {string} - JSON canónico
+ */
+function canonicalStringify(value) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalStringify(item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Calcula el hash SHA-256 (hex) de un string
+ * @param {string} content - Contenido
+ * @returns {string} - Hash en hexadecimal
+ */
+function sha256(content) {
+  return crypto.createHash(HASH_ALGORITHM).update(content).digest('hex');
+}
+
+/**
+ * Calcula el hash de un documento
+ * @param {Object} doc - Documento
+ * @returns {string} - Hash en hexadecimal
+ */
+function hashDocument(doc) {
+  return sha256(canonicalStringify(doc));
+}
+
+/**
+ * Combina hashes de documentos indexados por ID en un solo hash, sin depender del orden
+ * @param {Object} hashesById - { [id]: hash }
+ * @returns {string} - Hash combinado
+ */
+function combineHashes(hashesById) {
+  const lines = Object.keys(hashesById)
+    .sort()
+    .map(id => `${id}:${hashesById[id]}`);
+  return sha256(lines.join('\n'));
+}
+
+/**
+ * Quita los campos anidados del backup para quedarse con los campos del documento
+ * @private
+ */
+function stripNested(data, fields) {
+  const clean = { ...data };
+  fields.forEach(field => delete clean[field]);
+  return clean;
+}
+
+/**
+ * Acumula hashes documento a documento para construir el manifest
+ * Permite generarlo tanto desde un backup en memoria como mientras se transmite en streaming
+ */
+class ManifestBuilder {
+  constructor() {
+    this.collections = {};
+    this.properties = {};
+  }
+
+  /**
+   * Registra un documento de una colección principal (properties, units, leases o tenants)
+   */
+  addCollectionDocument(collectionName, doc) {
+    if (!this.collections[collectionName]) {
+      this.collections[collectionName] = {};
+    }
+    this.collections[collectionName][doc.id] = hashDocument(doc);
+  }
+
+  /**
+   * Registra una colección vacía para que aparezca en el manifest con count 0
+   */
+  ensureCollection(collectionName) {
+    if (!this.collections[collectionName]) {
+      this.collections[collectionName] = {};
+    }
+  }
+
+  /**
+   * Registra los campos de una propiedad (sin expenses ni units)
+   */
+  setProperty(propertyId, propertyData) {
+    this._property(propertyId).hash = hashDocument(stripNested(propertyData, ['expenses', 'units']));
+  }
+
+  /**
+   * Registra los items de un período de expenses
+   */
+  addExpensePeriod(propertyId, periodKey, items) {
+    const hashes = {};
+    (items || []).forEach(item => {
+      hashes[item.id] = hashDocument(item);
+    });
+
+    this._property(propertyId).expenses[periodKey] = {
+      count: Object.keys(hashes).length,
+      hash: combineHashes(hashes)
+    };
+  }
+
+  /**
+   * Registra una unidad de la propiedad (sin sus incomes)
+   */
+  addPropertyUnit(propertyId, unit) {
+    const property = this._property(propertyId);
+    const existing = property.units[unit.id] || { incomes: {} };
+
+    property.units[unit.id] = {
+      hash: hashDocument(stripNested(unit, ['incomes'])),
+      incomes: existing.incomes
+    };
+  }
+
+  /**
+   * Registra el income de un período de una unidad
+   */
+  addIncome(propertyId, unitId, periodKey, income) {
+    const property = this._property(propertyId);
+    if (!property.units[unitId]) {
+      property.units[unitId] = { hash: null, incomes: {} };
+    }
+
+    property.units[unitId].incomes[periodKey] = { hash: hashDocument(income) };
+  }
+
+  /**
+   * Registra todos los datos completos de una propiedad (formato de propertiesData)
+   */
+  addPropertyData(propertyId, propertyData) {
+    this.setProperty(propertyId, propertyData);
+
+    for (const [periodKey, items] of Object.entries(propertyData.expenses || {})) {
+      this.addExpensePeriod(propertyId, periodKey, items);
+    }
+
+    for (const unit of propertyData.units || []) {
+      this.addPropertyUnit(propertyId, unit);
+      for (const [periodKey, income] of Object.entries(unit.incomes || {})) {
+        this.addIncome(propertyId, unit.id, periodKey, income);
+      }
+    }
+  }
+
+  /**
+   * Genera el manifest final, con un hash global y firma opcional
+   * @param {Object} options - { secret } para firmar con HMAC-SHA256
+   * @returns {Object} - Manifest
+   */
+  build(options = {}) {
+    const collections = {};
+    let totalDocuments = 0;
+
+    for (const [name, hashes] of Object.entries(this.collections)) {
+      const count = Object.keys(hashes).length;
+      collections[name] = { count, hash: combineHashes(hashes) };
+      totalDocuments += count;
+    }
+
+    const properties = {};
+    for (const [propertyId, property] of Object.entries(this.properties)) {
+      let documentCount = 0;
+
+      Object.values(property.expenses).forEach(period => {
+        documentCount += period.count;
+      });
+
+      Object.values(property.units).forEach(unit => {
+        documentCount += (unit.hash ? 1 : 0) + Object.keys(unit.incomes).length;
+      });
+
+      properties[propertyId] = {
+        documentCount,
+        hash: property.hash,
+        expenses: property.expenses,
+        units: property.units
+      };
+      properties[propertyId].aggregateHash = hashDocument({
+        hash: property.hash,
+        expenses: property.expenses,
+        units: property.units
+      });
+
+      totalDocuments += documentCount;
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      algorithm: HASH_ALGORITHM,
+      generatedAt: new Date().toISOString(),
+      collections,
+      properties,
+      totals: {
+        documents: totalDocuments,
+        properties: Object.keys(properties).length
+      }
+    };
+
+    manifest.hash = computeManifestHash(manifest);
+
+    if (options.secret) {
+      manifest.signature = signManifestHash(manifest.hash, options.secret);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * @private
+   */
+  _property(propertyId) {
+    if (!this.properties[propertyId]) {
+      this.properties[propertyId] = { hash: null, expenses: {}, units: {} };
+    }
+    return this.properties[propertyId];
+  }
+}
+
+/**
+ * Calcula el hash del contenido del manifest (excluye hash, signature y generatedAt)
+ * @param {Object} manifest - Manifest
+ * @returns {string} - Hash en hexadecimal
+ */
+function computeManifestHash(manifest) {
+  const { hash, signature, generatedAt, ...content } = manifest;
+  return hashDocument(content);
+}
+
+/**
+ * Firma el hash del manifest con HMAC-SHA256
+ * @param {string} manifestHash - Hash del manifest
+ * @param {string} secret - Secreto compartido
+ * @returns {string} - Firma en hexadecimal
+ */
+function signManifestHash(manifestHash, secret) {
+  return crypto.createHmac(HASH_ALGORITHM, secret).update(manifestHash).digest('hex');
+}
+
+/**
+ * Construye el manifest de un backup con la forma { properties, units, leases, tenants, propertiesData }
+ * Las colecciones que no incluye el backup (ej: leases y tenants en backups anteriores) no figuran
+ * @param {Object} backupContent - Contenido del backup
+ * @param {Object} options - { secret }
+ * @returns {Object} - Manifest
+ */
+function buildManifest(backupContent, options = {}) {
+  const builder = new ManifestBuilder();
+
+  for (const collectionName of MANIFEST_COLLECTIONS) {
+    if (Array.isArray(backupContent[collectionName])) {
+      builder.ensureCollection(collectionName);
+      backupContent[collectionName].forEach(doc => builder.addCollectionDocument(collectionName, doc));
+    }
+  }
+
+  for (const [propertyId, propertyData] of Object.entries(backupContent.propertiesData || {})) {
+    builder.addPropertyData(propertyId, propertyData);
+  }
+
+  return builder.build(options);
+}
+
+/**
+ * Compara dos manifests y devuelve las diferencias
+ * @param {Object} expected - Manifest de referencia
+ * @param {Object} actual - Manifest recalculado
+ * @returns {Array<Object>} - Diferencias { path, issue, expected, actual }
+ */
+function compareManifests(expected, actual) {
+  const mismatches = [];
+
+  const compareEntry = (path, expectedEntry, actualEntry) => {
+    if (expectedEntry && !actualEntry) {
+      mismatches.push({ path, issue: 'missing', expected: expectedEntry, actual: null });
+    } else if (!expectedEntry && actualEntry) {
+      mismatches.push({ path, issue: 'unexpected', expected: null, actual: actualEntry });
+    } else if (expectedEntry && actualEntry &&
+               (expectedEntry.hash !== actualEntry.hash || expectedEntry.count !== actualEntry.count)) {
+      mismatches.push({ path, issue: 'modified', expected: expectedEntry, actual: actualEntry });
+    }
+  };
+
+  const keysOf = (...objects) => [...new Set(objects.flatMap(object => Object.keys(object || {})))];
+
+  for (const name of keysOf(expected.collections, actual.collections)) {
+    compareEntry(name, (expected.collections || {})[name], (actual.collections || {})[name]);
+  }
+
+  for (const propertyId of keysOf(expected.properties, actual.properties)) {
+    const expectedProperty = (expected.properties || {})[propertyId];
+    const actualProperty = (actual.properties || {})[propertyId];
+    const basePath = `properties/${propertyId}`;
+
+    if (!expectedProperty || !actualProperty) {
+      compareEntry(basePath, expectedProperty && { hash: expectedProperty.aggregateHash },
+        actualProperty && { hash: actualProperty.aggregateHash });
+      continue;
+    }
+
+    if (expectedProperty.aggregateHash === actualProperty.aggregateHash) {
+      continue;
+    }
+
+    compareEntry(basePath, { hash: expectedProperty.hash }, { hash: actualProperty.hash });
+
+    for (const periodKey of keysOf(expectedProperty.expenses, actualProperty.expenses)) {
+      compareEntry(`${basePath}/expenses/${periodKey}`,
+        expectedProperty.expenses[periodKey], actualProperty.expenses[periodKey]);
+    }
+
+    for (const unitId of keysOf(expectedProperty.units, actualProperty.units)) {
+      const expectedUnit = expectedProperty.units[unitId];
+      const actualUnit = actualProperty.units[unitId];
+      const unitPath = `${basePath}/units/${unitId}`;
+
+      compareEntry(unitPath, expectedUnit && { hash: expectedUnit.hash }, actualUnit && { hash: actualUnit.hash });
+
+      for (const periodKey of keysOf(expectedUnit && expectedUnit.incomes, actualUnit && actualUnit.incomes)) {
+        compareEntry(`${unitPath}/incomes/${periodKey}`,
+          expectedUnit && expectedUnit.incomes[periodKey], actualUnit && actualUnit.incomes[periodKey]);
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  canonicalStringify,
+  hashDocument,
+  computeManifestHash,
+  signManifestHash,
+  ManifestBuilder,
+  buildManifest,
+  compareManifests
+};
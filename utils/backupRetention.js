@@ -0,0 +1,137 @@
+/**
+ * Utilidades para políticas de retención de backups (rotación tipo abuelo-padre-hijo)
+ * Por cada regla se conserva el backup más reciente de cada uno de los últimos N períodos
+ * Ejemplo: { monthly: 12, weekly: 8 } conserva el último backup de cada uno de los
+ * últimos 12 meses y de cada una de las últimas 8 semanas con backups
+ */
+
+const RETENTION_RULES = ['keepLast', 'daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Obtiene la clave ISO de semana (YYYY-Www) de una fecha en UTC
+ * @param {Date} date - Fecha
+ * @returns {string} - Clave de semana, ej: "2025-W26"
+ */
+function getIsoWeekKey(date) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNumber = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayNumber); // Jueves de la misma semana
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+  return `${target.getUTCFullYear()}-W${week.toString().padStart(2, '0')}`;
+}
+
+const periodKeyGetters = {
+  keepLast: (date, index) => `#${index}`,
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: (date) => getIsoWeekKey(date),
+  monthly: (date) => date.toISOString().slice(0, 7),
+  yearly: (date) => date.toISOString().slice(0, 4)
+};
+
+/**
+ * Normaliza una política de retención desde un objeto o un string "monthly=12,weekly=8"
+ * @param {Object|string} policy - Política de retención
+ * @returns {Object} - Política con todas las reglas numéricas (0 = regla desactivada)
+ */
+function parseRetentionPolicy(policy) {
+  const normalized = RETENTION_RULES.reduce((acc, rule) => {
+    acc[rule] = 0;
+    return acc;
+  }, {});
+
+  if (!policy) {
+    return normalized;
+  }
+
+  let entries = policy;
+  if (typeof policy === 'string') {
+    entries = policy.split(',').reduce((acc, part) => {
+      const [rule, value] = part.split('=').map(item => item.trim());
+      if (rule) acc[rule] = value;
+      return acc;
+    }, {});
+  }
+
+  for (const [rule, value] of Object.entries(entries)) {
+    if (!RETENTION_RULES.includes(rule)) {
+      throw new Error(`Regla de retención desconocida: ${rule} (soportadas: ${RETENTION_RULES.join(', ')})`);
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`La regla ${rule} debe ser un entero mayor o igual a 0`);
+    }
+
+    normalized[rule] = count;
+  }
+
+  return normalized;
+}
+
+/**
+ * Indica si la política tiene al menos una regla activa
+ * @param {Object} policy - Política normalizada
+ * @returns {boolean}
+ */
+function hasRetentionRules(policy) {
+  return RETENTION_RULES.some(rule => policy[rule] > 0);
+}
+
+/**
+ * Decide qué backups conservar según la política
+ * Sin reglas activas se conservan todos
+ * @param {Array<Object>} backups - Backups con id y exportDate (o createdAt)
+ * @param {Object} policy - Política normalizada
+ * @returns {Object} - { keep: [{ id, reasons }], remove: [id] }
+ */
+function selectBackupsToKeep(backups, policy) {
+  if (!hasRetentionRules(policy)) {
+    return {
+      keep: backups.map(backup => ({ id: backup.id, reasons: ['sin política de retención'] })),
+      remove: []
+    };
+  }
+
+  const sorted = [...backups].sort((a, b) =>
+    new Date(b.exportDate || b.createdAt) - new Date(a.exportDate || a.createdAt)
+  );
+  const reasons = new Map();
+
+  for (const rule of RETENTION_RULES) {
+    const limit = policy[rule];
+    if (!limit) continue;
+
+    let lastKey = null;
+    let kept = 0;
+
+    sorted.forEach((backup, index) => {
+      if (kept >= limit) return;
+
+      const key = periodKeyGetters[rule](new Date(backup.exportDate || backup.createdAt), index);
+      if (key === lastKey) return;
+
+      lastKey = key;
+      kept++;
+
+      if (!reasons.has(backup.id)) reasons.set(backup.id, []);
+      reasons.get(backup.id).push(`${rule} ${key}`);
+    });
+  }
+
+  return {
+    keep: sorted
+      .filter(backup => reasons.has(backup.id))
+      .map(backup => ({ id: backup.id, reasons: reasons.get(backup.id) })),
+    remove: sorted
+      .filter(backup => !reasons.has(backup.id))
+      .map(backup => backup.id)
+  };
+}
+
+module.exports = {
+  RETENTION_RULES,
+  parseRetentionPolicy,
+  hasRetentionRules,
+  selectBackupsToKeep
+};
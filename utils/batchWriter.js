@@ -0,0 +1,89 @@
+/**
+ * Utilidad para agrupar escrituras de Firestore en batches
+ * Firestore limita cada batch a 500 operaciones, por lo que se confirma
+ * automáticamente al alcanzar el tamaño configurado
+ */
+
+const MAX_BATCH_SIZE = 450;
+
+/**
+ * Crea un escritor que agrupa operaciones set/update/delete en batches
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {Object} options - Opciones
+ * @param {boolean} options.dryRun - Solo contar operaciones, no escribir (default: false)
+ * @param {number} options.batchSize - Operaciones por batch (default: 450)
+ * @returns {Object} - Escritor con set, update, delete, flush y stats
+ */
+function createBatchWriter(db, options = {}) {
+  const dryRun = options.dryRun || false;
+  const batchSize = Math.min(options.batchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+
+  let batch = null;
+  let pending = 0;
+  const stats = { sets: 0, updates: 0, deletes: 0, commits: 0 };
+
+  const commitIfFull = async () => {
+    if (pending >= batchSize) {
+      await flush();
+    }
+  };
+
+  const getBatch = () => {
+    if (!batch) {
+      batch = db.batch();
+    }
+    return batch;
+  };
+
+  async function set(docRef, data, setOptions = {}) {
+    stats.sets++;
+    if (dryRun) return;
+
+    getBatch().set(docRef, data, setOptions);
+    pending++;
+    await commitIfFull();
+  }
+
+  async function update(docRef, data) {
+    stats.updates++;
+    if (dryRun) return;
+
+    getBatch().update(docRef, data);
+    pending++;
+    await commitIfFull();
+  }
+
+  async function remove(docRef) {
+    stats.deletes++;
+    if (dryRun) return;
+
+    getBatch().delete(docRef);
+    pending++;
+    await commitIfFull();
+  }
+
+  async function flush() {
+    if (!batch || pending === 0) return;
+
+    const current = batch;
+    batch = null;
+    pending = 0;
+
+    await current.commit();
+    stats.commits++;
+  }
+
+  return {
+    set,
+    update,
+    delete: remove,
+    flush,
+    get stats() {
+      return { ...stats, dryRun };
+    }
+  };
+}
+
+module.exports = {
+  createBatchWriter
+};
@@ -0,0 +1,253 @@
+/**
+ * Esquemas (JSON Schema draft-07) de las entidades que se escriben en Firestore
+ * Los usan todas las rutas de escritura y el restore de backups (ver validateEntity)
+ * - Los campos readOnly los define el servidor: se rechazan en la API y se aceptan al restaurar
+ * - Los campos que no declara el esquema se rechazan en la API y se conservan al restaurar
+ *   (los backups pueden tener campos de versiones anteriores)
+ */
+const { applySchema, formatError } = require('./jsonSchema');
+const { LEASE_STATUSES } = require('./leases');
+
+// Texto con al menos un carácter visible
+const NON_BLANK = { type: 'string', minLength: 1, pattern: '\\S' };
+const OPTIONAL_TEXT = { type: ['string', 'null'] };
+// Identificadores visibles que se cargan como texto o número (número de unidad, piso, código postal)
+const LABEL = { type: ['string', 'number', 'null'] };
+const DATE = { type: ['string', 'null'], format: 'date' };
+const AMOUNT = { type: 'number', minimum: 0 };
+
+// Metadatos que escribe el servidor en todas las entidades
+const SERVER_FIELDS = {
+  id: { readOnly: true },
+  createdAt: { readOnly: true },
+  updatedAt: { readOnly: true }
+};
+
+// Campos de archivo (DELETE con mode=archive)
+const ARCHIVE_FIELDS = {
+  archived: { readOnly: true },
+  archivedAt: { readOnly: true },
+  archivedBy: { readOnly: true }
+};
+
+const PROPERTY_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: NON_BLANK,
+    address: OPTIONAL_TEXT,
+    city: OPTIONAL_TEXT,
+    state: OPTIONAL_TEXT,
+    country: OPTIONAL_TEXT,
+    zipCode: LABEL,
+    type: OPTIONAL_TEXT,
+    description: OPTIONAL_TEXT,
+    notes: OPTIONAL_TEXT,
+    active: { type: 'boolean' },
+    ...SERVER_FIELDS,
+    ...ARCHIVE_FIELDS
+  }
+};
+
+const UNIT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'propertyId'],
+  properties: {
+    name: NON_BLANK,
+    propertyId: NON_BLANK,
+    number: LABEL,
+    unitNumber: LABEL,
+    floor: LABEL,
+    type: OPTIONAL_TEXT,
+    description: OPTIONAL_TEXT,
+    notes: OPTIONAL_TEXT,
+    rent: { type: ['number', 'null'], minimum: 0 },
+    active: { type: 'boolean' },
+    ...SERVER_FIELDS,
+    ...ARCHIVE_FIELDS
+  }
+};
+
+const EXPENSE_SCHEMA = {
+  type: 'object',
+  required: ['description', 'amount'],
+  properties: {
+    description: NON_BLANK,
+    amount: AMOUNT,
+    category: OPTIONAL_TEXT,
+    unitId: { type: ['string', 'null'], minLength: 1 },
+    isRecurring: { type: 'boolean' },
+    paid: { type: 'boolean' },
+    dueDate: DATE,
+    paymentDate: DATE,
+    notes: OPTIONAL_TEXT,
+    year: { type: 'integer', readOnly: true },
+    month: { type: 'integer', minimum: 1, maximum: 12, readOnly: true },
+    generatedFrom: { readOnly: true },
+    ...SERVER_FIELDS
+  }
+};
+
+const INCOME_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['category', 'amount'],
+  properties: {
+    id: { type: 'string', readOnly: true },
+    category: NON_BLANK,
+    description: OPTIONAL_TEXT,
+    amount: AMOUNT,
+    paid: { type: 'boolean' },
+    paidDate: DATE,
+    dueDate: DATE,
+    notes: OPTIONAL_TEXT,
+    // Contrato del que lo generó el rent roll (POST /api/recurring/rent-roll)
+    leaseId: { type: 'string', readOnly: true }
+  }
+};
+
+// Documento del período (properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM}); solo lo escribe el servidor
+const INCOME_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: { type: 'array', items: INCOME_ITEM_SCHEMA },
+    amount: { type: 'number' },
+    paidAmount: { type: 'number' },
+    paid: { type: 'boolean' },
+    year: { type: 'integer' },
+    month: { type: 'integer', minimum: 1, maximum: 12 },
+    ...SERVER_FIELDS
+  }
+};
+
+// Contrato de alquiler de una unidad (las reglas entre fechas y estado están en utils/leases)
+const LEASE_SCHEMA = {
+  type: 'object',
+  required: ['propertyId', 'unitId', 'startDate', 'rent', 'dueDay'],
+  properties: {
+    propertyId: NON_BLANK,
+    unitId: NON_BLANK,
+    startDate: { type: 'string', format: 'date' },
+    endDate: DATE,
+    rent: AMOUNT,
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    deposit: { type: ['number', 'null'], minimum: 0 },
+    dueDay: { type: 'integer', minimum: 1, maximum: 31 },
+    status: { type: 'string', enum: LEASE_STATUSES },
+    tenantIds: { type: 'array', items: NON_BLANK },
+    notes: OPTIONAL_TEXT,
+    ...SERVER_FIELDS
+  }
+};
+
+// Inquilino (los datos personales se excluyen de los backups salvo que se pidan, ver utils/tenants)
+const TENANT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: NON_BLANK,
+    documentNumber: LABEL,
+    phone: LABEL,
+    email: { type: ['string', 'null'], pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+    emergencyContact: {
+      type: ['object', 'null'],
+      properties: {
+        name: OPTIONAL_TEXT,
+        phone: LABEL,
+        relationship: OPTIONAL_TEXT
+      }
+    },
+    notes: OPTIONAL_TEXT,
+    ...SERVER_FIELDS
+  }
+};
+
+// Opciones de POST /api/recurring/generate y /api/recurring/validate
+const RECURRING_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    sourceYear: { type: ['integer', 'null'], minimum: 2020, maximum: 2030 },
+    sourceMonth: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+    targetYear: { type: ['integer', 'null'], minimum: 2020, maximum: 2030 },
+    targetMonth: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+// Opciones de POST /api/recurring/rent-roll (el período destino sale de los contratos, no de un mes fuente)
+const RENT_ROLL_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    targetYear: { type: ['integer', 'null'], minimum: 2020, maximum: 2030 },
+    targetMonth: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+const ENTITY_SCHEMAS = {
+  property: PROPERTY_SCHEMA,
+  unit: UNIT_SCHEMA,
+  expense: EXPENSE_SCHEMA,
+  incomeItem: INCOME_ITEM_SCHEMA,
+  income: INCOME_SCHEMA,
+  lease: LEASE_SCHEMA,
+  tenant: TENANT_SCHEMA,
+  recurringOptions: RECURRING_OPTIONS_SCHEMA,
+  rentRollOptions: RENT_ROLL_OPTIONS_SCHEMA
+};
+
+// Cómo se aplica cada esquema según el origen de los datos
+const VALIDATION_MODES = {
+  api: { unknown: 'reject', readOnly: 'reject' },
+  restore: { unknown: 'keep', readOnly: 'allow' }
+};
+
+/**
+ * Valida y normaliza los datos de una entidad
+ * @param {string} entity - property | unit | expense | incomeItem | income | lease | tenant | recurringOptions | rentRollOptions
+ * @param {Object} data - Datos a validar
+ * @param {Object} options - Opciones
+ * @param {string} options.mode - 'api' (default) | 'restore'
+ * @param {boolean} options.partial - Actualización parcial: no se exigen los campos requeridos (default: false)
+ * @returns {Object} - { valid, value, errors: [{ field, message }], error } (value con los tipos convertidos)
+ */
+function validateEntity(entity, data, options = {}) {
+  const schema = ENTITY_SCHEMAS[entity];
+  if (!schema) {
+    throw new Error(`Esquema desconocido: ${entity}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    const errors = [{ field: '', message: 'se espera un objeto' }];
+    return { valid: false, value: data, errors, error: formatErrors(errors) };
+  }
+
+  const mode = VALIDATION_MODES[options.mode || 'api'];
+  const result = applySchema(data, schema, { ...mode, partial: options.partial === true });
+
+  if (options.partial && Object.keys(data).length === 0) {
+    result.errors.unshift({ field: '', message: 'no hay campos para actualizar' });
+    result.valid = false;
+  }
+
+  return {
+    valid: result.valid,
+    value: result.value,
+    errors: result.errors,
+    error: result.valid ? null : formatErrors(result.errors)
+  };
+}
+
+/**
+ * Resume los errores de validación en un texto
+ * @param {Array<Object>} errors - Errores { field, message }
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  return `Datos inválidos: ${errors.map(error => formatError(error)).join('; ')}`;
+}
+
+module.exports = {
+  ENTITY_SCHEMAS,
+  validateEntity,
+  formatErrors
+};
@@ -0,0 +1,139 @@
+/**
+ * Control de concurrencia optimista con ETag / If-Match
+ * El ETag es un hash del contenido del documento, que incluye updatedAt: cambia con cualquier
+ * escritura, también con las que no actualizan updatedAt (documentos anteriores o escritos por
+ * otros procesos). Las actualizaciones con If-Match comparan el ETag dentro de una transacción,
+ * así dos ediciones simultáneas no se pisan: la segunda recibe 412
+ * El ETag que se devuelve después de actualizar es el de la versión que escribió esa transacción
+ * (no se vuelve a leer el documento: otra escritura posterior tendría otro ETag)
+ */
+const crypto = require('crypto');
+const { FieldValue, Timestamp } = require('firebase-admin').firestore;
+
+/**
+ * Representación estable de un valor (claves ordenadas, Timestamps con nanosegundos)
+ * @private
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (typeof value.toDate === 'function' && value.seconds !== undefined) {
+    return { $timestamp: `${value.seconds}.${value.nanoseconds}` };
+  }
+
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  return Object.keys(value)
+    .sort()
+    .reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+}
+
+/**
+ * Calcula el ETag de un documento
+ * @param {Object} data - Datos del documento (sin el id)
+ * @returns {string} - ETag entre comillas
+ */
+function computeETag(data) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(canonicalize(data || {})))
+    .digest('base64url');
+
+  return `"${hash}"`;
+}
+
+/**
+ * Lee el header If-Match
+ * @param {string} header - Valor del header (puede tener varios ETags separados por coma o *)
+ * @returns {Array<string>|null} - ETags aceptados, o null si no se envió
+ */
+function parseIfMatch(header) {
+  if (!header || !String(header).trim()) {
+    return null;
+  }
+
+  // Algunos proxies convierten los ETags en débiles (W/"...")
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Reemplaza los FieldValue.serverTimestamp() de primer nivel por un Timestamp concreto,
+ * para conocer el documento exacto que se escribe
+ * @private
+ */
+function resolveServerTimestamps(fields, now) {
+  const serverTimestamp = FieldValue.serverTimestamp();
+
+  return Object.keys(fields).reduce((resolved, key) => {
+    const value = fields[key];
+    resolved[key] = value instanceof FieldValue && value.isEqual(serverTimestamp) ? now : value;
+    return resolved;
+  }, {});
+}
+
+/**
+ * Actualiza un documento en una transacción si su ETag coincide con If-Match
+ * Sin If-Match la actualización se aplica siempre (compatibilidad con clientes anteriores)
+ * @param {Firestore} db - Instancia de Firestore
+ * @param {DocumentReference} docRef - Documento a actualizar
+ * @param {string} ifMatch - Header If-Match de la request
+ * @param {Function} buildUpdate - Recibe los datos actuales y devuelve los campos de primer nivel a actualizar
+ *   (valores concretos o FieldValue.serverTimestamp(), que se guarda con la hora de la transacción)
+ * @returns {Promise<Object>} { success, before, after, etag } o { success: false, notFound | preconditionFailed, error, etag }
+ */
+async function updateIfMatch(db, docRef, ifMatch, buildUpdate) {
+  const accepted = parseIfMatch(ifMatch);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      return { success: false, notFound: true };
+    }
+
+    const etag = computeETag(doc.data());
+    if (accepted && !accepted.includes('*') && !accepted.includes(etag)) {
+      return {
+        success: false,
+        preconditionFailed: true,
+        error: 'El documento fue modificado después de leerlo: volver a obtenerlo y reintentar',
+        etag
+      };
+    }
+
+    const update = resolveServerTimestamps(buildUpdate(doc.data()), Timestamp.now());
+    transaction.update(docRef, update);
+    return { success: true, before: doc.data(), after: { ...doc.data(), ...update } };
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    before: result.before,
+    after: result.after,
+    etag: computeETag(result.after)
+  };
+}
+
+module.exports = {
+  computeETag,
+  parseIfMatch,
+  updateIfMatch
+};
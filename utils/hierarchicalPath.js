@@ -21,6 +21,31 @@ function getStoragePath(date) {
   };
 }
 
+/**
+ * Valida el año y mes de una ruta (/:year/:month) y construye la clave del período
+ * @param {number|string} year - Año (4 dígitos)
+ * @param {number|string} month - Mes (1-12)
+ * @returns {Object} - { year, month, periodKey } o { error }
+ */
+function parsePeriod(year, month) {
+  const yearNum = Number(year);
+  const monthNum = Number(month);
+
+  if (!Number.isInteger(yearNum) || yearNum < 1000 || yearNum > 9999) {
+    return { error: 'year debe ser un año de 4 dígitos' };
+  }
+
+  if (!Number.isInteger(monthNum) || monthNum < 1 || monthNum > 12) {
+    return { error: 'month debe estar entre 1 y 12' };
+  }
+
+  return {
+    year: yearNum,
+    month: monthNum,
+    periodKey: `${yearNum}-${monthNum.toString().padStart(2, '0')}`
+  };
+}
+
 /**
  * Obtiene referencia a colección con estructura jerárquica REAL
  * Estructura: properties/{propertyId}/expenses/{year-month}/items/
@@ -173,26 +198,43 @@ async function listIncomePeriods(db, propertyId, unitId) {
 
 /**
  * Obtiene todas las unidades de una propiedad
+ * Se leen de la colección units (ubicación canónica) y, mientras no se haya migrado la base
+ * (ver POST /api/units/reconcile), también los documentos legados de properties/{propertyId}/units
+ * que todavía no están en units con esta propiedad. Después de migrar, properties/{propertyId}/units
+ * solo contiene los incomes de cada unidad (sin documento) y no agrega nada
  * @param {Firestore} db - Instancia de Firestore  
  * @param {string} propertyId - ID de la propiedad
  * @returns {Promise<Array>} - Array de unidades
  */
 async function getPropertyUnits(db, propertyId) {
   try {
-    const unitsRef = db.collection('properties')
-      .doc(propertyId)
-      .collection('units');
+    const unitsRef = db.collection('units')
+      .where('propertyId', '==', propertyId);
     
-    const snapshot = await unitsRef.get();
+    const [snapshot, legacySnapshot] = await Promise.all([
+      unitsRef.get(),
+      db.collection('properties').doc(propertyId).collection('units').get()
+    ]);
     const units = [];
+    const unitIds = new Set();
     
     snapshot.forEach(doc => {
+      unitIds.add(doc.id);
       units.push({
         id: doc.id,
         ...doc.data()
       });
     });
     
+    legacySnapshot.forEach(doc => {
+      if (unitIds.has(doc.id)) return;
+      units.push({
+        id: doc.id,
+        ...doc.data(),
+        propertyId
+      });
+    });
+    
     return units;
   } catch (error) {
     console.error('Error obteniendo unidades de la propiedad:', error);
@@ -258,6 +300,7 @@ async function getIncomes(db, propertyId, unitId, year, month) {
 
 module.exports = {
   getStoragePath,
+  parsePeriod,
   getCollection,
   listExpensePeriods,
   listIncomePeriods,
@@ -0,0 +1,145 @@
+/**
+ * Utilidades para los incomes con varios items por período
+ * Cada período de una unidad es un documento properties/{propertyId}/units/{unitId}/incomes/{YYYY-MM}
+ * con un array items ({ id, category, description, amount, paid, paidDate }).
+ * amount, paidAmount y paid del documento son totales derivados de los items (los leen el export,
+ * las transacciones y los reportes que no conocen los items).
+ * Los documentos anteriores (sin items) guardan un único income con sus campos en el documento.
+ */
+const crypto = require('crypto');
+const { validateEntity } = require('./entitySchemas');
+
+// ID del item que representa a un documento anterior a los items
+const LEGACY_ITEM_ID = 'legacy';
+
+// Campos de un documento anterior que pasan al item al migrar
+const LEGACY_ITEM_FIELDS = ['description', 'category', 'isPaid', 'status', 'paymentDate', 'paidDate', 'paidAt'];
+
+const DEFAULT_CATEGORY = 'rent';
+
+/**
+ * Determina si un registro está pagado según los campos disponibles
+ * @param {Object} record - Expense, income o item
+ * @returns {boolean}
+ */
+function isPaid(record) {
+  if (typeof record.paid === 'boolean') return record.paid;
+  if (typeof record.isPaid === 'boolean') return record.isPaid;
+  if (record.status) return ['paid', 'pagado'].includes(String(record.status).toLowerCase());
+  return Boolean(record.paymentDate || record.paidDate || record.paidAt);
+}
+
+/**
+ * Genera el ID de un item nuevo
+ * @returns {string}
+ */
+function createItemId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Indica si un documento de income es anterior a los items
+ * @param {Object} data - Datos del documento
+ * @returns {boolean}
+ */
+function isLegacyIncome(data) {
+  return !Array.isArray(data.items);
+}
+
+/**
+ * Fecha de pago de un documento anterior como YYYY-MM-DD (puede ser Timestamp, Date o texto ISO)
+ * @private
+ */
+function toPaidDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString().split('T')[0];
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return typeof value === 'string' ? value.split('T')[0] : null;
+}
+
+/**
+ * Convierte un documento anterior a los items en su único item
+ * @param {Object} data - Datos del documento
+ * @returns {Object} - Item
+ */
+function legacyToItem(data) {
+  return {
+    id: LEGACY_ITEM_ID,
+    category: data.category || DEFAULT_CATEGORY,
+    description: data.description || null,
+    amount: Number.isFinite(Number(data.amount)) ? Number(data.amount) : 0,
+    paid: isPaid(data),
+    paidDate: toPaidDate(data.paymentDate || data.paidDate || data.paidAt)
+  };
+}
+
+/**
+ * Items de un documento de income (convierte los documentos anteriores)
+ * @param {Object} data - Datos del documento
+ * @returns {Array<Object>} - Items
+ */
+function getIncomeItems(data) {
+  if (!data) return [];
+  return isLegacyIncome(data) ? [legacyToItem(data)] : data.items;
+}
+
+/**
+ * Calcula los totales derivados de los items
+ * @param {Array<Object>} items - Items del período
+ * @returns {Object} - { amount, paidAmount, paid }
+ */
+function summarizeItems(items) {
+  const amount = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+  const paidAmount = items
+    .filter(item => item.paid === true)
+    .reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+  return {
+    amount,
+    paidAmount,
+    paid: items.length > 0 && items.every(item => item.paid === true)
+  };
+}
+
+/**
+ * Construye los campos del documento a partir de sus items
+ * Al convertir un documento anterior se eliminan los campos que pasaron al item
+ * @param {Object} data - Datos actuales del documento (null si no existe)
+ * @param {Array<Object>} items - Items del período
+ * @param {Object} FieldValue - admin.firestore.FieldValue (para eliminar los campos anteriores)
+ * @returns {Object} - Campos para update/set
+ */
+function buildIncomeFields(data, items, FieldValue) {
+  const fields = { items, ...summarizeItems(items) };
+
+  if (data && isLegacyIncome(data)) {
+    LEGACY_ITEM_FIELDS
+      .filter(field => field in data)
+      .forEach(field => { fields[field] = FieldValue.delete(); });
+  }
+
+  return fields;
+}
+
+/**
+ * Valida un item de income contra el esquema de item
+ * @param {Object} item - Item
+ * @param {Object} options - Opciones
+ * @param {boolean} options.partial - Actualización: amount y category son opcionales (default: false)
+ * @returns {Object} { valid, value, errors: [{ field, message }], error }
+ */
+function validateIncomeItem(item, options = {}) {
+  return validateEntity('incomeItem', item, { partial: options.partial === true });
+}
+
+module.exports = {
+  LEGACY_ITEM_ID,
+  isPaid,
+  createItemId,
+  isLegacyIncome,
+  legacyToItem,
+  getIncomeItems,
+  summarizeItems,
+  buildIncomeFields,
+  validateIncomeItem
+};
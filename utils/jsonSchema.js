@@ -0,0 +1,292 @@
+/**
+ * Validador mínimo de JSON Schema (draft-07)
+ * Soporta el subconjunto usado por los esquemas del proyecto: type, const, enum, required,
+ * properties, additionalProperties, propertyNames, items, minLength, maxLength, pattern,
+ * minimum, maximum, format date-time y date, readOnly, allOf e if/then
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Tipo JSON de un valor
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Indica si un valor cumple un tipo de JSON Schema
+ * @private
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Indica si un texto es una fecha YYYY-MM-DD existente
+ * @private
+ */
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().startsWith(value);
+}
+
+/**
+ * Ruta de un campo dentro de un objeto
+ * @private
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Valida un valor contra un esquema y agrega los errores { field, message }
+ * @private
+ */
+function collectErrors(value, schema, path, errors, options = {}) {
+  if (!schema || schema === true) {
+    return;
+  }
+
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(path, `se espera ${types.join(' o ')}, se recibió ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(path, `debe ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(path, `debe ser uno de: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    // Un error de longitud ya explica el valor: no se informa también el pattern
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(path, 'no puede estar vacío');
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(path, `no puede superar ${schema.maxLength} caracteres`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(path, `formato inválido (${schema.pattern})`);
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      fail(path, 'debe ser una fecha ISO válida');
+    }
+    if (schema.format === 'date' && !isValidDate(value)) {
+      fail(path, 'debe ser una fecha válida con formato YYYY-MM-DD');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(path, `debe ser mayor o igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(path, `debe ser menor o igual a ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    if (!options.skipRequired) {
+      for (const field of schema.required || []) {
+        if (value[field] === undefined) {
+          fail(joinPath(path, field), 'es requerido');
+        }
+      }
+    }
+
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const fieldPath = joinPath(path, key);
+
+      if (schema.propertyNames) {
+        collectErrors(key, schema.propertyNames, `${fieldPath} (clave)`, errors);
+      }
+
+      if (schema.properties && schema.properties[key]) {
+        collectErrors(fieldValue, schema.properties[key], fieldPath, errors);
+      } else if (schema.additionalProperties === false) {
+        fail(fieldPath, 'campo no permitido');
+      } else if (typeof schema.additionalProperties === 'object') {
+        collectErrors(fieldValue, schema.additionalProperties, fieldPath, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      collectErrors(item, schema.items, `${path}[${index}]`, errors);
+    });
+  }
+
+  for (const subschema of schema.allOf || []) {
+    collectErrors(value, subschema, path, errors, options);
+  }
+
+  if (schema.if && schema.then) {
+    const conditionErrors = [];
+    collectErrors(value, schema.if, path, conditionErrors);
+    if (conditionErrors.length === 0) {
+      collectErrors(value, schema.then, path, errors, options);
+    }
+  }
+}
+
+/**
+ * Valida un valor contra un esquema
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Esquema JSON Schema
+ * @param {string} path - Ruta del valor (para los mensajes de error)
+ * @returns {Array<string>} - Errores encontrados (vacío si es válido)
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  collectErrors(value, schema, path, errors);
+  return errors.map(error => formatError(error));
+}
+
+/**
+ * Convierte un error { field, message } en texto
+ * @param {Object} error - Error estructurado
+ * @returns {string} - "campo: mensaje"
+ */
+function formatError(error) {
+  return `${error.field || '(raíz)'}: ${error.message}`;
+}
+
+/**
+ * Convierte un valor al tipo que declara el esquema cuando llega como texto ("12" → 12, "true" → true)
+ * Las fechas (format date) también aceptan Date y Timestamp de Firestore (datos anteriores o restaurados)
+ * @private
+ */
+function coerceValue(value, schema) {
+  if (schema && schema.format === 'date' && value && typeof value === 'object') {
+    const date = value instanceof Date ? value : (typeof value.toDate === 'function' ? value.toDate() : null);
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : value;
+  }
+
+  if (typeof value !== 'string' || !schema || !schema.type) {
+    return value;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('string')) {
+    return value;
+  }
+
+  const trimmed = value.trim();
+
+  if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+
+  if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Prepara un valor según su esquema: convierte tipos y resuelve los campos desconocidos y readOnly
+ * Solo recorre los objetos con properties (los esquemas de entidades, que no usan additionalProperties)
+ * @private
+ */
+function prepareValue(value, schema, path, context) {
+  const { options, errors, stripped } = context;
+
+  if (!schema || schema === true) {
+    return value;
+  }
+
+  const coerced = options.coerce ? coerceValue(value, schema) : value;
+
+  if (Array.isArray(coerced) && schema.items) {
+    return coerced.map((item, index) => prepareValue(item, schema.items, `${path}[${index}]`, context));
+  }
+
+  if (typeOf(coerced) !== 'object' || !schema.properties) {
+    return coerced;
+  }
+
+  const result = {};
+
+  for (const [key, fieldValue] of Object.entries(coerced)) {
+    const fieldPath = joinPath(path, key);
+    const fieldSchema = schema.properties[key];
+
+    if (!fieldSchema) {
+      if (options.unknown === 'strip') {
+        stripped.push(fieldPath);
+        continue;
+      }
+      if (options.unknown === 'reject') {
+        errors.push({ field: fieldPath, message: 'campo no permitido' });
+        continue;
+      }
+      result[key] = fieldValue;
+      continue;
+    }
+
+    if (fieldSchema.readOnly && options.readOnly === 'reject') {
+      errors.push({ field: fieldPath, message: 'lo define el servidor' });
+      continue;
+    }
+
+    result[key] = prepareValue(fieldValue, fieldSchema, fieldPath, context);
+  }
+
+  return result;
+}
+
+/**
+ * Valida y normaliza un valor con su esquema (para los datos que se escriben en Firestore)
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Esquema JSON Schema (con properties)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.coerce - Convertir textos a number/integer/boolean y fechas a YYYY-MM-DD según el esquema (default: true)
+ * @param {string} options.unknown - Campos que no declara el esquema: 'reject' (default) | 'strip' | 'keep'
+ * @param {string} options.readOnly - Campos readOnly: 'reject' (default, los define el servidor) | 'allow'
+ * @param {boolean} options.partial - Actualización parcial: no se exigen los campos required (default: false)
+ * @returns {Object} - { valid, value, errors: [{ field, message }], stripped: [campos eliminados] }
+ */
+function applySchema(value, schema, options = {}) {
+  const context = {
+    options: {
+      coerce: options.coerce !== false,
+      unknown: options.unknown || 'reject',
+      readOnly: options.readOnly || 'reject'
+    },
+    errors: [],
+    stripped: []
+  };
+
+  const prepared = prepareValue(value, schema, '', context);
+
+  collectErrors(prepared, schema, '', context.errors, { skipRequired: options.partial === true });
+
+  return {
+    valid: context.errors.length === 0,
+    value: prepared,
+    errors: context.errors,
+    stripped: context.stripped
+  };
+}
+
+module.exports = {
+  validateSchema,
+  applySchema,
+  formatError
+};
@@ -0,0 +1,147 @@
+/**
+ * Utilidades para los contratos de alquiler (leases)
+ * Cada contrato vive en leases/{leaseId} con su propertyId y unitId, y define el alquiler mensual
+ * de la unidad entre startDate y endDate (YYYY-MM-DD, endDate null = sin fecha de fin).
+ * - draft: borrador, no se considera en las superposiciones ni en las búsquedas
+ * - active: vigente entre sus fechas
+ * - ended: finalizado, se conserva como historial de la unidad
+ */
+
+const LEASE_STATUSES = ['draft', 'active', 'ended'];
+
+const DEFAULT_CURRENCY = 'ARS';
+
+// Fecha de fin de los contratos sin endDate (mayor que cualquier YYYY-MM-DD)
+const OPEN_END = '9999-12-31';
+
+/**
+ * Indica si un contrato se considera en las superposiciones y búsquedas (no es borrador)
+ * @private
+ */
+function isBinding(lease) {
+  return lease.status !== 'draft';
+}
+
+/**
+ * Indica si dos rangos de fechas YYYY-MM-DD se superponen (ambos extremos incluidos)
+ * @private
+ */
+function rangesOverlap(startA, endA, startB, endB) {
+  return startA <= (endB || OPEN_END) && startB <= (endA || OPEN_END);
+}
+
+/**
+ * Primer y último día de un período
+ * @private
+ */
+function periodRange(periodKey) {
+  const [year, month] = periodKey.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return { start: `${periodKey}-01`, end: `${periodKey}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * Fecha de hoy como YYYY-MM-DD (UTC)
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Valida las reglas entre campos de un contrato completo (fechas y estado)
+ * @param {Object} lease - Datos del contrato
+ * @returns {Array<Object>} - Errores { field, message } (vacío si es válido)
+ */
+function checkLeaseTerms(lease) {
+  const errors = [];
+
+  if (lease.endDate && lease.endDate < lease.startDate) {
+    errors.push({ field: 'endDate', message: 'debe ser igual o posterior a startDate' });
+  }
+
+  // Un contrato finalizado sin fecha de fin bloquearía la unidad para siempre
+  if (lease.status === 'ended' && !lease.endDate) {
+    errors.push({ field: 'endDate', message: 'es requerido para un contrato ended' });
+  }
+
+  return errors;
+}
+
+/**
+ * Busca los contratos de la unidad que se superponen con un contrato
+ * Los borradores no se superponen con ninguno
+ * @param {Object} lease - Contrato nuevo o actualizado ({ id, status, startDate, endDate })
+ * @param {Array<Object>} leases - Contratos de la misma unidad
+ * @returns {Array<Object>} - Contratos superpuestos
+ */
+function findOverlappingLeases(lease, leases) {
+  if (!isBinding(lease)) {
+    return [];
+  }
+
+  return leases.filter(other =>
+    other.id !== lease.id &&
+    isBinding(other) &&
+    rangesOverlap(lease.startDate, lease.endDate, other.startDate, other.endDate)
+  );
+}
+
+/**
+ * Contrato activo de una unidad en una fecha
+ * @param {Array<Object>} leases - Contratos de la unidad
+ * @param {string} date - Fecha YYYY-MM-DD (default: hoy)
+ * @returns {Object|null}
+ */
+function findCurrentLease(leases, date = today()) {
+  return leases.find(lease =>
+    lease.status === 'active' && rangesOverlap(lease.startDate, lease.endDate, date, date)
+  ) || null;
+}
+
+/**
+ * Contratos (activos o finalizados) vigentes en algún día de un período, ordenados por startDate
+ * Un período puede tener dos contratos si uno termina y el siguiente empieza en el mismo mes
+ * @param {Array<Object>} leases - Contratos de la unidad
+ * @param {string} periodKey - Período YYYY-MM
+ * @returns {Array<Object>}
+ */
+function findLeasesForPeriod(leases, periodKey) {
+  const { start, end } = periodRange(periodKey);
+
+  return leases
+    .filter(lease => isBinding(lease) && rangesOverlap(lease.startDate, lease.endDate, start, end))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Datos de un contrato que se agregan a los listados de unidades e incomes
+ * @param {Object} lease - Contrato
+ * @returns {Object|null}
+ */
+function summarizeLease(lease) {
+  if (!lease) return null;
+
+  return {
+    id: lease.id,
+    status: lease.status,
+    startDate: lease.startDate,
+    endDate: lease.endDate || null,
+    rent: lease.rent,
+    currency: lease.currency,
+    dueDay: lease.dueDay,
+    tenantIds: lease.tenantIds || []
+  };
+}
+
+module.exports = {
+  LEASE_STATUSES,
+  DEFAULT_CURRENCY,
+  today,
+  checkLeaseTerms,
+  findOverlappingLeases,
+  findCurrentLease,
+  findLeasesForPeriod,
+  summarizeLease
+};
@@ -0,0 +1,188 @@
+/**
+ * Paginación por cursor, filtros y orden de los listados
+ * Los listados se arman en memoria (acceso por rol, archivados, vistas agregadas como las transacciones),
+ * por lo que el cursor no es un offset: guarda el orden y el último elemento devuelto (valor del campo
+ * y clave), y la página siguiente empieza después de ese elemento aunque se agreguen o eliminen
+ * documentos entre requests
+ */
+
+const MAX_LIMIT = 500;
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Valor de orden de un campo (Timestamps y Date como texto ISO)
+ * @private
+ */
+function sortValue(item, field) {
+  const value = item[field];
+  if (value === undefined || value === null) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Compara dos valores de orden (null va al final en orden ascendente)
+ * @private
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Codifica la posición del último elemento de una página
+ * @private
+ */
+function encodeCursor(sort, value, key) {
+  return Buffer.from(JSON.stringify([sort.field, sort.direction, value, key])).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor (null si no es válido)
+ * @private
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 4) return null;
+
+    const [field, direction, value, key] = decoded;
+    return { field, direction, value, key };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Valida los parámetros de un listado: limit, cursor, sort y los filtros declarados
+ * @param {Object} query - Query string de la request
+ * @param {Object} spec - Definición del listado
+ * @param {Array<string>} spec.sortFields - Campos por los que se puede ordenar
+ * @param {string} spec.defaultSort - Orden por defecto ('campo' o '-campo' para descendente)
+ * @param {Object} spec.filters - Filtros por nombre de parámetro:
+ *   - { type: 'boolean', missing } compara con el campo; missing es el valor de los documentos sin el campo
+ *   - { type: 'string' } compara con el campo
+ *   - { values, default, match(item, value) } valor de una lista con su propia comparación
+ *   - { match(item, value) } valor libre con su propia comparación (búsquedas)
+ * @returns {Object} - { options: { limit, cursor, sort, filters } } o { error }
+ */
+function parseListQuery(query = {}, spec) {
+  const options = { limit: null, cursor: null, sort: null, filters: [] };
+
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit debe ser un entero mayor a 0' };
+    }
+    options.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const rawSort = query.sort || spec.defaultSort;
+  const field = rawSort.replace(/^-/, '');
+  if (!spec.sortFields.includes(field)) {
+    return { error: `sort debe ser uno de: ${spec.sortFields.join(', ')} (con - para orden descendente)` };
+  }
+  options.sort = { field, direction: rawSort.startsWith('-') ? 'desc' : 'asc' };
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || !SORT_DIRECTIONS.includes(cursor.direction)) {
+      return { error: 'cursor inválido' };
+    }
+    if (cursor.field !== options.sort.field || cursor.direction !== options.sort.direction) {
+      return { error: 'El cursor corresponde a otro orden: usar el mismo sort de la primera página' };
+    }
+    options.cursor = cursor;
+  }
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const raw = query[name] !== undefined && query[name] !== '' ? String(query[name]) : filter.default;
+    if (raw === undefined) continue;
+
+    if (filter.type === 'boolean') {
+      if (raw !== 'true' && raw !== 'false') {
+        return { error: `${name} debe ser true o false` };
+      }
+      const value = raw === 'true';
+      options.filters.push({
+        name,
+        value,
+        match: item => (item[name] === undefined ? filter.missing : item[name]) === value
+      });
+      continue;
+    }
+
+    if (filter.values) {
+      if (!filter.values.includes(raw)) {
+        return { error: `${name} debe ser uno de: ${filter.values.join(', ')}` };
+      }
+      options.filters.push({ name, value: raw, match: item => filter.match(item, raw) });
+      continue;
+    }
+
+    if (filter.match) {
+      options.filters.push({ name, value: raw, match: item => filter.match(item, raw) });
+      continue;
+    }
+
+    options.filters.push({ name, value: raw, match: item => item[name] === raw });
+  }
+
+  return { options };
+}
+
+/**
+ * Filtra, ordena y pagina un listado
+ * El orden desempata por la clave de cada elemento para que el cursor sea determinístico
+ * @param {Array<Object>} items - Elementos del listado
+ * @param {Object} options - Opciones de parseListQuery
+ * @param {Function} getKey - Clave única de un elemento (default: item.id)
+ * @returns {Object} - { items (página), nextCursor (null en la última página), filtered (todos los que cumplen los filtros) }
+ */
+function paginate(items, options, getKey = item => item.id) {
+  const { field, direction } = options.sort;
+  const sign = direction === 'desc' ? -1 : 1;
+  const compareTo = (item, value, key) =>
+    sign * (compareValues(sortValue(item, field), value) || compareValues(getKey(item), key));
+
+  const filtered = items
+    .filter(item => options.filters.every(filter => filter.match(item)))
+    .sort((a, b) => compareTo(a, sortValue(b, field), getKey(b)));
+
+  let start = 0;
+  if (options.cursor) {
+    start = filtered.findIndex(item => compareTo(item, options.cursor.value, options.cursor.key) > 0);
+    if (start === -1) start = filtered.length;
+  }
+
+  const end = options.limit ? start + options.limit : filtered.length;
+  const page = filtered.slice(start, end);
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor: end < filtered.length ? encodeCursor(options.sort, sortValue(last, field), getKey(last)) : null,
+    filtered
+  };
+}
+
+/**
+ * Indica si la request pide paginación (limit o cursor)
+ * Los listados que antes devolvían un array lo siguen devolviendo sin estos parámetros
+ * @param {Object} query - Query string de la request
+ * @returns {boolean}
+ */
+function isPaginated(query = {}) {
+  return Boolean(query.limit || query.cursor);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseListQuery,
+  paginate,
+  isPaginated
+};
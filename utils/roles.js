@@ -0,0 +1,179 @@
+/**
+ * Roles y permisos de la API
+ * El rol de cada usuario vive en los custom claims de Firebase Auth:
+ * { role, propertyIds, unitIds }
+ *
+ * - owner: acceso total
+ * - accountant: lectura de todos los datos, backups y reportes
+ * - manager: lectura y escritura limitada a sus propertyIds
+ * - tenant: solo lectura de los incomes de sus unitIds
+ */
+
+const ROLES = {
+  OWNER: 'owner',
+  ACCOUNTANT: 'accountant',
+  MANAGER: 'manager',
+  TENANT: 'tenant'
+};
+
+const ROLE_NAMES = Object.values(ROLES);
+
+// Todos los permisos que usan las rutas (authorize)
+const PERMISSIONS = [
+  'properties:read',
+  'properties:create',
+  'properties:update',
+  'properties:delete',
+  'units:read',
+  'units:write',
+  'units:reconcile',
+  'transactions:read',
+  'transactions:write',
+  'expenses:read',
+  'expenses:write',
+  'incomes:read',
+  'incomes:write',
+  'incomes:migrate',
+  'leases:read',
+  'leases:write',
+  'tenants:read',
+  'tenants:write',
+  'backup:read',
+  'backup:create',
+  'backup:delete',
+  'backup:restore',
+  'recurring:generate',
+  'recurring:validate',
+  'reports:read',
+  'audit:read',
+  'roles:manage',
+  'apiKeys:manage'
+];
+
+// Permisos que se pueden otorgar a una API key (las keys no administran roles ni otras keys)
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => !['roles:manage', 'apiKeys:manage'].includes(permission));
+
+// Permisos por rol ('*' = todos)
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: ['*'],
+  [ROLES.ACCOUNTANT]: [
+    'properties:read',
+    'units:read',
+    'transactions:read',
+    'expenses:read',
+    'incomes:read',
+    'leases:read',
+    'tenants:read',
+    'backup:read',
+    'backup:create',
+    'recurring:validate',
+    'reports:read'
+  ],
+  [ROLES.MANAGER]: [
+    'properties:read',
+    'properties:update',
+    'units:read',
+    'units:write',
+    'expenses:read',
+    'expenses:write',
+    'incomes:read',
+    'incomes:write',
+    'leases:read',
+    'leases:write',
+    'tenants:read',
+    'tenants:write',
+    'backup:read',
+    'reports:read'
+  ],
+  [ROLES.TENANT]: [
+    'incomes:read'
+  ]
+};
+
+// Roles limitados a propiedades / unidades específicas
+const SCOPED_ROLES = [ROLES.MANAGER, ROLES.TENANT];
+
+// Usuarios que son owner aunque no tengan claims (para asignar el primer rol)
+const OWNER_UIDS = (process.env.AUTH_OWNER_UIDS || '')
+  .split(',')
+  .map(uid => uid.trim())
+  .filter(Boolean);
+
+/**
+ * Indica si un rol tiene un permiso
+ * @param {string} role - Rol
+ * @param {string} permission - Permiso ('recurso:acción')
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Obtiene el acceso de un usuario a partir de su uid y sus custom claims
+ * @param {string} uid - UID de Firebase
+ * @param {Object} claims - Claims del ID token
+ * @returns {Object} { role, scoped, propertyIds, unitIds } (role null si no tiene rol)
+ */
+const resolveAccess = (uid, claims = {}) => {
+  const role = ROLE_NAMES.includes(claims.role)
+    ? claims.role
+    : (OWNER_UIDS.includes(uid) ? ROLES.OWNER : null);
+
+  const scoped = SCOPED_ROLES.includes(role);
+
+  return {
+    role,
+    scoped,
+    propertyIds: scoped && Array.isArray(claims.propertyIds) ? claims.propertyIds : [],
+    unitIds: role === ROLES.TENANT && Array.isArray(claims.unitIds) ? claims.unitIds : []
+  };
+};
+
+/**
+ * Valida y normaliza la asignación de un rol
+ * @param {Object} data - { role, propertyIds, unitIds }
+ * @returns {Object} { claims } o { error }
+ */
+const normalizeRoleClaims = (data = {}) => {
+  const { role } = data;
+
+  if (!ROLE_NAMES.includes(role)) {
+    return { error: `role debe ser uno de: ${ROLE_NAMES.join(', ')}` };
+  }
+
+  const toList = value => Array.isArray(value)
+    ? [...new Set(value.map(item => String(item).trim()).filter(Boolean))]
+    : [];
+
+  const claims = { role };
+
+  if (role === ROLES.MANAGER || role === ROLES.TENANT) {
+    claims.propertyIds = toList(data.propertyIds);
+    if (claims.propertyIds.length === 0) {
+      return { error: `El rol ${role} requiere al menos un propertyId en propertyIds` };
+    }
+  }
+
+  if (role === ROLES.TENANT) {
+    claims.unitIds = toList(data.unitIds);
+    if (claims.unitIds.length === 0) {
+      return { error: 'El rol tenant requiere al menos un unitId en unitIds' };
+    }
+  }
+
+  return { claims };
+};
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  SCOPED_ROLES,
+  hasPermission,
+  resolveAccess,
+  normalizeRoleClaims
+};
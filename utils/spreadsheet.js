@@ -0,0 +1,116 @@
+/**
+ * Utilidades para generar exports tabulares (CSV y XLSX)
+ * Las columnas se definen como [{ key, header, width }] y las filas son objetos planos
+ */
+const ExcelJS = require('exceljs');
+
+const MAX_SHEET_NAME_LENGTH = 31; // Límite de Excel
+const INVALID_SHEET_NAME_CHARS = /[\[\]:*?\/\\]/g;
+
+// Primer carácter con el que Excel y LibreOffice interpretan una celda como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Neutraliza el texto que una planilla ejecutaría como fórmula (descripciones, nombres y notas
+ * los cargan los usuarios): se antepone ' para que se muestre como texto
+ * @private
+ */
+function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * @private
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Genera un CSV con encabezado
+ * Incluye BOM UTF-8 para que Excel reconozca los acentos al abrirlo
+ * @param {Array<Object>} columns - Columnas { key, header }
+ * @param {Array<Object>} rows - Filas
+ * @returns {string} - Contenido CSV
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  });
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Normaliza un nombre de hoja de Excel (máximo 31 caracteres, sin caracteres inválidos, único)
+ * @param {string} name - Nombre deseado
+ * @param {Set<string>} usedNames - Nombres ya usados en el libro
+ * @returns {string} - Nombre válido
+ */
+function toSheetName(name, usedNames = new Set()) {
+  const base = (String(name || 'Hoja').replace(INVALID_SHEET_NAME_CHARS, ' ').trim() || 'Hoja')
+    .slice(0, MAX_SHEET_NAME_LENGTH);
+
+  let sheetName = base;
+  let counter = 2;
+
+  while (usedNames.has(sheetName.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+/**
+ * Genera un libro XLSX con una hoja por cada elemento de sheets
+ * @param {Array<Object>} sheets - Hojas { name, columns, rows }
+ * @returns {Promise<Buffer>} - Contenido del archivo XLSX
+ */
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const usedNames = new Set();
+
+  sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(toSheetName(sheet.name, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    worksheet.columns = sheet.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || 15,
+      style: column.numFmt ? { numFmt: column.numFmt } : undefined
+    }));
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.addRows(sheet.rows.map(row => {
+      const safeRow = { ...row };
+      sheet.columns.forEach(column => { safeRow[column.key] = neutralizeFormula(row[column.key]); });
+      return safeRow;
+    }));
+    worksheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: sheet.columns.length }
+    };
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  toCsv,
+  toSheetName,
+  toXlsx
+};
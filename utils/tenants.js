@@ -0,0 +1,82 @@
+/**
+ * Utilidades para los inquilinos (tenants)
+ * Cada inquilino vive en tenants/{tenantId} y se vincula a las unidades a través de los contratos
+ * (leases/{leaseId}.tenantIds). Sus datos de contacto son datos personales: los backups los
+ * excluyen salvo que se pidan explícitamente (includePersonalData)
+ */
+
+// Campos con datos personales (el nombre se conserva para poder identificar al inquilino)
+const PERSONAL_FIELDS = ['documentNumber', 'phone', 'email', 'emergencyContact', 'notes'];
+
+/**
+ * Texto en minúsculas y sin acentos para comparar nombres
+ * @private
+ */
+function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Número de documento solo con letras y dígitos (30.111.222 y 30111222 son el mismo documento)
+ * @private
+ */
+function normalizeDocument(value) {
+  return String(value).replace(/[^0-9a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * Indica si un inquilino coincide con una búsqueda por nombre o número de documento
+ * El nombre se compara sin mayúsculas ni acentos; el documento, sin puntos, guiones ni espacios
+ * @param {Object} tenant - Inquilino
+ * @param {string} search - Texto buscado
+ * @returns {boolean}
+ */
+function matchesTenantSearch(tenant, search) {
+  const term = normalizeText(search);
+  if (!term) return true;
+
+  if (tenant.name && normalizeText(tenant.name).includes(term)) {
+    return true;
+  }
+
+  const document = normalizeDocument(search);
+  return Boolean(document) &&
+    tenant.documentNumber !== undefined && tenant.documentNumber !== null &&
+    normalizeDocument(tenant.documentNumber).includes(document);
+}
+
+/**
+ * Indica si un usuario limitado a unas propiedades accede a un inquilino
+ * Un inquilino sin contratos todavía no pertenece a ninguna propiedad: lo ven y lo pueden vincular
+ * todos los usuarios con acceso a inquilinos. Con contratos, solo quienes acceden a alguna de sus propiedades
+ * @param {Array<Object>} tenantLeases - Contratos en los que figura el inquilino
+ * @param {Array<string>} propertyIds - Propiedades del usuario (vacío = sin límite)
+ * @returns {boolean}
+ */
+function isTenantAccessible(tenantLeases, propertyIds = []) {
+  return propertyIds.length === 0 ||
+    tenantLeases.length === 0 ||
+    tenantLeases.some(lease => propertyIds.includes(lease.propertyId));
+}
+
+/**
+ * Copia de un inquilino sin los datos personales
+ * @param {Object} tenant - Inquilino
+ * @returns {Object}
+ */
+function stripPersonalData(tenant) {
+  const stripped = { ...tenant };
+  PERSONAL_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+module.exports = {
+  PERSONAL_FIELDS,
+  matchesTenantSearch,
+  isTenantAccessible,
+  stripPersonalData
+};
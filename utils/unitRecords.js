@@ -0,0 +1,170 @@
+/**
+ * Utilidades para unificar los datos de una unidad
+ * La ubicación canónica es la colección units/{unitId} (con su propertyId);
+ * properties/{propertyId}/units/{unitId} solo contiene la subcolección incomes.
+ * Antes de la migración, la unidad también podía tener un documento propio dentro de la propiedad.
+ */
+const { diffFields } = require('./backupDiff');
+const { encodeFirestoreData } = require('./backupFormat');
+
+// Qué versión gana cuando un campo difiere: la canónica (units) o la de la propiedad
+const UNIT_PREFERENCES = ['units', 'property'];
+
+// Metadatos que no se consideran divergencia entre las dos versiones
+const IGNORED_FIELDS = ['propertyId', 'createdAt', 'updatedAt'];
+
+/**
+ * Compara la versión canónica de una unidad con la guardada dentro de la propiedad
+ * @param {Object} canonical - Datos de units/{unitId}
+ * @param {Object} legacy - Datos de properties/{propertyId}/units/{unitId}
+ * @returns {Array<Object>} - Campos distintos { field, units, property }
+ */
+function compareUnitData(canonical, legacy) {
+  return diffFields(encodeFirestoreData(canonical || {}), encodeFirestoreData(legacy || {}), IGNORED_FIELDS)
+    .map(change => ({ field: change.field, units: change.before, property: change.after }));
+}
+
+/**
+ * Combina las dos versiones de una unidad en el documento canónico
+ * Los campos que solo existen en una versión se conservan; en los que difieren gana prefer
+ * @param {Object} canonical - Datos de units/{unitId} (null si no existe)
+ * @param {Object} legacy - Datos de properties/{propertyId}/units/{unitId} (null si no existe)
+ * @param {string} propertyId - Propiedad de la unidad
+ * @param {string} prefer - 'units' (default) | 'property'
+ * @returns {Object} - Documento para units/{unitId}
+ */
+function mergeUnitData(canonical, legacy, propertyId, prefer = 'units') {
+  const merged = prefer === 'property'
+    ? { ...(canonical || {}), ...(legacy || {}) }
+    : { ...(legacy || {}), ...(canonical || {}) };
+
+  delete merged.id;
+  delete merged.incomes;
+  merged.propertyId = propertyId;
+
+  return merged;
+}
+
+/**
+ * Clasifica las unidades de las dos ubicaciones
+ * Una unidad legada cuyo ID ya existe en units con otra propiedad es un conflicto (propertyMismatch),
+ * aunque esa propiedad quede fuera del filtro: la migración nunca la sobrescribe
+ * @param {Object} state - Estado leído de Firestore
+ * @param {Array<Object>} state.legacyUnits - Documentos legados { unitId, propertyId, data }
+ * @param {Array<Object>} state.incomeOnlyUnits - Unidades legadas sin documento (solo incomes) { unitId, propertyId }
+ * @param {Map<string, Object>} state.canonicalUnits - Todas las unidades de units { unitId, propertyId, data } por ID
+ * @param {Set<string>} state.existingProperties - Propiedades con documento
+ * @param {Array<string>} state.propertyIds - Propiedades analizadas (vacío = todas)
+ * @returns {Object} { inSync, summary, onlyInProperty, diverging, propertyMismatch, duplicated,
+ *   orphanedIncomes, missingProperty, onlyInUnits }
+ */
+function buildReconciliationReport(state) {
+  const { legacyUnits, incomeOnlyUnits, canonicalUnits, existingProperties } = state;
+  const filter = state.propertyIds && state.propertyIds.length > 0 ? new Set(state.propertyIds) : null;
+
+  // Las unidades canónicas se buscan todas (un ID legado puede estar en units con otra propiedad),
+  // pero solo se informan las de las propiedades pedidas
+  const reportedUnits = [...canonicalUnits.values()]
+    .filter(canonical => !filter || filter.has(canonical.propertyId));
+
+  const onlyInProperty = [];
+  const diverging = [];
+  const propertyMismatch = [];
+  const orphanedIncomes = [];
+  const missingProperty = [];
+  const legacyIds = new Set();
+
+  // Una misma unidad guardada dentro de varias propiedades
+  const legacyCount = legacyUnits.reduce((counts, unit) => {
+    counts[unit.unitId] = (counts[unit.unitId] || 0) + 1;
+    return counts;
+  }, {});
+
+  const duplicated = Object.entries(legacyCount)
+    .filter(([, count]) => count > 1)
+    .map(([unitId]) => ({
+      unitId,
+      propertyIds: legacyUnits.filter(unit => unit.unitId === unitId).map(unit => unit.propertyId)
+    }));
+
+  for (const legacy of legacyUnits) {
+    legacyIds.add(legacy.unitId);
+    const canonical = canonicalUnits.get(legacy.unitId);
+
+    if (!canonical) {
+      onlyInProperty.push({ unitId: legacy.unitId, propertyId: legacy.propertyId });
+      continue;
+    }
+
+    if (canonical.propertyId !== legacy.propertyId) {
+      propertyMismatch.push({
+        unitId: legacy.unitId,
+        unitsPropertyId: canonical.propertyId,
+        propertyId: legacy.propertyId
+      });
+      continue;
+    }
+
+    const differences = compareUnitData(canonical.data, legacy.data);
+    if (differences.length > 0) {
+      diverging.push({ unitId: legacy.unitId, propertyId: legacy.propertyId, differences });
+    }
+  }
+
+  for (const unit of incomeOnlyUnits) {
+    const canonical = canonicalUnits.get(unit.unitId);
+
+    if (!canonical) {
+      orphanedIncomes.push(unit);
+    } else if (canonical.propertyId !== unit.propertyId) {
+      propertyMismatch.push({
+        unitId: unit.unitId,
+        unitsPropertyId: canonical.propertyId,
+        propertyId: unit.propertyId
+      });
+    }
+  }
+
+  for (const canonical of reportedUnits) {
+    if (!canonical.propertyId || !existingProperties.has(canonical.propertyId)) {
+      missingProperty.push({ unitId: canonical.unitId, propertyId: canonical.propertyId });
+    }
+  }
+
+  // Unidades que ya están solo en la ubicación canónica (estado esperado después de migrar)
+  const onlyInUnits = reportedUnits
+    .filter(canonical => !legacyIds.has(canonical.unitId))
+    .map(canonical => ({ unitId: canonical.unitId, propertyId: canonical.propertyId }));
+
+  const summary = {
+    units: reportedUnits.length,
+    legacyUnits: legacyUnits.length,
+    onlyInUnits: onlyInUnits.length,
+    onlyInProperty: onlyInProperty.length,
+    diverging: diverging.length,
+    propertyMismatch: propertyMismatch.length,
+    duplicated: duplicated.length,
+    orphanedIncomes: orphanedIncomes.length,
+    missingProperty: missingProperty.length
+  };
+
+  return {
+    // Sin documentos legados ni conflictos: todo se lee desde units
+    inSync: legacyUnits.length === 0 && propertyMismatch.length === 0 && orphanedIncomes.length === 0,
+    summary,
+    onlyInProperty,
+    diverging,
+    propertyMismatch,
+    duplicated,
+    orphanedIncomes,
+    missingProperty,
+    onlyInUnits
+  };
+}
+
+module.exports = {
+  UNIT_PREFERENCES,
+  compareUnitData,
+  mergeUnitData,
+  buildReconciliationReport
+};